@@ -0,0 +1,254 @@
+const { substituteVariables } = require('./templating');
+const { decodeTwirpError } = require('./twirperrors');
+
+/**
+ * Assertions on a Twirp response. Each assertion is a plain object stored with a saved request:
+ *   { "type": "status", "equals": 200 }
+ *   { "type": "twirpCode", "equals": "not_found" }
+ *   { "type": "field", "path": "$.user.name", "equals": "Alice" }
+ *   { "type": "field", "path": "$.user.email", "matches": "@example\\.com$" }
+ *   { "type": "field", "path": "user.id", "exists": true }
+ *   { "type": "latency", "max": 500 }
+ * Expected values may use {{placeholders}}, e.g. "{{response.CreateUser.user.id}}" to compare
+ * against a value of an earlier response.
+ */
+
+/**
+ * Split a JSONPath expression into segments. Supports $, .name, ['name'], [index], [*], .* and ..name.
+ * Paths without a leading $ are treated as relative to the root ("user.id" is "$.user.id").
+ * @param {string} jsonPath - JSONPath expression
+ * @returns {Array<{type: string, key?: string|number}>} Path segments
+ */
+function parseJsonPath(jsonPath) {
+  let rest = jsonPath.trim();
+  if (rest.startsWith('$')) {
+    rest = rest.substring(1);
+  } else if (rest && !rest.startsWith('[') && !rest.startsWith('.')) {
+    rest = `.${rest}`;
+  }
+
+  const segments = [];
+  const pattern = /^(?:\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[\s*(?:(-?\d+)|\*|'([^']*)'|"([^"]*)")\s*\])/;
+  while (rest) {
+    const match = pattern.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid JSONPath "${jsonPath}" near "${rest}"`);
+    }
+
+    if (match[1] !== undefined) {
+      segments.push({ type: 'descendant', key: match[1] });
+    } else if (match[2] !== undefined) {
+      segments.push(match[2] === '*' ? { type: 'wildcard' } : { type: 'child', key: match[2] });
+    } else if (match[3] !== undefined) {
+      segments.push({ type: 'index', key: Number(match[3]) });
+    } else if (match[4] !== undefined || match[5] !== undefined) {
+      segments.push({ type: 'child', key: match[4] !== undefined ? match[4] : match[5] });
+    } else {
+      segments.push({ type: 'wildcard' });
+    }
+    rest = rest.substring(match[0].length);
+  }
+  return segments;
+}
+
+function childValues(value) {
+  if (value === null || typeof value !== 'object') return [];
+  return Array.isArray(value) ? value : Object.values(value);
+}
+
+function descendants(value, key) {
+  const found = [];
+  (function walk(current) {
+    if (current === null || typeof current !== 'object') return;
+    if (key === '*') {
+      found.push(...childValues(current));
+    } else if (!Array.isArray(current) && Object.prototype.hasOwnProperty.call(current, key)) {
+      found.push(current[key]);
+    }
+    childValues(current).forEach(walk);
+  })(value);
+  return found;
+}
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {*} data - JSON value to query
+ * @param {string} jsonPath - JSONPath expression
+ * @returns {Array<*>} All matching values
+ */
+function queryJsonPath(data, jsonPath) {
+  let current = [data];
+  for (const segment of parseJsonPath(jsonPath)) {
+    const next = [];
+    for (const value of current) {
+      if (segment.type === 'descendant') {
+        next.push(...descendants(value, segment.key));
+      } else if (segment.type === 'wildcard') {
+        next.push(...childValues(value));
+      } else if (segment.type === 'index') {
+        if (Array.isArray(value)) {
+          const index = segment.key < 0 ? value.length + segment.key : segment.key;
+          if (index >= 0 && index < value.length) next.push(value[index]);
+        }
+      } else if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment.key)) {
+        next.push(value[segment.key]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * Read a value from a response by a path such as "user.addresses[0].city" or "$.users[*].id"
+ * @param {*} data - Response data
+ * @param {string} fieldPath - Dot path or JSONPath expression
+ * @returns {{found: boolean, value: *}} Whether the path matched and its value (an array for several matches)
+ */
+function getFieldValue(data, fieldPath) {
+  const matches = queryJsonPath(data, fieldPath);
+  if (matches.length === 0) {
+    return { found: false, value: undefined };
+  }
+  const isMultiple = parseJsonPath(fieldPath).some(segment => segment.type === 'wildcard' || segment.type === 'descendant');
+  return { found: true, value: isMultiple ? matches : matches[0] };
+}
+
+/**
+ * Compare two JSON values structurally
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if both values are equal
+ */
+function jsonEquals(actual, expected) {
+  if (actual === expected) return true;
+  if (actual === null || expected === null || typeof actual !== 'object' || typeof expected !== 'object') {
+    // 64-bit integers are strings in proto3 JSON, so "42" matches 42
+    return (typeof actual === 'string' || typeof actual === 'number')
+      && (typeof expected === 'string' || typeof expected === 'number')
+      && String(actual) === String(expected);
+  }
+  if (Array.isArray(actual) !== Array.isArray(expected)) return false;
+
+  const actualKeys = Object.keys(actual);
+  const expectedKeys = Object.keys(expected);
+  return actualKeys.length === expectedKeys.length
+    && expectedKeys.every(key => jsonEquals(actual[key], expected[key]));
+}
+
+/**
+ * Describe an assertion in a single line, for reports
+ * @param {Object} assertion - Assertion definition
+ * @returns {string} Description
+ */
+function describeAssertion(assertion) {
+  switch (assertion.type) {
+    case 'status':
+      return `status equals ${assertion.equals}`;
+    case 'twirpCode':
+      return `Twirp error code equals ${assertion.equals}`;
+    case 'latency':
+      return `latency at most ${assertion.max} ms`;
+    case 'field':
+      if (assertion.exists !== undefined) {
+        return `${assertion.path} ${assertion.exists ? 'exists' : 'is absent'}`;
+      }
+      if (assertion.matches !== undefined) {
+        return `${assertion.path} matches /${assertion.matches}/`;
+      }
+      return `${assertion.path} equals ${JSON.stringify(assertion.equals)}`;
+    default:
+      return JSON.stringify(assertion);
+  }
+}
+
+/**
+ * Evaluate a single assertion
+ * @param {Object} assertion - Assertion definition with placeholders already substituted
+ * @param {Object} response - `status`, `data`, `latencyMs` and optional `twirpError` of the response
+ * @returns {string|null} Failure message, or null if the assertion passed
+ */
+function checkAssertion(assertion, response) {
+  switch (assertion.type) {
+    case 'status':
+      return response.status === Number(assertion.equals)
+        ? null
+        : `expected status ${assertion.equals}, got ${response.status}`;
+
+    case 'twirpCode': {
+      // Errors of intermediaries (proxies, gateways) are mapped to a Twirp code as well
+      const twirpError = response.twirpError !== undefined ? response.twirpError : decodeTwirpError(response);
+      const code = twirpError ? twirpError.code : null;
+      if (code === assertion.equals) return null;
+      return code ? `expected Twirp error code ${assertion.equals}, got ${code}` : `expected Twirp error code ${assertion.equals}, got no Twirp error (status ${response.status})`;
+    }
+
+    case 'latency':
+      return response.latencyMs <= Number(assertion.max)
+        ? null
+        : `expected latency at most ${assertion.max} ms, took ${response.latencyMs} ms`;
+
+    case 'field': {
+      if (!assertion.path) {
+        throw new Error('Field assertion needs a "path"');
+      }
+      const { found, value } = getFieldValue(response.data, assertion.path);
+      if (assertion.exists !== undefined) {
+        if (found === Boolean(assertion.exists)) return null;
+        return assertion.exists ? `${assertion.path} is missing` : `${assertion.path} is present (${JSON.stringify(value)})`;
+      }
+      if (!found) {
+        return `${assertion.path} is missing`;
+      }
+      if (assertion.matches !== undefined) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return new RegExp(assertion.matches).test(text)
+          ? null
+          : `expected ${assertion.path} to match /${assertion.matches}/, got ${JSON.stringify(value)}`;
+      }
+      return jsonEquals(value, assertion.equals)
+        ? null
+        : `expected ${assertion.path} to equal ${JSON.stringify(assertion.equals)}, got ${JSON.stringify(value)}`;
+    }
+
+    default:
+      throw new Error(`Unknown assertion type: ${assertion.type}`);
+  }
+}
+
+/**
+ * Evaluate assertions against a response. Without assertions, any 2xx status passes.
+ * @param {Array<Object>} assertions - Assertion definitions
+ * @param {Object} response - `status`, `data`, `latencyMs` and optional `twirpError` of the response
+ * @param {Object} [variables] - Values for {{placeholders}} in the assertions, e.g. earlier responses
+ * @returns {Array<{description: string, passed: boolean, message: string|null}>} One result per assertion
+ */
+function evaluateAssertions(assertions, response, variables = {}) {
+  const checks = assertions && assertions.length > 0 ? assertions : [{ type: 'success' }];
+
+  return checks.map(assertion => {
+    if (assertion.type === 'success') {
+      const passed = response.status >= 200 && response.status < 300;
+      return { description: 'status is 2xx', passed, message: passed ? null : `expected a 2xx status, got ${response.status}` };
+    }
+
+    let description = describeAssertion(assertion);
+    let message;
+    try {
+      const resolved = substituteVariables(assertion, variables);
+      description = describeAssertion(resolved);
+      message = checkAssertion(resolved, response);
+    } catch (error) {
+      message = error.message;
+    }
+    return { description, passed: message === null, message };
+  });
+}
+
+module.exports = {
+  queryJsonPath,
+  getFieldValue,
+  jsonEquals,
+  describeAssertion,
+  evaluateAssertions
+};
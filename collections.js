@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./workspaces');
+
+// Each collection is stored as DATA_DIR/collections/<name>.json
+const COLLECTIONS_DIR = path.join(DATA_DIR, 'collections');
+const COLLECTION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Marks exported files so imports can reject unrelated JSON
+const EXPORT_FORMAT = 'twirp-tester-collection';
+const EXPORT_VERSION = 1;
+
+/**
+ * Validate a collection name and return the file that holds it
+ * @param {string} name - Collection name
+ * @returns {string} Absolute path of the collection file
+ */
+function getCollectionFile(name) {
+  if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid collection name: "${name}" (use letters, digits, ".", "_" or "-")`);
+  }
+  return path.join(COLLECTIONS_DIR, `${name}.json`);
+}
+
+/**
+ * Check a saved request and keep only the fields a collection stores
+ * @param {Object} request - Request sent by the client or read from an import
+ * @returns {Object} Normalized request with an id
+ */
+function normalizeRequest(request) {
+  if (!request || typeof request !== 'object') {
+    throw new Error('Request must be an object');
+  }
+
+  const { id, name, service, method, payload, headers, environment, encoding, workspace, assertions } = request;
+  if (!name || typeof name !== 'string') {
+    throw new Error('Request name is required');
+  }
+  if (!service || !method) {
+    throw new Error(`Request "${name}" needs a service and a method`);
+  }
+  if (payload === undefined || payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error(`Request "${name}" payload must be a JSON object`);
+  }
+  if (headers !== undefined && (headers === null || typeof headers !== 'object' || Array.isArray(headers))) {
+    throw new Error(`Request "${name}" headers must be an object of name/value pairs`);
+  }
+  if (assertions !== undefined && !Array.isArray(assertions)) {
+    throw new Error(`Request "${name}" assertions must be an array`);
+  }
+
+  return {
+    id: id || crypto.randomUUID(),
+    name: name.trim(),
+    // Stored without the leading dot protobufjs adds to full names
+    service: service.startsWith('.') ? service.substring(1) : service,
+    method,
+    payload,
+    headers: headers || {},
+    environment: environment || null,
+    encoding: encoding === 'protobuf' ? 'protobuf' : 'json',
+    workspace: workspace || null,
+    assertions: assertions || []
+  };
+}
+
+/**
+ * Read a collection file, returning null if it does not exist
+ * @param {string} name - Collection name
+ * @returns {Promise<Object|null>} Stored collection
+ */
+async function readCollection(name) {
+  try {
+    return JSON.parse(await fs.readFile(getCollectionFile(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeCollection(collection) {
+  await fs.mkdir(COLLECTIONS_DIR, { recursive: true });
+  collection.updatedAt = new Date().toISOString();
+  await fs.writeFile(getCollectionFile(collection.name), JSON.stringify(collection, null, 2));
+  return collection;
+}
+
+/**
+ * List all collections with their requests
+ * @returns {Promise<Array<Object>>} Collections sorted by name
+ */
+async function listCollections() {
+  let entries;
+  try {
+    entries = await fs.readdir(COLLECTIONS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const collections = [];
+  for (const entry of entries) {
+    const name = entry.replace(/\.json$/, '');
+    if (entry.endsWith('.json') && COLLECTION_NAME_PATTERN.test(name)) {
+      collections.push(await readCollection(name));
+    }
+  }
+
+  return collections.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a collection by name
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} Stored collection
+ */
+async function getCollection(name) {
+  const collection = await readCollection(name);
+  if (!collection) {
+    throw new Error(`Collection not found: ${name}`);
+  }
+  return collection;
+}
+
+/**
+ * Save a request into a collection, creating the collection if needed.
+ * A request with the id of an existing one replaces it, otherwise it is appended.
+ * @param {string} collectionName - Collection name
+ * @param {Object} request - Request to save
+ * @returns {Promise<Object>} The saved request
+ */
+async function saveRequest(collectionName, request) {
+  const collection = (await readCollection(collectionName)) || {
+    name: collectionName,
+    requests: [],
+    createdAt: new Date().toISOString()
+  };
+
+  const saved = normalizeRequest(request);
+  const index = collection.requests.findIndex(existing => existing.id === saved.id);
+  if (index === -1) {
+    collection.requests.push(saved);
+  } else {
+    // Clients that don't edit assertions leave them out, which keeps the stored ones
+    if (request.assertions === undefined) {
+      saved.assertions = collection.requests[index].assertions || [];
+    }
+    collection.requests[index] = saved;
+  }
+
+  await writeCollection(collection);
+  return saved;
+}
+
+/**
+ * Remove a request from a collection
+ * @param {string} collectionName - Collection name
+ * @param {string} requestId - Id of the request to remove
+ * @returns {Promise<void>}
+ */
+async function deleteRequest(collectionName, requestId) {
+  const collection = await getCollection(collectionName);
+  const requests = collection.requests.filter(request => request.id !== requestId);
+  if (requests.length === collection.requests.length) {
+    throw new Error(`Request not found in collection ${collectionName}: ${requestId}`);
+  }
+  collection.requests = requests;
+  await writeCollection(collection);
+}
+
+/**
+ * Delete a collection and all of its requests
+ * @param {string} name - Collection name
+ * @returns {Promise<void>}
+ */
+async function deleteCollection(name) {
+  await getCollection(name);
+  await fs.unlink(getCollectionFile(name));
+}
+
+/**
+ * Build the shareable export document of a collection
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} Export document
+ */
+async function exportCollection(name) {
+  const collection = await getCollection(name);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    name: collection.name,
+    exportedAt: new Date().toISOString(),
+    requests: collection.requests
+  };
+}
+
+/**
+ * Parse an export document into a collection name and its requests
+ * @param {Object} document - Exported collection, e.g. read from a shared JSON file
+ * @returns {{name: string, requests: Array<Object>}} Collection name and normalized requests
+ */
+function parseCollectionExport(document) {
+  if (!document || document.format !== EXPORT_FORMAT) {
+    throw new Error(`Not a collection export (expected "format": "${EXPORT_FORMAT}")`);
+  }
+  if (document.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported collection export version: ${document.version}`);
+  }
+  if (!Array.isArray(document.requests)) {
+    throw new Error('Collection export has no requests array');
+  }
+
+  return { name: document.name, requests: document.requests.map(normalizeRequest) };
+}
+
+/**
+ * Import an exported collection, replacing any collection with the same name
+ * @param {Object} document - Exported collection
+ * @param {string} [name] - Name to import under instead of the exported name
+ * @returns {Promise<Object>} The imported collection
+ */
+async function importCollection(document, name) {
+  const parsed = parseCollectionExport(document);
+  const collectionName = name || parsed.name;
+  getCollectionFile(collectionName);
+
+  const existing = await readCollection(collectionName);
+  return writeCollection({
+    name: collectionName,
+    requests: parsed.requests,
+    createdAt: existing ? existing.createdAt : new Date().toISOString()
+  });
+}
+
+module.exports = {
+  COLLECTIONS_DIR,
+  listCollections,
+  getCollection,
+  saveRequest,
+  deleteRequest,
+  deleteCollection,
+  exportCollection,
+  parseCollectionExport,
+  importCollection
+};
@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./workspaces');
+
+// All environment profiles live in a single file; it contains secrets, so only the owner may read it
+const ENVIRONMENTS_FILE = path.join(DATA_DIR, 'environments.json');
+const ENVIRONMENT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Secret values never leave the server; clients see this placeholder instead
+const SECRET_MASK = '********';
+
+// Header values that are masked in logs even when they are not stored as secrets
+const SENSITIVE_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'x-api-key']);
+
+// Every stored secret value, used to mask them wherever they show up in server.log
+const secretValues = new Set();
+
+/**
+ * Validate an environment name
+ * @param {string} name - Environment name
+ * @returns {string} The name
+ */
+function checkEnvironmentName(name) {
+  if (typeof name !== 'string' || !ENVIRONMENT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid environment name: "${name}" (use letters, digits, ".", "_" or "-")`);
+  }
+  return name;
+}
+
+/**
+ * Check that a headers/variables/secrets value is a flat object of strings
+ * @param {*} value - Value sent by the client
+ * @param {string} label - What the value is, for error messages
+ * @returns {Object} Object with string values
+ */
+function toStringMap(value, label) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} must be an object of name/value pairs`);
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (!key.trim()) {
+      throw new Error(`${label} contain an empty name`);
+    }
+    result[key.trim()] = String(item);
+  }
+  return result;
+}
+
+/**
+ * Read all stored environments
+ * @returns {Promise<Object>} Environments by name
+ */
+async function readEnvironments() {
+  try {
+    return JSON.parse(await fs.readFile(ENVIRONMENTS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write all environments and refresh the set of secret values to mask
+ * @param {Object} environments - Environments by name
+ * @returns {Promise<void>}
+ */
+async function writeEnvironments(environments) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(ENVIRONMENTS_FILE, JSON.stringify(environments, null, 2), { mode: 0o600 });
+  rememberSecrets(environments);
+}
+
+function rememberSecrets(environments) {
+  secretValues.clear();
+  for (const environment of Object.values(environments)) {
+    for (const value of Object.values(environment.secrets || {})) {
+      if (value) {
+        secretValues.add(value);
+      }
+    }
+  }
+}
+
+/**
+ * Replace secret values with the mask, for sending an environment to the client
+ * @param {Object} environment - Stored environment
+ * @returns {Object} Environment with masked secrets
+ */
+function maskEnvironment(environment) {
+  return {
+    ...environment,
+    secrets: Object.fromEntries(Object.keys(environment.secrets || {}).map(name => [name, SECRET_MASK]))
+  };
+}
+
+/**
+ * Load the stored environments once at startup so their secrets are masked from the first log line
+ * @returns {Promise<void>}
+ */
+async function initEnvironments() {
+  rememberSecrets(await readEnvironments());
+}
+
+/**
+ * List all environments with their secrets masked
+ * @returns {Promise<Array<Object>>} Environments sorted by name
+ */
+async function listEnvironments() {
+  const environments = await readEnvironments();
+  return Object.values(environments)
+    .map(maskEnvironment)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get an environment including its secret values, for use on the server only
+ * @param {string} name - Environment name
+ * @returns {Promise<Object>} Stored environment
+ */
+async function getEnvironment(name) {
+  const environments = await readEnvironments();
+  const environment = environments[checkEnvironmentName(name)];
+  if (!environment) {
+    throw new Error(`Environment not found: ${name}`);
+  }
+  return environment;
+}
+
+/**
+ * Create or update an environment. Secrets sent back as the mask keep their stored value.
+ * @param {string} name - Environment name
+ * @param {Object} profile - `baseUrl`, `headers`, `variables` and `secrets`
+ * @returns {Promise<Object>} The saved environment with masked secrets
+ */
+async function saveEnvironment(name, { baseUrl = '', headers, variables, secrets } = {}) {
+  checkEnvironmentName(name);
+  const environments = await readEnvironments();
+  const existing = environments[name];
+  const now = new Date().toISOString();
+
+  const storedSecrets = {};
+  for (const [secretName, value] of Object.entries(toStringMap(secrets, 'Secrets'))) {
+    if (value === SECRET_MASK) {
+      if (!existing || !existing.secrets || existing.secrets[secretName] === undefined) {
+        throw new Error(`Secret ${secretName} has no stored value`);
+      }
+      storedSecrets[secretName] = existing.secrets[secretName];
+    } else {
+      storedSecrets[secretName] = value;
+    }
+  }
+
+  environments[name] = {
+    name,
+    baseUrl: String(baseUrl).trim(),
+    headers: toStringMap(headers, 'Headers'),
+    variables: toStringMap(variables, 'Variables'),
+    secrets: storedSecrets,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await writeEnvironments(environments);
+  return maskEnvironment(environments[name]);
+}
+
+/**
+ * Delete an environment
+ * @param {string} name - Environment name
+ * @returns {Promise<void>}
+ */
+async function deleteEnvironment(name) {
+  const environments = await readEnvironments();
+  if (!environments[checkEnvironmentName(name)]) {
+    throw new Error(`Environment not found: ${name}`);
+  }
+  delete environments[name];
+  await writeEnvironments(environments);
+}
+
+/**
+ * Get the variables available to {{name}} placeholders: the environment's variables and secrets
+ * @param {Object} [environment] - Stored environment
+ * @returns {Object} Variables by name
+ */
+function getEnvironmentVariables(environment) {
+  if (!environment) {
+    return {};
+  }
+  return { ...environment.variables, ...environment.secrets };
+}
+
+/**
+ * Mask every stored secret value in a piece of text
+ * @param {string} text - Text about to be logged
+ * @returns {string} Text with secrets replaced by the mask
+ */
+function maskSecrets(text) {
+  let masked = text;
+  for (const value of secretValues) {
+    masked = masked.split(value).join(SECRET_MASK);
+  }
+  return masked;
+}
+
+/**
+ * Mask credentials in request headers for logging
+ * @param {Object} headers - Header values by name
+ * @returns {Object} Headers with sensitive values masked
+ */
+function maskHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    SENSITIVE_HEADERS.has(name.toLowerCase()) ? SECRET_MASK : value
+  ]));
+}
+
+module.exports = {
+  SECRET_MASK,
+  initEnvironments,
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  getEnvironmentVariables,
+  maskSecrets,
+  maskHeaders
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// Small word lists for plausible sample values; nothing here needs to be unique or realistic at scale
+const FIRST_NAMES = ['Alice', 'Bob', 'Carol', 'David', 'Emma', 'Frank', 'Grace', 'Henry', 'Isabel', 'Jack', 'Maria', 'Noah', 'Olivia', 'Liam', 'Sofia'];
+const LAST_NAMES = ['Smith', 'Johnson', 'Garcia', 'Miller', 'Davis', 'Martinez', 'Brown', 'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'Lee', 'Clark'];
+const CITIES = ['Springfield', 'Riverside', 'Franklin', 'Greenville', 'Bristol', 'Clinton', 'Fairview', 'Salem'];
+const STREETS = ['Main St', 'Oak Ave', 'Maple Dr', 'Cedar Ln', 'Park Rd', 'Elm St', 'Lake View Blvd'];
+const WORDS = ['alpha', 'bravo', 'delta', 'echo', 'harbor', 'summit', 'meadow', 'orbit', 'pixel', 'quartz', 'river', 'timber'];
+
+// Units accepted in {{now+1h}} style offsets
+const TIME_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Random integer between min and max, both inclusive
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random integer
+ */
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function pick(values) {
+  return values[randomInt(0, values.length - 1)];
+}
+
+function fakeFirstName() {
+  return pick(FIRST_NAMES);
+}
+
+function fakeLastName() {
+  return pick(LAST_NAMES);
+}
+
+function fakeName() {
+  return `${fakeFirstName()} ${fakeLastName()}`;
+}
+
+function fakeEmail() {
+  return `${fakeFirstName().toLowerCase()}.${fakeLastName().toLowerCase()}${randomInt(1, 999)}@example.com`;
+}
+
+function fakePhone() {
+  // E.164 in the 555 fictional range
+  return `+1555${String(randomInt(0, 9999999)).padStart(7, '0')}`;
+}
+
+function fakeWord() {
+  return pick(WORDS);
+}
+
+/**
+ * Random lowercase alphanumeric string
+ * @param {number} length - Number of characters
+ * @returns {string} Random string
+ */
+function randomString(length) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += alphabet[randomInt(0, alphabet.length - 1)];
+  }
+  return text;
+}
+
+/**
+ * Current time shifted by an offset such as "+1h", "-30m" or "+2d"
+ * @param {string} [sign] - "+" or "-"
+ * @param {string|number} [amount] - Number of units
+ * @param {string} [unit] - One of ms, s, m, h, d, w
+ * @returns {Date} Shifted date
+ */
+function relativeDate(sign, amount, unit) {
+  if (!sign) {
+    return new Date();
+  }
+  const offset = Number(amount) * TIME_UNITS[unit];
+  return new Date(Date.now() + (sign === '-' ? -offset : offset));
+}
+
+/**
+ * Generate a plausible value for a scalar field from its name, e.g. an email address for
+ * "contact_email" or a recent time for "created_at"
+ * @param {string} fieldName - Field name (snake_case or camelCase)
+ * @param {string} scalarType - Protobuf scalar type, e.g. "string" or "int32"
+ * @returns {*} Sample value, or undefined when nothing better than the type's default applies
+ */
+function getSampleValue(fieldName, scalarType) {
+  // Normalize camelCase to snake_case so one set of patterns covers both
+  const name = fieldName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  const isTime = /_at$|(^|_)(time|timestamp|date)$/.test(name);
+
+  switch (scalarType) {
+    case 'string':
+      if (/e_?mail/.test(name)) return fakeEmail();
+      if (/(^|_)(first_name|given_name)$/.test(name)) return fakeFirstName();
+      if (/(^|_)(last_name|family_name|surname)$/.test(name)) return fakeLastName();
+      if (/(^|_)(full_|display_|user_)?name$/.test(name)) return fakeName();
+      if (/phone|mobile|msisdn/.test(name)) return fakePhone();
+      if (/(^|_)(id|uuid|guid)$|_ids?$/.test(name)) return crypto.randomUUID();
+      if (isTime) return relativeDate().toISOString();
+      if (/url|uri|link|website/.test(name)) return `https://example.com/${fakeWord()}`;
+      if (/(^|_)city$/.test(name)) return pick(CITIES);
+      if (/street|address/.test(name)) return `${randomInt(1, 999)} ${pick(STREETS)}`;
+      if (/zip|postal/.test(name)) return String(randomInt(10000, 99999));
+      if (/(^|_)(state|region|province)$/.test(name)) return 'CA';
+      if (/country/.test(name)) return 'US';
+      if (/currency/.test(name)) return 'USD';
+      if (/locale|lang/.test(name)) return 'en-US';
+      if (/token|secret|key|password/.test(name)) return randomString(32);
+      if (/description|comment|note|message|text|title|summary/.test(name)) return `Sample ${name.replace(/_/g, ' ')} ${fakeWord()}`;
+      return `${fakeWord()}-${randomInt(1, 999)}`;
+
+    case 'int32':
+    case 'int64':
+    case 'uint32':
+    case 'uint64':
+    case 'sint32':
+    case 'sint64':
+    case 'fixed32':
+    case 'fixed64':
+    case 'sfixed32':
+    case 'sfixed64':
+      if (isTime) return Math.floor(Date.now() / 1000);
+      if (/(^|_)age$/.test(name)) return randomInt(18, 80);
+      if (/year/.test(name)) return randomInt(1990, new Date().getFullYear());
+      if (/price|amount|cost|total|cents/.test(name)) return randomInt(100, 10000);
+      if (/count|quantity|qty|size|limit/.test(name)) return randomInt(1, 10);
+      if (/(^|_)id$|_id$/.test(name)) return randomInt(1, 1000000);
+      return randomInt(1, 100);
+
+    case 'float':
+    case 'double':
+      if (/(^|_)lat(itude)?$/.test(name)) return Number((randomInt(-90000, 90000) / 1000).toFixed(3));
+      if (/(^|_)(lng|lon|long|longitude)$/.test(name)) return Number((randomInt(-180000, 180000) / 1000).toFixed(3));
+      if (/price|amount|cost|total/.test(name)) return randomInt(100, 99999) / 100;
+      return randomInt(0, 10000) / 100;
+
+    case 'bool':
+      return true;
+
+    case 'bytes':
+      return Buffer.from(`${fakeWord()} ${fakeWord()}`).toString('base64');
+
+    default:
+      return undefined;
+  }
+}
+
+module.exports = {
+  randomInt,
+  randomString,
+  relativeDate,
+  fakeFirstName,
+  fakeLastName,
+  fakeName,
+  fakeEmail,
+  fakePhone,
+  getSampleValue
+};
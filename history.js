@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./workspaces');
+
+// One JSON entry per line, oldest first; trimmed to the newest HISTORY_LIMIT entries
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 500;
+
+// Loaded on first use and kept in sync with the file
+let entries = null;
+let loading = null;
+
+// Appends, trims and clears run one after another, so simultaneous calls (load tests, scenario runs)
+// neither interleave their file writes nor lose entries
+let writeChain = Promise.resolve();
+
+async function loadEntries() {
+  // Calls arriving while the file is read wait for the same read
+  if (!loading) {
+    loading = readEntries().catch(error => {
+      loading = null;
+      throw error;
+    });
+  }
+  await loading;
+  return entries;
+}
+
+async function readEntries() {
+  try {
+    const content = await fs.readFile(HISTORY_FILE, 'utf8');
+    entries = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    entries = [];
+  }
+}
+
+/**
+ * Run a change to the history after all earlier ones have finished
+ * @param {Function} change - Async function changing the entries and the file
+ * @returns {Promise<*>} The change's result
+ */
+function serialize(change) {
+  const result = writeChain.then(change);
+  // A failed change must not block the ones queued after it
+  writeChain = result.catch(() => {});
+  return result;
+}
+
+async function rewriteFile() {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(HISTORY_FILE, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+/**
+ * Record a call made through the Twirp proxy
+ * @param {Object} entry - Call details: service, method, url, request, headers, status, response, latencyMs, ...
+ * @returns {Promise<Object>} The stored entry with its id and timestamp
+ */
+async function addHistoryEntry(entry) {
+  return serialize(async () => {
+    await loadEntries();
+    const stored = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+    entries.push(stored);
+
+    if (entries.length > HISTORY_LIMIT) {
+      entries.splice(0, entries.length - HISTORY_LIMIT);
+      await rewriteFile();
+    } else {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.appendFile(HISTORY_FILE, JSON.stringify(stored) + '\n');
+    }
+    return stored;
+  });
+}
+
+/**
+ * List history entries, newest first
+ * @param {Object} [options] - Paging and filters
+ * @param {number} [options.page] - Page number, starting at 1
+ * @param {number} [options.pageSize] - Entries per page (max 100)
+ * @param {string} [options.service] - Only entries for this service
+ * @param {string} [options.method] - Only entries for this method
+ * @returns {Promise<Object>} `entries` of the page plus `page`, `pageSize`, `total` and `totalPages`
+ */
+async function listHistory({ page = 1, pageSize = 20, service, method } = {}) {
+  await loadEntries();
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || 20, 1), 100);
+  const matching = entries
+    .filter(entry => (!service || entry.service === service) && (!method || entry.method === method))
+    .reverse();
+
+  const totalPages = Math.max(Math.ceil(matching.length / size), 1);
+  const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+  return {
+    entries: matching.slice((current - 1) * size, current * size),
+    page: current,
+    pageSize: size,
+    total: matching.length,
+    totalPages
+  };
+}
+
+/**
+ * Get a single history entry
+ * @param {string} id - Entry id
+ * @returns {Promise<Object>} The entry
+ */
+async function getHistoryEntry(id) {
+  await loadEntries();
+  const entry = entries.find(item => item.id === id);
+  if (!entry) {
+    throw new Error(`History entry not found: ${id}`);
+  }
+  return entry;
+}
+
+/**
+ * Delete all history entries
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+  return serialize(async () => {
+    await loadEntries();
+    entries = [];
+    await fs.rm(HISTORY_FILE, { force: true });
+  });
+}
+
+module.exports = {
+  addHistoryEntry,
+  listHistory,
+  getHistoryEntry,
+  clearHistory
+};
@@ -0,0 +1,158 @@
+// Upper bounds that keep a load test from taking down the tester itself
+const LOAD_TEST_LIMITS = {
+  maxConcurrency: 100,
+  maxDurationSeconds: 600,
+  maxCount: 100000
+};
+
+/**
+ * Check load test options: a concurrency plus a duration, a total request count or both
+ * (the test stops at whichever is reached first)
+ * @param {Object} options - `concurrency`, `durationSeconds` and/or `count`
+ * @returns {{concurrency: number, durationMs: number|null, count: number|null}} Normalized options
+ */
+function normalizeLoadTestOptions(options) {
+  const concurrency = options.concurrency === undefined ? 1 : Number(options.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > LOAD_TEST_LIMITS.maxConcurrency) {
+    throw new Error(`concurrency must be an integer between 1 and ${LOAD_TEST_LIMITS.maxConcurrency}`);
+  }
+
+  const hasDuration = options.durationSeconds !== undefined && options.durationSeconds !== null && options.durationSeconds !== '';
+  const hasCount = options.count !== undefined && options.count !== null && options.count !== '';
+  if (!hasDuration && !hasCount) {
+    throw new Error('Set durationSeconds, count or both');
+  }
+
+  const durationSeconds = hasDuration ? Number(options.durationSeconds) : null;
+  if (hasDuration && !(durationSeconds > 0 && durationSeconds <= LOAD_TEST_LIMITS.maxDurationSeconds)) {
+    throw new Error(`durationSeconds must be greater than 0 and at most ${LOAD_TEST_LIMITS.maxDurationSeconds}`);
+  }
+  const count = hasCount ? Number(options.count) : null;
+  if (hasCount && !(Number.isInteger(count) && count >= 1 && count <= LOAD_TEST_LIMITS.maxCount)) {
+    throw new Error(`count must be an integer between 1 and ${LOAD_TEST_LIMITS.maxCount}`);
+  }
+
+  return { concurrency, durationMs: hasDuration ? durationSeconds * 1000 : null, count };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Percentile, or null without values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Summarize latencies
+ * @param {Array<number>} latencies - Latencies in milliseconds
+ * @returns {Object} `min`, `mean`, `p50`, `p95`, `p99` and `max` in milliseconds (null without values)
+ */
+function summarizeLatencies(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+  const mean = sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null;
+  return {
+    min: round(sorted.length > 0 ? sorted[0] : null),
+    mean: round(mean),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted.length > 0 ? sorted[sorted.length - 1] : null)
+  };
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Send requests from `concurrency` parallel workers until the duration or count is reached
+ * @param {Object} options - Normalized options from normalizeLoadTestOptions
+ * @param {Function} sendRequest - Sends one request: (iteration) => Promise<{status, latencyMs, twirpError?}>;
+ *   a rejected promise counts as a network error
+ * @param {Object} [hooks] - `onProgress(snapshot)`, called every `progressIntervalMs` (default 500),
+ *   and `isCancelled()`, checked before each request
+ * @returns {Promise<Object>} Final statistics: counts, `throughput` (requests per second), `latency`,
+ *   `statuses`, `twirpCodes`, `networkErrors` and whether the test was `cancelled`
+ */
+async function runLoadTest(options, sendRequest, hooks = {}) {
+  const { onProgress, isCancelled, progressIntervalMs = 500 } = hooks;
+  const startedAt = Date.now();
+  const deadline = options.durationMs ? startedAt + options.durationMs : Infinity;
+  const latencies = [];
+  const statuses = {};
+  const twirpCodes = {};
+  const networkErrors = {};
+  let started = 0;
+  let completed = 0;
+  let succeeded = 0;
+  let cancelled = false;
+
+  function snapshot() {
+    const elapsedMs = Date.now() - startedAt;
+    return {
+      elapsedMs,
+      started,
+      completed,
+      inFlight: started - completed,
+      succeeded,
+      failed: completed - succeeded,
+      throughput: elapsedMs > 0 ? Math.round((completed / elapsedMs) * 10000) / 10 : 0,
+      latency: summarizeLatencies(latencies),
+      statuses: { ...statuses },
+      twirpCodes: { ...twirpCodes },
+      networkErrors: { ...networkErrors }
+    };
+  }
+
+  function canStart() {
+    if (isCancelled && isCancelled()) {
+      cancelled = true;
+      return false;
+    }
+    return (options.count === null || started < options.count) && Date.now() < deadline;
+  }
+
+  async function worker() {
+    while (canStart()) {
+      const iteration = ++started;
+      try {
+        const result = await sendRequest(iteration);
+        latencies.push(result.latencyMs);
+        increment(statuses, String(result.status));
+        if (result.status >= 200 && result.status < 300) {
+          succeeded++;
+        }
+        if (result.twirpError) {
+          increment(twirpCodes, result.twirpError.code);
+        }
+      } catch (error) {
+        increment(statuses, 'network error');
+        increment(networkErrors, error.cause ? `${error.message}: ${error.cause.message || error.cause.code}` : error.message);
+      }
+      completed++;
+    }
+  }
+
+  const timer = onProgress ? setInterval(() => onProgress(snapshot()), progressIntervalMs) : null;
+  try {
+    await Promise.all(Array.from({ length: options.concurrency }, () => worker()));
+  } finally {
+    if (timer) clearInterval(timer);
+  }
+
+  return { ...snapshot(), cancelled };
+}
+
+module.exports = {
+  LOAD_TEST_LIMITS,
+  normalizeLoadTestOptions,
+  percentile,
+  summarizeLatencies,
+  runLoadTest
+};
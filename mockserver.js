@@ -0,0 +1,258 @@
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./workspaces');
+const { lookupMethod, jsonToProtoObject, protoObjectToJson, JSON_CONVERSION_OPTIONS } = require('./wireformat');
+const { generateEmptyJsonTemplate } = require('./protoparser');
+const { substituteVariables } = require('./templating');
+const { getFieldValue, jsonEquals } = require('./assertions');
+const { TWIRP_ERROR_STATUS } = require('./twirperrors');
+
+// Stubs are kept in a single file, in the order they are matched
+const STUBS_FILE = path.join(DATA_DIR, 'mock-stubs.json');
+const MAX_DELAY_MS = 60000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a stub definition and fill in defaults. A stub answers calls of one method whose
+ * request matches all `match` paths and `headers`, with a `response` body or a Twirp `error`.
+ * @param {Object} stub - Stub as sent by the client
+ * @returns {Object} Normalized stub with an id
+ */
+function normalizeStub(stub) {
+  if (!isPlainObject(stub)) {
+    throw new Error('Stub must be an object');
+  }
+  if (!stub.service || !stub.method) {
+    throw new Error('Stub needs a service and a method');
+  }
+  if (stub.match !== undefined && !isPlainObject(stub.match)) {
+    throw new Error('Stub match must map JSONPath expressions to expected values');
+  }
+  if (stub.headers !== undefined && !isPlainObject(stub.headers)) {
+    throw new Error('Stub headers must be an object of name/value pairs');
+  }
+  if (stub.response !== undefined && stub.response !== null && !isPlainObject(stub.response)) {
+    throw new Error('Stub response must be a JSON object');
+  }
+  if (stub.error !== undefined && stub.error !== null) {
+    if (!isPlainObject(stub.error) || TWIRP_ERROR_STATUS[stub.error.code] === undefined) {
+      throw new Error(`Stub error needs a Twirp code (one of: ${Object.keys(TWIRP_ERROR_STATUS).join(', ')})`);
+    }
+    if (stub.error.meta !== undefined && !isPlainObject(stub.error.meta)) {
+      throw new Error('Stub error meta must be an object of name/value pairs');
+    }
+  }
+  const delayMs = stub.delayMs === undefined ? 0 : Number(stub.delayMs);
+  if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > MAX_DELAY_MS) {
+    throw new Error(`Stub delayMs must be an integer between 0 and ${MAX_DELAY_MS}`);
+  }
+
+  return {
+    id: stub.id || crypto.randomUUID(),
+    name: stub.name || '',
+    service: stub.service.startsWith('.') ? stub.service.substring(1) : stub.service,
+    method: stub.method,
+    match: stub.match || {},
+    // Header names are case-insensitive
+    headers: Object.fromEntries(Object.entries(stub.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    response: stub.response || null,
+    error: stub.error ? { code: stub.error.code, msg: stub.error.msg || '', meta: stub.error.meta || {} } : null,
+    delayMs
+  };
+}
+
+/**
+ * List all stubs in matching order
+ * @returns {Promise<Array<Object>>} Stubs
+ */
+async function listStubs() {
+  try {
+    return JSON.parse(await fs.readFile(STUBS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function writeStubs(stubs) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(STUBS_FILE, JSON.stringify(stubs, null, 2));
+}
+
+/**
+ * Save a stub: one with the id of an existing stub replaces it, otherwise it is appended
+ * @param {Object} stub - Stub definition
+ * @returns {Promise<Object>} The saved stub
+ */
+async function saveStub(stub) {
+  const stubs = await listStubs();
+  const saved = normalizeStub(stub);
+  const index = stubs.findIndex(existing => existing.id === saved.id);
+  if (index === -1) {
+    stubs.push(saved);
+  } else {
+    stubs[index] = saved;
+  }
+  await writeStubs(stubs);
+  return saved;
+}
+
+/**
+ * Delete a stub
+ * @param {string} id - Stub id
+ * @returns {Promise<void>}
+ */
+async function deleteStub(id) {
+  const stubs = await listStubs();
+  const remaining = stubs.filter(stub => stub.id !== id);
+  if (remaining.length === stubs.length) {
+    throw new Error(`Stub not found: ${id}`);
+  }
+  await writeStubs(remaining);
+}
+
+/**
+ * Check whether a stub answers a call
+ * @param {Object} stub - Normalized stub
+ * @param {Object} call - `service`, `method`, `request` (JSON) and `headers` (lowercase names)
+ * @returns {boolean} True if the stub matches
+ */
+function stubMatches(stub, call) {
+  if (stub.service !== call.service || stub.method !== call.method) {
+    return false;
+  }
+  for (const [name, value] of Object.entries(stub.headers)) {
+    if (call.headers[name] !== value) {
+      return false;
+    }
+  }
+  for (const [jsonPath, expected] of Object.entries(stub.match)) {
+    const { found, value } = getFieldValue(call.request, jsonPath);
+    if (!found || !jsonEquals(value, expected)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function sendTwirpError(res, code, msg, meta = {}) {
+  const body = { code, msg };
+  if (Object.keys(meta).length > 0) {
+    body.meta = meta;
+  }
+  res.status(TWIRP_ERROR_STATUS[code]).type('application/json').send(JSON.stringify(body));
+}
+
+/**
+ * Decode the body of a mock call as the method's request message
+ * @param {Buffer} body - Raw request body
+ * @param {string} encoding - "json" or "protobuf"
+ * @param {protobuf.Type} requestType - The method's request type
+ * @returns {Object} Request in proto3 JSON form
+ */
+function decodeMockRequest(body, encoding, requestType) {
+  if (encoding === 'protobuf') {
+    const message = requestType.decode(body);
+    return protoObjectToJson(requestType, requestType.toObject(message, JSON_CONVERSION_OPTIONS));
+  }
+  const text = body.toString('utf8').trim();
+  const request = text ? JSON.parse(text) : {};
+  if (!isPlainObject(request)) {
+    throw new Error('request body must be a JSON object');
+  }
+  return request;
+}
+
+/**
+ * Create the router that serves mock Twirp endpoints, /twirp/<package.Service>/<Method>,
+ * for every service of the loaded protos
+ * @param {Object} options - Router options
+ * @param {Function} options.getRoot - Returns the parsed root for a workspace name (undefined for the latest upload)
+ * @param {Function} options.log - Logger
+ * @returns {express.Router} Router to mount under a prefix such as /mock
+ */
+function createMockRouter({ getRoot, log }) {
+  const router = express.Router({ mergeParams: true });
+  router.use(express.raw({ type: () => true, limit: '10mb' }));
+
+  router.all('/twirp/:service/:method', async (req, res) => {
+    const { service, method } = req.params;
+    const route = `/twirp/${service}/${method}`;
+
+    if (req.method !== 'POST') {
+      return sendTwirpError(res, 'bad_route', `unsupported method ${req.method} (only POST is allowed)`);
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const encoding = contentType === 'application/json' ? 'json' : contentType === 'application/protobuf' ? 'protobuf' : null;
+    if (!encoding) {
+      return sendTwirpError(res, 'bad_route', `unexpected Content-Type: "${contentType}"`);
+    }
+
+    let rpc;
+    try {
+      rpc = lookupMethod(await getRoot(req.params.workspace), service, method);
+    } catch (error) {
+      return sendTwirpError(res, 'bad_route', `no handler for path "${route}": ${error.message}`);
+    }
+
+    let request;
+    try {
+      request = decodeMockRequest(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), encoding, rpc.resolvedRequestType);
+    } catch (error) {
+      return sendTwirpError(res, 'malformed', `the ${encoding} request could not be decoded: ${error.message}`);
+    }
+
+    try {
+      const stub = (await listStubs()).find(candidate => stubMatches(candidate, { service, method, request, headers: req.headers }));
+      log(`Mock ${service}/${method} (${encoding}): ${stub ? `stub ${stub.name || stub.id}` : 'response template'}`);
+
+      if (stub && stub.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, stub.delayMs));
+      }
+
+      // Stub bodies may use {{request.<path>}}, {{headers.<name>}} and the built-in generators
+      const variables = { request, headers: req.headers };
+      if (stub && stub.error) {
+        const error = substituteVariables(stub.error, variables);
+        return sendTwirpError(res, error.code, String(error.msg), error.meta);
+      }
+
+      const responseType = rpc.resolvedResponseType;
+      const body = stub && stub.response
+        ? substituteVariables(stub.response, variables)
+        : generateEmptyJsonTemplate(responseType, { realistic: true });
+
+      if (encoding === 'json') {
+        return res.type('application/json').send(JSON.stringify(body));
+      }
+      const message = responseType.fromObject(jsonToProtoObject(responseType, body));
+      res.type('application/protobuf').send(Buffer.from(responseType.encode(message).finish()));
+    } catch (error) {
+      log(`Mock ${service}/${method} error:`, error.message);
+      sendTwirpError(res, 'internal', `mock response failed: ${error.message}`);
+    }
+  });
+
+  router.use((req, res) => {
+    sendTwirpError(res, 'bad_route', `no handler for path "${req.path}"`);
+  });
+
+  return router;
+}
+
+module.exports = {
+  normalizeStub,
+  listStubs,
+  saveStub,
+  deleteStub,
+  stubMatches,
+  createMockRouter
+};
@@ -1,12 +1,21 @@
 const protobuf = require('protobufjs');
+const descriptor = require('protobufjs/ext/descriptor');
 const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const { addWellKnownTypes, getWellKnownProtoName, hasWellKnownTemplate, getWellKnownTemplate } = require('./wellknown');
+const { getSampleValue } = require('./fakedata');
+
+// How often a message type may be expanded inside itself in a template before the recursion is cut
+const TEMPLATE_RECURSION_DEPTH = Number(process.env.TEMPLATE_RECURSION_DEPTH) || 1;
+
+// Returned by getEmptyValueForMessageType where a recursive type is cut; the field becomes null, [] or {}
+const RECURSION_CUT = Symbol('recursion cut');
 
 /**
  * Parse a proto file and return a map of service methods to their request JSON templates
  * @param {string} protoFilePath - Path to the proto file
  * @param {Map<string, string>} importFiles - Optional map of import file names to their content
- * @returns {Promise<Object>} Map where key = method name, value = empty JSON request object
+ * @returns {Promise<Object>} Map where key = "package.Service/Method", value = empty JSON request object
  */
 async function parseProtoFile(protoFilePath, importFiles = null) {
   try {
@@ -25,564 +34,607 @@ async function parseProtoFile(protoFilePath, importFiles = null) {
 }
 
 /**
- * Parse proto content and return a map of service methods to their request JSON templates
- * @param {string} protoContent - The proto file content as string
- * @param {Map<string, string>} importFiles - Optional map of import file names to their content
- * @returns {Promise<Object>} Map where key = method name, value = empty JSON request object
+ * Resolve an import path against the available proto files the way protoc resolves include
+ * paths: an exact relative path first, then a file whose path ends with the import path
+ * (the import is relative to some include directory, e.g. "imports/" or "proto/")
+ * @param {string} importPath - Path as written in the import statement
+ * @param {Map<string, string>} importFiles - Map of relative file paths to their content
+ * @returns {string|null} Matching key in importFiles, or null if the import cannot be found
  */
-async function parseProtoContent(protoContent, importFiles = null) {
+function resolveImportPath(importPath, importFiles) {
+  if (!importFiles) {
+    return null;
+  }
+  
+  const target = importPath.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (importFiles.has(target)) {
+    return target;
+  }
+  
+  // Prefer the shortest matching path, i.e. the closest include directory
+  let bestMatch = null;
+  for (const filename of importFiles.keys()) {
+    if (filename.endsWith(`/${target}`) && (!bestMatch || filename.length < bestMatch.length)) {
+      bestMatch = filename;
+    }
+  }
+  return bestMatch;
+}
+
+/**
+ * Check whether a file name looks like a compiled descriptor set (`protoc --descriptor_set_out`)
+ * @param {string} filename - File name or relative path
+ * @returns {boolean} True for .pb and .desc files
+ */
+function isDescriptorSet(filename) {
+  return /\.(pb|desc)$/i.test(filename);
+}
+
+/**
+ * Get the syntax or edition protobufjs uses for the definitions of a file descriptor
+ * @param {Object} fileDescriptor - Decoded FileDescriptorProto
+ * @returns {string} "proto2", "proto3" or "2023"
+ */
+function getDescriptorEdition(fileDescriptor) {
+  if (fileDescriptor.syntax === 'editions') {
+    // 2023 is the only edition protobufjs supports
+    if (fileDescriptor.edition !== descriptor.Edition.EDITION_2023) {
+      throw new Error(`Unsupported edition ${fileDescriptor.edition} in ${fileDescriptor.name}`);
+    }
+    return '2023';
+  }
+  return fileDescriptor.syntax === 'proto3' ? 'proto3' : 'proto2';
+}
+
+/**
+ * Add the files of a binary FileDescriptorSet to a root, like parsing their .proto sources would.
+ * Well-known google/protobuf files, which sets built with --include_imports contain, are bundled
+ * already and skipped.
+ * @param {protobuf.Root} root - Root to add the definitions to
+ * @param {Buffer} content - Encoded google.protobuf.FileDescriptorSet
+ * @param {string} name - Relative path of the descriptor set, for error messages
+ */
+function addDescriptorSet(root, content, name) {
+  let fileDescriptorSet;
   try {
-    console.log(`Parsing proto content (${protoContent.length} characters)`);
-    
-    // Create a new protobuf root
-    const root = new protobuf.Root();
-    
-    // Add common google protobuf types
-    root.define('google.protobuf').add(
-      new protobuf.Type('Timestamp').add(
-        new protobuf.Field('seconds', 1, 'int64'),
-        new protobuf.Field('nanos', 2, 'int32')
-      )
-    );
-    
-    // Set up import resolution if importFiles are provided
-    if (importFiles) {
-      console.log(`Setting up import resolution for ${importFiles.size} files`);
-      
-      // Add a custom resolvePath function
-      root.resolvePath = function(origin, target) {
-        console.log(`Resolving: ${target} from ${origin}`);
-        for (const [filename, content] of importFiles) {
-          if (filename.endsWith(target) || filename === target) {
-            console.log(`Found exact match: ${filename}`);
-            return filename;
-          }
-        }
-        console.log(`No match found for: ${target}, returning as-is`);
-        return target;
-      };
-      
-      // Custom fetch function to provide file contents
-      root.fetch = function(filename) {
-        console.log(`Fetching file: ${filename}`);
-        const content = importFiles.get(filename);
-        if (content) {
-          console.log(`Found content for ${filename}`);
-          return Promise.resolve(content);
-        }
-        
-        // Try to find by basename or partial match
-        for (const [key, value] of importFiles) {
-          if (key.endsWith(filename) || path.basename(key) === path.basename(filename)) {
-            console.log(`Found by basename: ${key} for ${filename}`);
-            return Promise.resolve(value);
-          }
+    fileDescriptorSet = descriptor.FileDescriptorSet.decode(content);
+  } catch (error) {
+    throw new Error(`${name} is not a FileDescriptorSet: ${error.message}`);
+  }
+  
+  // fromDescriptor builds two things unlike the .proto parser: map fields stay repeated *Entry
+  // messages, and proto3 optional fields lose their flag, which decoded descriptors name
+  // proto3Optional. Fields are re-added in declaration order so templates list them as sources do.
+  function restoreParsedFields(type, messageType) {
+    const mapEntries = new Set(messageType.nestedType
+      .filter(nestedType => nestedType.options && nestedType.options.mapEntry)
+      .map(nestedType => nestedType.name));
+    
+    for (const field of messageType.field) {
+      const parsed = type.fields[field.name];
+      const entryName = field.typeName && field.typeName.split('.').pop();
+      type.remove(parsed);
+      if (field.label === descriptor.FieldDescriptorProto.Label.LABEL_REPEATED && mapEntries.has(entryName)) {
+        const entry = type.nested[entryName];
+        type.add(new protobuf.MapField(field.name, field.number, entry.fields.key.type,
+          entry.fields.value.type, parsed.options, parsed.comment));
+      } else {
+        if (field.proto3Optional) {
+          parsed.setOption('proto3_optional', true);
         }
-        
-        console.log(`File not found: ${filename}`);
-        return Promise.reject(new Error(`File not found: ${filename}`));
-      };
+        type.add(parsed);
+      }
     }
     
-    // Parse the proto content
-    await protobuf.parse(protoContent, root, { keepCase: true });
-    console.log('Proto content parsed successfully');
+    // fromDescriptor also marks the message holding a map entry, instead of the entry, as map_entry
+    if (mapEntries.size > 0) {
+      delete type.options.map_entry;
+    }
+    for (const nestedType of messageType.nestedType) {
+      if (mapEntries.has(nestedType.name)) {
+        type.remove(type.nested[nestedType.name]);
+      } else {
+        restoreParsedFields(type.nested[nestedType.name], nestedType);
+      }
+    }
+  }
+  
+  // Definitions keep the .proto path they were compiled from, like parsed sources do
+  function setFilename(definition, filename) {
+    definition.filename = filename;
+    for (const nested of definition.nestedArray || []) {
+      setFilename(nested, filename);
+    }
+  }
+  
+  for (const fileDescriptor of fileDescriptorSet.file) {
+    if (getWellKnownProtoName(fileDescriptor.name)) {
+      continue;
+    }
     
-    // Extract services and their methods
-    const methodMap = {};
+    console.log(`Loading ${fileDescriptor.name} from descriptor set ${name}`);
+    const edition = getDescriptorEdition(fileDescriptor);
+    const filePackage = fileDescriptor.package ? root.define(fileDescriptor.package) : root;
+    const definitions = [
+      ...fileDescriptor.messageType.map(messageType => {
+        const type = protobuf.Type.fromDescriptor(messageType, edition);
+        restoreParsedFields(type, messageType);
+        return type;
+      }),
+      ...fileDescriptor.enumType.map(enumType => protobuf.Enum.fromDescriptor(enumType, edition)),
+      ...fileDescriptor.service.map(service => protobuf.Service.fromDescriptor(service, edition)),
+      ...fileDescriptor.extension.map(field => protobuf.Field.fromDescriptor(field, edition))
+    ];
+    for (const definition of definitions) {
+      setFilename(definition, fileDescriptor.name);
+      filePackage.add(definition);
+    }
     
-    function extractServices(namespace, prefix = '') {
-      for (const [name, nested] of Object.entries(namespace.nested || {})) {
-        if (nested instanceof protobuf.Service) {
-          console.log(`Found service: ${name}`);
-          
-          // Process each method in the service
-          for (const [methodName, method] of Object.entries(nested.methods)) {
-            console.log(`  Processing method: ${methodName} -> ${method.requestType}`);
-            
-            try {
-              // Find the request message type
-              const requestType = root.lookupType(method.requestType);
-              
-              // Generate empty JSON template for the request
-              const jsonTemplate = generateEmptyJsonTemplate(requestType);
-              
-              // Store in the map
-              methodMap[methodName] = jsonTemplate;
-              
-            } catch (error) {
-              console.error(`Error processing method ${methodName}:`, error.message);
-              // Fallback to empty object
-              methodMap[methodName] = {};
-            }
-          }
-        } else if (nested.nested) {
-          // Recursively check nested namespaces
-          extractServices(nested, prefix ? `${prefix}.${name}` : name);
+    // File options such as go_package are kept on the package, as the .proto parser does
+    if (fileDescriptor.options) {
+      const options = descriptor.FileOptions.toObject(fileDescriptor.options);
+      for (const [key, value] of Object.entries(options)) {
+        if (key !== 'uninterpretedOption') {
+          filePackage.setOption(key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`), value);
         }
       }
     }
-    
-    extractServices(root);
-    
-    console.log(`Extracted ${Object.keys(methodMap).length} methods:`, Object.keys(methodMap));
-    return methodMap;
-    
-  } catch (error) {
-    console.error('Error parsing proto content:', error.message);
-    throw error;
   }
 }
 
 /**
- * Extract enum values for each field in each service method
- * @param {string} protoContent - The proto file content as string
- * @param {Map<string, string>} importFiles - Optional map of import file names to their content
- * @returns {Promise<Object>} Map where key = method name, value = map of field names to enum values
+ * Parse proto content into a new root, following its imports through the given files.
+ * Files named .pb or .desc are binary descriptor sets, given as Buffers, and have no imports to follow.
+ * @param {string|Buffer} protoContent - The proto file content as string, or a descriptor set
+ * @param {Map<string, string|Buffer>} importFiles - Optional map of relative file paths to their content
+ * @param {string} filename - Relative path of the proto content, used for import reporting
+ * @param {Array<string>} [entryFiles] - Further files of importFiles to load with their imports,
+ *   e.g. the other files of an upload; ones that fail to parse are skipped and reported
+ * @returns {Promise<{root: protobuf.Root, missingImports: Array<{importPath: string, importedFrom: string}>,
+ *   skippedFiles: Array<{file: string, error: string}>}>} The loaded root, the imports that could not
+ *   be found and the entry files that were skipped
  */
-async function getEnumFieldsMap(protoContent, importFiles = null) {
-  try {
-    console.log(`Extracting enum fields from proto content (${protoContent.length} characters)`);
+async function loadProtoRoot(protoContent, importFiles = null, filename = 'main.proto', entryFiles = []) {
+  // Well-known google.protobuf types are always available, even without an import
+  const root = addWellKnownTypes(new protobuf.Root());
+  const loadedFiles = new Set();
+  const missingImports = [];
+  const skippedFiles = [];
+  
+  function parseFile(name, content) {
+    loadedFiles.add(name);
     
-    // Create a new protobuf root
-    const root = new protobuf.Root();
+    if (isDescriptorSet(name)) {
+      addDescriptorSet(root, content, name);
+      return;
+    }
     
-    // Add common google protobuf types
-    root.define('google.protobuf').add(
-      new protobuf.Type('Timestamp').add(
-        new protobuf.Field('seconds', 1, 'int64'),
-        new protobuf.Field('nanos', 2, 'int32')
-      )
-    );
+    protobuf.parse.filename = name;
+    let parsed;
+    try {
+      // alternateCommentMode keeps plain // and /* */ comments (leading, or trailing when there is none) for the schema browser
+      parsed = protobuf.parse(content, root, { keepCase: true, alternateCommentMode: true });
+    } finally {
+      protobuf.parse.filename = null;
+    }
     
-    // Set up import resolution if importFiles are provided
-    if (importFiles) {
-      console.log(`Setting up import resolution for ${importFiles.size} files`);
+    const imports = [...(parsed.imports || []), ...(parsed.weakImports || [])];
+    for (const importPath of imports) {
+      // google/protobuf imports are served by the preloaded well-known types
+      if (getWellKnownProtoName(importPath)) {
+        continue;
+      }
       
-      // Add a custom resolvePath function
-      root.resolvePath = function(origin, target) {
-        console.log(`Resolving: ${target} from ${origin}`);
-        for (const [filename, content] of importFiles) {
-          if (filename.endsWith(target) || filename === target) {
-            console.log(`Found exact match: ${filename}`);
-            return filename;
-          }
-        }
-        console.log(`No match found for: ${target}, returning as-is`);
-        return target;
-      };
+      const resolved = resolveImportPath(importPath, importFiles);
+      if (!resolved) {
+        console.log(`Import not found: ${importPath} (imported from ${name})`);
+        missingImports.push({ importPath, importedFrom: name });
+        continue;
+      }
       
-      // Custom fetch function to provide file contents
-      root.fetch = function(filename) {
-        console.log(`Fetching file: ${filename}`);
-        const content = importFiles.get(filename);
-        if (content) {
-          console.log(`Found content for ${filename}`);
-          return Promise.resolve(content);
-        }
-        
-        // Try to find by basename or partial match
-        for (const [key, value] of importFiles) {
-          if (key.endsWith(filename) || path.basename(key) === path.basename(filename)) {
-            console.log(`Found by basename: ${key} for ${filename}`);
-            return Promise.resolve(value);
-          }
-        }
-        
-        console.log(`File not found: ${filename}`);
-        return Promise.reject(new Error(`File not found: ${filename}`));
-      };
+      if (!loadedFiles.has(resolved)) {
+        console.log(`Loading import: ${importPath} -> ${resolved}`);
+        parseFile(resolved, importFiles.get(resolved));
+      }
     }
-    
-    // Parse the proto content
-    await protobuf.parse(protoContent, root, { keepCase: true });
-    console.log('Proto content parsed successfully for enum fields extraction');
-    
-    // Extract enum fields for each method
-    const enumFieldsMap = {};
-    
-    function extractEnumFields(namespace, prefix = '') {
-      for (const [name, nested] of Object.entries(namespace.nested || {})) {
-        if (nested instanceof protobuf.Service) {
-          console.log(`Found service: ${name} - extracting enum fields`);
-          
-          // Process each method in the service
-          for (const [methodName, method] of Object.entries(nested.methods)) {
-            console.log(`  Processing method: ${methodName} -> ${method.requestType}`);
-            
-            try {
-              // Find the request message type
-              const requestType = root.lookupType(method.requestType);
-              
-              // Extract enum fields from the request type
-              const enumFields = getEnumFieldsFromType(requestType, root);
-              
-              // Store in the map
-              enumFieldsMap[methodName] = enumFields;
-              
-              console.log(`    Enum fields for ${methodName}:`, Object.keys(enumFields));
-              
-            } catch (error) {
-              console.error(`Error processing method ${methodName}:`, error.message);
-              // Fallback to empty object
-              enumFieldsMap[methodName] = {};
-            }
-          }
-        } else if (nested.nested) {
-          // Recursively check nested namespaces
-          extractEnumFields(nested, prefix ? `${prefix}.${name}` : name);
-        }
+  }
+  
+  parseFile(filename, protoContent);
+  
+  for (const entryFile of entryFiles) {
+    if (loadedFiles.has(entryFile) || !importFiles || !importFiles.has(entryFile)) {
+      continue;
+    }
+    try {
+      parseFile(entryFile, importFiles.get(entryFile));
+    } catch (error) {
+      // E.g. a second copy of a file under another include path redefining the same types
+      console.log(`Skipping ${entryFile}: ${error.message}`);
+      skippedFiles.push({ file: entryFile, error: error.message });
+    }
+  }
+  
+  // Field presence (`required`, `hasPresence`) depends on the features of each file's syntax or edition,
+  // which protobufjs resolves in resolveAll; each package is resolved on its own so that a type missing
+  // from one does not leave the others unresolved
+  for (const nested of root.nestedArray) {
+    if (nested instanceof protobuf.Namespace) {
+      try {
+        nested.resolveAll();
+      } catch (error) {
+        console.log(`Could not resolve every type in ${nested.fullName}: ${error.message}`);
       }
     }
-    
-    extractEnumFields(root);
-    
-    console.log(`Extracted enum fields for ${Object.keys(enumFieldsMap).length} methods`);
-    return enumFieldsMap;
-    
+  }
+  
+  return { root, missingImports, skippedFiles };
+}
+
+// Schema models of recently loaded proto sets by content hash, least recently used first
+const schemaModelCache = new Map();
+const SCHEMA_MODEL_CACHE_SIZE = 20;
+
+/**
+ * Hash a proto set, so identical uploads share one schema model
+ * @param {string} mainFileName - Relative path of the main proto file
+ * @param {Map<string, string|Buffer>} protoFiles - Map of relative paths to proto file content
+ * @param {Array<string>} entryFiles - Files loaded besides the main file
+ * @returns {string} Hex SHA-256 of the main and entry file names and every path and content
+ */
+function hashProtoFiles(mainFileName, protoFiles, entryFiles) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify([mainFileName, ...[...entryFiles].sort()]));
+  for (const filename of [...protoFiles.keys()].sort()) {
+    // Descriptor sets are Buffers and are hashed as they are
+    hash.update(`\0${filename}\0`).update(protoFiles.get(filename));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Describe what the frontend needs to know about a method's request message, apart from the
+ * template (see addRequestTemplates)
+ * @param {protobuf.Service} service - The service declaring the method
+ * @param {protobuf.Method} method - The method
+ * @returns {{fieldPresence: Object, enumFields: Object, oneofFields: Object, recursiveFields: Object}}
+ *   Presence of every field path, enum values, oneof groups and where recursive types are cut
+ */
+function describeMethodRequest(service, method) {
+  try {
+    const requestType = service.lookupType(method.requestType);
+    return {
+      fieldPresence: getFieldPresenceFromType(requestType),
+      enumFields: getEnumFieldsFromType(requestType),
+      oneofFields: getOneofFieldsFromType(requestType),
+      recursiveFields: getRecursiveFieldsFromType(requestType)
+    };
   } catch (error) {
-    console.error('Error extracting enum fields:', error.message);
-    throw error;
+    console.error(`Error processing method ${method.name}:`, error.message);
+    return { fieldPresence: {}, enumFields: {}, oneofFields: {}, recursiveFields: {} };
   }
 }
 
 /**
- * Extract enum field names and their values from a protobuf message type
- * @param {protobuf.Type} messageType - The protobuf message type
- * @param {protobuf.Root} root - The protobuf root for type lookup
- * @returns {Object} Map where key = field path, value = array of enum values
+ * Get the catalog key of a method: its fully qualified service name and method name
+ * @param {protobuf.Service} service - The service declaring the method
+ * @param {string} methodName - Method name
+ * @returns {string} Key such as "example.v1.UserService/GetUser"
  */
-function getEnumFieldsFromType(messageType, root) {
-  const enumFields = {};
+function getMethodKey(service, methodName) {
+  return `${service.fullName.replace(/^\./, '')}/${methodName}`;
+}
+
+/**
+ * Load a proto set into one resolved schema model: the root with everything the main and entry
+ * files import, and for every service method its field presence, enum values, oneof groups and
+ * recursive fields. Models are cached by content hash, so loading identical files again returns
+ * the same model without parsing. The model is shared and must not be modified. Request templates
+ * are not part of it, as Timestamp fields hold the current time; see addRequestTemplates.
+ * @param {string} mainFileName - Relative path of the main proto file
+ * @param {Map<string, string|Buffer>} protoFiles - Map of relative paths to proto file content
+ *   (Buffers for descriptor sets), imports included
+ * @param {Array<string>} [entryFiles] - Further files whose services are included, e.g. all uploaded files
+ * @returns {Promise<Object>} Model with `hash`, `mainFile`, `root`, `missingImports`, `skippedFiles`
+ *   and `services` (by fully qualified name, e.g. "example.v1.UserService", with `methods` by name,
+ *   each with its `fullName` "package.Service/Method" and the request description)
+ */
+async function loadSchemaModel(mainFileName, protoFiles, entryFiles = []) {
+  const hash = hashProtoFiles(mainFileName, protoFiles, entryFiles);
+  if (schemaModelCache.has(hash)) {
+    const cached = schemaModelCache.get(hash);
+    schemaModelCache.delete(hash);
+    schemaModelCache.set(hash, cached);
+    console.log(`Schema model cache hit for ${mainFileName} (${hash.substring(0, 12)})`);
+    return cached;
+  }
   
-  function extractEnumFieldsRecursive(type, fieldPrefix = '') {
-    for (const field of type.fieldsArray) {
-      const fieldPath = fieldPrefix ? `${fieldPrefix}.${field.name}` : field.name;
-      
-      // Check if this field is an enum type
-      try {
-        // First, try to find enum in nested types of the current message
-        if (type.nested && type.nested[field.type] && type.nested[field.type] instanceof protobuf.Enum) {
-          const enumType = type.nested[field.type];
-          const enumValues = Object.keys(enumType.values);
-          enumFields[fieldPath] = enumValues;
-          console.log(`    Found enum field ${fieldPath}: [${enumValues.join(', ')}]`);
-        } else {
-          // Try to resolve the field type as an enum
-          try {
-            const resolvedType = root.lookupEnum(field.type);
-            if (resolvedType) {
-              const enumValues = Object.keys(resolvedType.values);
-              enumFields[fieldPath] = enumValues;
-              console.log(`    Found enum field ${fieldPath}: [${enumValues.join(', ')}]`);
-            }
-          } catch (enumError) {
-            // Not an enum, check if it's a message type for recursive processing
-            try {
-              let nestedType = null;
-              
-              // Try to get the resolved type first
-              if (field.resolvedType && field.resolvedType instanceof protobuf.Type) {
-                nestedType = field.resolvedType;
-              } else if (type.nested && type.nested[field.type] && type.nested[field.type] instanceof protobuf.Type) {
-                // Try nested types within current message
-                nestedType = type.nested[field.type];
-              } else {
-                // Try to resolve from root
-                nestedType = root.lookupType(field.type);
-              }
-              
-              if (nestedType && nestedType instanceof protobuf.Type) {
-                extractEnumFieldsRecursive(nestedType, fieldPath);
-              }
-            } catch (messageError) {
-              // Not a message type either, just continue
-            }
-          }
+  const mainContent = protoFiles.get(mainFileName);
+  if (mainContent === undefined) {
+    throw new Error(`Main proto file not found: ${mainFileName}`);
+  }
+  
+  console.log(`Loading schema model for ${mainFileName} (${protoFiles.size} files)`);
+  const { root, missingImports, skippedFiles } = await loadProtoRoot(mainContent, protoFiles, mainFileName, entryFiles);
+  
+  const model = {
+    hash,
+    mainFile: mainFileName,
+    root,
+    missingImports,
+    skippedFiles,
+    services: {}
+  };
+  
+  function extractServices(namespace) {
+    for (const [name, nested] of Object.entries(namespace.nested || {})) {
+      if (nested instanceof protobuf.Service) {
+        // Services of different packages may share a name, so they are keyed by their full name
+        const serviceKey = nested.fullName.replace(/^\./, '');
+        console.log(`Found service: ${serviceKey} (${nested.filename})`);
+        model.services[serviceKey] = {
+          name,
+          fullName: nested.fullName,
+          package: nested.parent.fullName.replace(/^\./, ''),
+          file: nested.filename,
+          methods: {}
+        };
+        
+        for (const [methodName, method] of Object.entries(nested.methods)) {
+          model.services[serviceKey].methods[methodName] = {
+            name: methodName,
+            fullName: getMethodKey(nested, methodName),
+            requestType: method.requestType,
+            responseType: method.responseType,
+            ...describeMethodRequest(nested, method)
+          };
         }
-      } catch (error) {
-        // If we can't resolve the type, just continue
-        console.log(`Could not resolve type for field ${fieldPath}: ${error.message}`);
+      } else if (nested.nested) {
+        extractServices(nested);
       }
     }
   }
   
-  extractEnumFieldsRecursive(messageType);
-  return enumFields;
+  extractServices(root);
+  const methodKeys = Object.values(model.services).flatMap(service => Object.values(service.methods).map(method => method.fullName));
+  console.log(`Extracted ${methodKeys.length} methods:`, methodKeys);
+  
+  schemaModelCache.set(hash, model);
+  if (schemaModelCache.size > SCHEMA_MODEL_CACHE_SIZE) {
+    schemaModelCache.delete(schemaModelCache.keys().next().value);
+  }
+  return model;
+}
+
+/**
+ * Add a freshly generated request template to every method of a set of services
+ * @param {Object} services - Services of a schema model or a stored catalog, by fully qualified name
+ * @param {protobuf.Root} root - The resolved root the services were loaded from
+ * @returns {Object} Copy of the services whose methods have a `jsonTemplate`
+ */
+function addRequestTemplates(services, root) {
+  const result = {};
+  for (const [serviceKey, service] of Object.entries(services)) {
+    const methods = {};
+    for (const [methodName, method] of Object.entries(service.methods)) {
+      let jsonTemplate = {};
+      try {
+        const protoService = root.lookupService(serviceKey);
+        jsonTemplate = generateEmptyJsonTemplate(protoService.lookupType(protoService.methods[methodName].requestType));
+      } catch (error) {
+        console.error(`Error generating template for ${method.fullName}:`, error.message);
+      }
+      methods[methodName] = { ...method, jsonTemplate };
+    }
+    result[serviceKey] = { ...service, methods };
+  }
+  return result;
 }
 
 /**
- * Extract optional fields for each service method
+ * Parse proto content and return a map of service methods to their request JSON templates
  * @param {string} protoContent - The proto file content as string
  * @param {Map<string, string>} importFiles - Optional map of import file names to their content
- * @returns {Promise<Object>} Map where key = method name, value = array of optional field names
+ * @returns {Promise<Object>} Map where key = "package.Service/Method", value = empty JSON request object
  */
-async function getOptionalFieldsMap(protoContent, importFiles = null) {
+async function parseProtoContent(protoContent, importFiles = null) {
   try {
-    console.log(`Extracting optional fields from proto content (${protoContent.length} characters)`);
-    
-    // Create a new protobuf root
-    const root = new protobuf.Root();
-    
-    // Add common google protobuf types
-    root.define('google.protobuf').add(
-      new protobuf.Type('Timestamp').add(
-        new protobuf.Field('seconds', 1, 'int64'),
-        new protobuf.Field('nanos', 2, 'int32')
-      )
-    );
-    
-    // Set up import resolution if importFiles are provided
-    if (importFiles) {
-      console.log(`Setting up import resolution for ${importFiles.size} files`);
-      
-      // Add a custom resolvePath function
-      root.resolvePath = function(origin, target) {
-        console.log(`Resolving: ${target} from ${origin}`);
-        for (const [filename, content] of importFiles) {
-          if (filename.endsWith(target) || filename === target) {
-            console.log(`Found exact match: ${filename}`);
-            return filename;
-          }
-        }
-        console.log(`No match found for: ${target}, returning as-is`);
-        return target;
-      };
-      
-      // Custom fetch function to provide file contents
-      root.fetch = function(filename) {
-        console.log(`Fetching file: ${filename}`);
-        const content = importFiles.get(filename);
-        if (content) {
-          console.log(`Found content for ${filename}`);
-          return Promise.resolve(content);
-        }
-        
-        // Try to find by basename or partial match
-        for (const [key, value] of importFiles) {
-          if (key.endsWith(filename) || path.basename(key) === path.basename(filename)) {
-            console.log(`Found by basename: ${key} for ${filename}`);
-            return Promise.resolve(value);
-          }
-        }
-        
-        console.log(`File not found: ${filename}`);
-        return Promise.reject(new Error(`File not found: ${filename}`));
-      };
-    }
-    
-    // Parse the proto content
-    await protobuf.parse(protoContent, root, { keepCase: true });
-    console.log('Proto content parsed successfully for optional fields extraction');
-    
-    // Extract explicit optional fields from proto content using text parsing
-    const explicitOptionalFields = parseExplicitOptionalFields(protoContent);
-    
-    // Extract optional fields for each method
-    const optionalFieldsMap = {};
-    
-    function extractOptionalFields(namespace, prefix = '') {
-      for (const [name, nested] of Object.entries(namespace.nested || {})) {
-        if (nested instanceof protobuf.Service) {
-          console.log(`Found service: ${name} - extracting optional fields`);
-          
-          // Process each method in the service
-          for (const [methodName, method] of Object.entries(nested.methods)) {
-            console.log(`  Processing method: ${methodName} -> ${method.requestType}`);
-            
-            try {
-              // Find the request message type
-              const requestType = root.lookupType(method.requestType);
-              
-              // Extract optional fields from the request type
-              const optionalFields = getOptionalFieldsFromTypeWithExplicit(requestType, explicitOptionalFields);
-              
-              // Store in the map
-              optionalFieldsMap[methodName] = optionalFields;
-              
-              console.log(`    Optional fields for ${methodName}:`, optionalFields);
-              
-            } catch (error) {
-              console.error(`Error processing method ${methodName}:`, error.message);
-              // Fallback to empty array
-              optionalFieldsMap[methodName] = [];
-            }
-          }
-        } else if (nested.nested) {
-          // Recursively check nested namespaces
-          extractOptionalFields(nested, prefix ? `${prefix}.${name}` : name);
-        }
+    console.log(`Parsing proto content (${protoContent.length} characters)`);
+    const protoFiles = new Map(importFiles || []).set('main.proto', protoContent);
+    const { services, root } = await loadSchemaModel('main.proto', protoFiles);
+    const methodTemplates = {};
+    for (const service of Object.values(addRequestTemplates(services, root))) {
+      for (const method of Object.values(service.methods)) {
+        methodTemplates[method.fullName] = method.jsonTemplate;
       }
     }
-    
-    extractOptionalFields(root);
-    
-    console.log(`Extracted optional fields for ${Object.keys(optionalFieldsMap).length} methods`);
-    return optionalFieldsMap;
+    return methodTemplates;
     
   } catch (error) {
-    console.error('Error extracting optional fields:', error.message);
+    console.error('Error parsing proto content:', error.message);
     throw error;
   }
 }
 
 /**
- * Parse proto content to find fields with explicit 'optional' keyword
- * @param {string} protoContent - The proto file content
- * @returns {Set<string>} Set of field paths that have explicit optional keyword
+ * Extract enum field names and their values from a protobuf message type
+ * @param {protobuf.Type} messageType - The protobuf message type
+ * @returns {Object} Map where key = field path, value = array of enum values
  */
-function parseExplicitOptionalFields(protoContent) {
-  const explicitOptionalFields = new Set();
-  const lines = protoContent.split('\n');
-  
-  let messageStack = [];
-  let braceDepth = 0;
+function getEnumFieldsFromType(messageType) {
+  const enumFields = {};
   
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmedLine = line.trim();
-    
-    // Skip comments and empty lines
-    if (trimmedLine.startsWith('//') || trimmedLine === '') continue;
-    
-    // Track message declarations
-    const messageMatch = trimmedLine.match(/^\s*message\s+(\w+)/);
-    if (messageMatch) {
-      const messageName = messageMatch[1];
-      messageStack.push(messageName);
-      console.log(`Entering message: ${messageStack.join('.')}`);
-    }
-    
-    // Track braces to know when we exit messages
-    const openBraces = (line.match(/{/g) || []).length;
-    const closeBraces = (line.match(/}/g) || []).length;
-    braceDepth += openBraces - closeBraces;
-    
-    // If we have closing braces and we're exiting a message
-    if (closeBraces > 0 && messageStack.length > 0) {
-      for (let j = 0; j < closeBraces; j++) {
-        if (messageStack.length > 0) {
-          const exitedMessage = messageStack.pop();
-          console.log(`Exiting message: ${exitedMessage}, remaining stack: ${messageStack.join('.')}`);
-        }
+  function extractEnumFieldsRecursive(type, fieldPrefix = '', typesOnPath = new Set([type])) {
+    for (const field of type.fieldsArray) {
+      const fieldPath = fieldPrefix ? `${fieldPrefix}.${field.name}` : field.name;
+      
+      // Field types are resolved from the field's own scope, so same-named types of other packages do not match
+      try {
+        field.resolve();
+      } catch (error) {
+        console.log(`Could not resolve type for field ${fieldPath}: ${error.message}`);
+        continue;
       }
-    }
-    
-    // Find lines with explicit optional keyword
-    if (trimmedLine.startsWith('optional ')) {
-      const fieldMatch = trimmedLine.match(/optional\s+[\w.]+\s+(\w+)\s*=/);
-      if (fieldMatch) {
-        const fieldName = fieldMatch[1];
-        const fullPath = messageStack.length > 0 ? `${messageStack.join('.')}.${fieldName}` : fieldName;
-        explicitOptionalFields.add(fullPath);
-        console.log(`Found explicit optional field: ${fullPath}`);
+      
+      const resolvedType = field.resolvedType;
+      if (resolvedType instanceof protobuf.Enum) {
+        const enumValues = Object.keys(resolvedType.values);
+        enumFields[fieldPath] = enumValues;
+        console.log(`    Found enum field ${fieldPath}: [${enumValues.join(', ')}]`);
+      } else if (resolvedType instanceof protobuf.Type && !hasWellKnownTemplate(resolvedType.fullName) && !typesOnPath.has(resolvedType)) {
+        // Well-known types are written in their own JSON form, so their internals are not listed
+        // Recursive types are followed once, their enums are the same further down
+        extractEnumFieldsRecursive(resolvedType, fieldPath, new Set([...typesOnPath, resolvedType]));
       }
     }
   }
   
-  return explicitOptionalFields;
+  extractEnumFieldsRecursive(messageType);
+  return enumFields;
 }
 
 /**
- * Extract optional field names from a protobuf message type using both protobuf metadata and explicit parsing
+ * Extract the oneof groups of a message type and its nested message fields
  * @param {protobuf.Type} messageType - The protobuf message type
- * @param {Set<string>} explicitOptionalFields - Set of explicitly optional field paths
- * @returns {Array<string>} Array of optional field names (including nested paths)
+ * @returns {Object} Map where key = oneof path, value = { selected, members } with the member
+ *   used in the JSON template and all alternatives
  */
-function getOptionalFieldsFromTypeWithExplicit(messageType, explicitOptionalFields) {
-  const optionalFields = [];
+function getOneofFieldsFromType(messageType) {
+  const oneofFields = {};
   
-  function extractOptionalFieldsRecursive(type, fieldPrefix = '', typePrefix = '') {
+  function extractOneofsRecursive(type, fieldPrefix, typesOnPath) {
+    for (const oneof of getRealOneofs(type)) {
+      const oneofPath = fieldPrefix ? `${fieldPrefix}.${oneof.name}` : oneof.name;
+      const members = oneof.fieldsArray.map(field => field.name);
+      oneofFields[oneofPath] = { selected: members[0], members };
+    }
+    
+    // Only fields that appear in the template are followed
+    const skipped = new Set(getRealOneofs(type).flatMap(oneof => oneof.fieldsArray.slice(1).map(field => field.name)));
     for (const field of type.fieldsArray) {
-      const fieldPath = fieldPrefix ? `${fieldPrefix}.${field.name}` : field.name;
-      const typePath = typePrefix ? `${typePrefix}.${type.name}.${field.name}` : `${type.name}.${field.name}`;
+      if (skipped.has(field.name)) continue;
       
-      // Check if this field path is in our explicit optional fields set
-      if (explicitOptionalFields.has(typePath)) {
-        optionalFields.push(fieldPath);
+      let nestedType = null;
+      try {
+        nestedType = field.resolve().resolvedType;
+      } catch {
+        // Unresolved type
       }
       
-      // If this field is a message type, recursively check its fields
-      try {
-        if (field.resolvedType && field.resolvedType instanceof protobuf.Type) {
-          extractOptionalFieldsRecursive(field.resolvedType, fieldPath, typePrefix ? `${typePrefix}.${type.name}` : type.name);
-        } else {
-          // Try to find nested types within the current message
-          const nestedTypeName = field.type;
-          if (type.nested && type.nested[nestedTypeName] && type.nested[nestedTypeName] instanceof protobuf.Type) {
-            extractOptionalFieldsRecursive(type.nested[nestedTypeName], fieldPath, typePrefix ? `${typePrefix}.${type.name}` : type.name);
-          }
-        }
-      } catch (error) {
-        // If we can't resolve the type, just continue
-        console.log(`Could not resolve nested type for field ${fieldPath}: ${error.message}`);
+      if (nestedType instanceof protobuf.Type && !hasWellKnownTemplate(nestedType.fullName) && !typesOnPath.has(nestedType)) {
+        const fieldPath = fieldPrefix ? `${fieldPrefix}.${field.name}` : field.name;
+        extractOneofsRecursive(nestedType, fieldPath, new Set([...typesOnPath, nestedType]));
       }
     }
   }
   
-  extractOptionalFieldsRecursive(messageType);
-  return optionalFields;
+  extractOneofsRecursive(messageType, '', new Set([messageType]));
+  return oneofFields;
+}
+
+/**
+ * Get the presence of a field, i.e. whether "not set" can be told apart from its default value
+ * and whether it may be left out. Needs a root whose features are resolved (see loadProtoRoot).
+ * @param {protobuf.Field} field - The field definition
+ * @returns {string} "required" (proto2 `required`), "oneof" (member of a declared oneof),
+ *   "optional" (proto3 `optional`, proto2 `optional` or explicit presence in editions),
+ *   "has-presence" (singular message fields, which are always nullable) or "implicit"
+ *   (plain proto3 scalars and enums, repeated and map fields, which read as their default when unset)
+ */
+function getFieldPresence(field) {
+  try {
+    field.resolve();
+  } catch {
+    // Unresolvable types are treated as scalars
+  }
+  
+  if (field.repeated || field.map) {
+    return 'implicit';
+  }
+  if (field.partOf && !(field.options && field.options.proto3_optional)) {
+    return 'oneof';
+  }
+  if (field.required) {
+    return 'required';
+  }
+  if (field.hasPresence) {
+    return 'optional';
+  }
+  return field.resolvedType instanceof protobuf.Type ? 'has-presence' : 'implicit';
 }
 
 /**
- * Extract optional field names from a protobuf message type
+ * Get the presence of every field of a message type and its nested message fields, by their
+ * path in the request template: the oneof members the template leaves out are not listed, and
+ * the fields of map values are listed below the template's example key (e.g. "addresses.key.city")
  * @param {protobuf.Type} messageType - The protobuf message type
- * @returns {Array<string>} Array of optional field names (including nested paths)
+ * @returns {Object} Map where key = field path, value = presence category (see getFieldPresence)
  */
-function getOptionalFieldsFromType(messageType) {
-  const optionalFields = [];
+function getFieldPresenceFromType(messageType) {
+  const fieldPresence = {};
   
-  function extractOptionalFieldsRecursive(type, fieldPrefix = '') {
+  function extractPresenceRecursive(type, fieldPrefix, typesOnPath) {
+    const skipped = new Set(getRealOneofs(type).flatMap(oneof => oneof.fieldsArray.slice(1).map(field => field.name)));
     for (const field of type.fieldsArray) {
+      if (skipped.has(field.name)) continue;
+      
       const fieldPath = fieldPrefix ? `${fieldPrefix}.${field.name}` : field.name;
+      fieldPresence[fieldPath] = getFieldPresence(field);
       
-      // Check if the field has explicit optional keyword
-      if (field.rule === 'optional') {
-        optionalFields.push(fieldPath);
-      }
-      
-      // If this field is a message type, recursively check its fields
-      try {
-        if (field.resolvedType && field.resolvedType instanceof protobuf.Type) {
-          extractOptionalFieldsRecursive(field.resolvedType, fieldPath);
-        } else {
-          // Try to find nested types within the current message
-          const nestedTypeName = field.type;
-          if (type.nested && type.nested[nestedTypeName] && type.nested[nestedTypeName] instanceof protobuf.Type) {
-            extractOptionalFieldsRecursive(type.nested[nestedTypeName], fieldPath);
-          }
-        }
-      } catch (error) {
-        // If we can't resolve the type, just continue
-        console.log(`Could not resolve nested type for field ${fieldPath}: ${error.message}`);
+      // Well-known types are written in their own JSON form, so their internals are not listed
+      const nestedType = field.resolvedType;
+      if (nestedType instanceof protobuf.Type && !hasWellKnownTemplate(nestedType.fullName) && !typesOnPath.has(nestedType)) {
+        const nestedPrefix = field.map ? `${fieldPath}.${getExampleMapKey(field.keyType)}` : fieldPath;
+        extractPresenceRecursive(nestedType, nestedPrefix, new Set([...typesOnPath, nestedType]));
       }
     }
   }
   
-  extractOptionalFieldsRecursive(messageType);
-  return optionalFields;
+  extractPresenceRecursive(messageType, '', new Set([messageType]));
+  return fieldPresence;
 }
 
 /**
- * Generate an empty JSON template for a protobuf message type
+ * Generate an empty JSON template for a protobuf message type. Recursive types (a message
+ * containing itself, directly or through other messages) are expanded up to the recursion
+ * depth; at that point singular fields are null and repeated and map fields are empty.
  * @param {protobuf.Type} messageType - The protobuf message type
+ * @param {Object} [options] - `realistic: true` fills fields with plausible values based on their names and types;
+ *   `maxRecursionDepth` overrides how often a type may be expanded inside itself (TEMPLATE_RECURSION_DEPTH, default 1)
+ * @param {Array<protobuf.Type>} [typesOnPath] - Message types being expanded around this one
  * @returns {Object} Empty JSON object with all fields set to appropriate empty values
  */
-function generateEmptyJsonTemplate(messageType) {
+function generateEmptyJsonTemplate(messageType, options = {}, typesOnPath = [messageType]) {
   const template = {};
   
+  // Only the first member of each oneof is set, the others are listed in the legend
+  const skippedOneofMembers = new Set();
+  for (const oneof of getRealOneofs(messageType)) {
+    for (const member of oneof.fieldsArray.slice(1)) {
+      skippedOneofMembers.add(member.name);
+    }
+  }
+  
   for (const field of messageType.fieldsArray) {
     const fieldName = field.name;
-    const fieldType = field.type;
     const isRepeated = field.rule === 'repeated';
-    const isOptional = field.optional;
+    
+    if (skippedOneofMembers.has(fieldName)) {
+      continue;
+    }
     
     // Generate empty value based on field type
-    let emptyValue = getEmptyValueForType(fieldType, messageType.root || messageType.parent, messageType);
+    let emptyValue = options.realistic ? getRealisticValueForField(field) : undefined;
+    if (emptyValue === undefined) {
+      emptyValue = getEmptyValueForType(field, options, typesOnPath);
+    }
     
-    // Handle repeated fields (arrays)
-    if (isRepeated) {
-      emptyValue = [];
+    if (emptyValue === RECURSION_CUT) {
+      emptyValue = field.map ? {} : (isRepeated ? [] : null);
+    } else if (field.map) {
+      // Handle map fields with one example entry (JSON map keys are always strings)
+      emptyValue = { [getExampleMapKey(field.keyType)]: emptyValue };
+    } else if (isRepeated) {
+      // Handle repeated fields (arrays) with one example element of the right shape
+      emptyValue = [emptyValue];
     }
     
     // Add field to template
@@ -593,15 +645,69 @@ function generateEmptyJsonTemplate(messageType) {
 }
 
 /**
- * Get appropriate empty value for a protobuf field type
- * @param {string} fieldType - The protobuf field type
- * @param {protobuf.Root} root - The protobuf root for type lookup
- * @param {protobuf.Type} parentType - The parent message type for nested lookups
+ * Get a plausible value for a scalar or enum field, e.g. an email address for "email"
+ * or the first non-default value of an enum
+ * @param {protobuf.Field} field - The field definition
+ * @returns {*} Sample value, or undefined for message fields and unresolvable types
+ */
+function getRealisticValueForField(field) {
+  try {
+    field.resolve();
+  } catch {
+    return undefined;
+  }
+  
+  if (field.resolvedType instanceof protobuf.Enum) {
+    if (hasWellKnownTemplate(field.resolvedType.fullName)) {
+      return undefined;
+    }
+    const entries = Object.entries(field.resolvedType.values);
+    const nonDefault = entries.find(([, number]) => number !== 0);
+    return (nonDefault || entries[0] || [''])[0];
+  }
+  
+  return field.resolvedType ? undefined : getSampleValue(field.name, field.type);
+}
+
+/**
+ * Get the oneofs declared in a message, leaving out the synthetic oneofs
+ * protobufjs creates for proto3 `optional` fields
+ * @param {protobuf.Type} messageType - The protobuf message type
+ * @returns {Array<protobuf.OneOf>} Declared oneofs
+ */
+function getRealOneofs(messageType) {
+  return messageType.oneofsArray.filter(oneof =>
+    !(oneof.fieldsArray.length === 1 && oneof.fieldsArray[0].options && oneof.fieldsArray[0].options.proto3_optional)
+  );
+}
+
+/**
+ * Get an example JSON key for a map field
+ * @param {string} keyType - The protobuf map key type
+ * @returns {string} Example key matching the key type
+ */
+function getExampleMapKey(keyType) {
+  switch (keyType) {
+    case 'string':
+      return 'key';
+    case 'bool':
+      return 'true';
+    default:
+      // All remaining key types are integers
+      return '0';
+  }
+}
+
+/**
+ * Get appropriate empty value for a protobuf field's type
+ * @param {protobuf.Field} field - The field definition; message and enum types are resolved from its scope
+ * @param {Object} [options] - Template options, passed on to nested messages
+ * @param {Array<protobuf.Type>} [typesOnPath] - Message types being expanded, for cutting recursion
  * @returns {*} Appropriate empty value
  */
-function getEmptyValueForType(fieldType, root, parentType) {
+function getEmptyValueForType(field, options = {}, typesOnPath = []) {
   // Handle primitive types
-  switch (fieldType) {
+  switch (field.type) {
     case 'string':
       return '';
     case 'bool':
@@ -622,60 +728,98 @@ function getEmptyValueForType(fieldType, root, parentType) {
       return 0.0;
     case 'bytes':
       return '';
-    default:
-      // Handle special google protobuf types
-      if (fieldType === 'google.protobuf.Timestamp') {
-        // Return current time in ISO 8601 format for timestamp fields
-        return new Date().toISOString();
+    default: {
+      let resolvedType;
+      try {
+        resolvedType = field.resolve().resolvedType;
+      } catch {
+        // Unresolvable types are left empty
+        return '';
       }
       
-      // Try to find nested types first (within the current message)
-      if (parentType && parentType.nested && parentType.nested[fieldType]) {
-        const nestedType = parentType.nested[fieldType];
-        if (nestedType instanceof protobuf.Type) {
-          return generateEmptyJsonTemplate(nestedType);
-        } else if (nestedType instanceof protobuf.Enum) {
-          const values = Object.keys(nestedType.values);
-          return values.length > 0 ? values[0] : '';
+      // Handle custom message types, including well-known google protobuf types (Timestamp, Duration, wrappers, ...)
+      if (resolvedType instanceof protobuf.Type) {
+        return getEmptyValueForMessageType(resolvedType, options, typesOnPath);
+      }
+      if (resolvedType instanceof protobuf.Enum) {
+        if (hasWellKnownTemplate(resolvedType.fullName)) {
+          // google.protobuf.NullValue is written as null
+          return getWellKnownTemplate(resolvedType.fullName);
         }
+        // Return the first enum value (usually the default/zero value)
+        const values = Object.keys(resolvedType.values);
+        return values.length > 0 ? values[0] : '';
       }
+      return '';
+    }
+  }
+}
+
+/**
+ * Get the empty value for a resolved message type: the canonical JSON form for
+ * well-known types, otherwise a template of all its fields
+ * @param {protobuf.Type} messageType - The protobuf message type
+ * @param {Object} [options] - Template options
+ * @param {Array<protobuf.Type>} [typesOnPath] - Message types being expanded, for cutting recursion
+ * @returns {*} Appropriate empty value, or RECURSION_CUT when the type is expanded too often already
+ */
+function getEmptyValueForMessageType(messageType, options = {}, typesOnPath = []) {
+  if (hasWellKnownTemplate(messageType.fullName)) {
+    return getWellKnownTemplate(messageType.fullName);
+  }
+  if (isRecursionLimitReached(messageType, typesOnPath, options)) {
+    return RECURSION_CUT;
+  }
+  return generateEmptyJsonTemplate(messageType, options, [...typesOnPath, messageType]);
+}
+
+/**
+ * Whether expanding a message type once more would exceed the template recursion depth
+ * @param {protobuf.Type} messageType - The protobuf message type
+ * @param {Array<protobuf.Type>} typesOnPath - Message types being expanded around it
+ * @param {Object} [options] - Template options with an optional `maxRecursionDepth`
+ * @returns {boolean} True if the type has to be cut here
+ */
+function isRecursionLimitReached(messageType, typesOnPath, options = {}) {
+  const maxDepth = Math.max(1, options.maxRecursionDepth || TEMPLATE_RECURSION_DEPTH);
+  return typesOnPath.filter(type => type === messageType).length >= maxDepth;
+}
+
+/**
+ * Find the fields of a request template where a recursive message type is cut
+ * @param {protobuf.Type} messageType - The protobuf message type
+ * @param {Object} [options] - Template options with an optional `maxRecursionDepth`
+ * @returns {Object} Map where key = field path, value = fully qualified name of the recursive type
+ */
+function getRecursiveFieldsFromType(messageType, options = {}) {
+  const recursiveFields = {};
+  
+  function findRecursionRecursive(type, fieldPrefix, typesOnPath) {
+    // Only fields that appear in the template are followed
+    const skipped = new Set(getRealOneofs(type).flatMap(oneof => oneof.fieldsArray.slice(1).map(field => field.name)));
+    for (const field of type.fieldsArray) {
+      if (skipped.has(field.name)) continue;
       
-      // Handle custom message types and enums
       try {
-        // Try to resolve as a message type first
-        const nestedType = root.lookupType(fieldType);
-        if (nestedType) {
-          return generateEmptyJsonTemplate(nestedType);
-        }
+        field.resolve();
       } catch {
-        // If not found globally, try to find it relative to the current message
-        try {
-          // This might be a nested type - try different resolution strategies
-          const nestedType = root.lookupTypeOrEnum(fieldType);
-          if (nestedType && nestedType instanceof protobuf.Type) {
-            return generateEmptyJsonTemplate(nestedType);
-          } else if (nestedType && nestedType instanceof protobuf.Enum) {
-            // Handle enum
-            const values = Object.keys(nestedType.values);
-            return values.length > 0 ? values[0] : '';
-          }
-        } catch {
-          // If it's not a message type, might be an enum
-          try {
-            const enumType = root.lookupEnum(fieldType);
-            if (enumType) {
-              // Return the first enum value (usually the default/zero value)
-              const values = Object.keys(enumType.values);
-              return values.length > 0 ? values[0] : '';
-            }
-          } catch {
-            // If all else fails, return empty string
-            return '';
-          }
-        }
+        continue;
       }
-      return '';
+      
+      const nestedType = field.resolvedType;
+      if (!(nestedType instanceof protobuf.Type) || hasWellKnownTemplate(nestedType.fullName)) continue;
+      
+      const fieldPath = fieldPrefix ? `${fieldPrefix}.${field.name}` : field.name;
+      if (isRecursionLimitReached(nestedType, typesOnPath, options)) {
+        recursiveFields[fieldPath] = nestedType.fullName.replace(/^\./, '');
+      } else {
+        findRecursionRecursive(nestedType, fieldPath, [...typesOnPath, nestedType]);
+      }
+    }
   }
+  
+  findRecursionRecursive(messageType, '', [messageType]);
+  return recursiveFields;
 }
 
 /**
@@ -707,15 +851,20 @@ async function main() {
 // Export for use as a module
 module.exports = {
   parseProtoFile,
+  loadProtoRoot,
+  resolveImportPath,
+  loadSchemaModel,
+  addRequestTemplates,
+  getMethodKey,
+  isDescriptorSet,
   parseProtoContent,
-  getOptionalFieldsMap,
-  getEnumFieldsMap,
+  getOneofFieldsFromType,
+  getRecursiveFieldsFromType,
   generateEmptyJsonTemplate,
   getEmptyValueForType,
-  getOptionalFieldsFromType,
-  getOptionalFieldsFromTypeWithExplicit,
-  getEnumFieldsFromType,
-  parseExplicitOptionalFields
+  getFieldPresence,
+  getFieldPresenceFromType,
+  getEnumFieldsFromType
 };
 
 // Run main function if this script is executed directly
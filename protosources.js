@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+const protobuf = require('protobufjs');
+const { normalizeRelativePath } = require('./workspaces');
+const { isDescriptorSet } = require('./protoparser');
+const { getWellKnownProtoName } = require('./wellknown');
+
+// Guard against archives or directories that are far larger than any proto set
+const MAX_PROTO_FILES = 5000;
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+
+// Directories that never contain proto sources worth loading
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Check whether an uploaded file name looks like a supported archive
+ * @param {string} filename - Uploaded file name
+ * @returns {boolean} True for .zip, .tar, .tar.gz and .tgz files
+ */
+function isProtoArchive(filename) {
+  return /\.(zip|tar|tar\.gz|tgz)$/i.test(filename);
+}
+
+/**
+ * Check whether a file of an archive or directory is loaded: .proto sources and compiled descriptor sets
+ * @param {string} filename - File name or relative path
+ * @returns {boolean} True for .proto, .pb and .desc files
+ */
+function isProtoSource(filename) {
+  return filename.endsWith('.proto') || isDescriptorSet(filename);
+}
+
+/**
+ * Collects proto files while enforcing the size limits.
+ * Sources are kept as strings, descriptor sets as Buffers.
+ */
+class ProtoFileCollector {
+  constructor(source) {
+    this.source = source;
+    this.files = new Map();
+    this.totalBytes = 0;
+  }
+
+  add(relativePath, buffer) {
+    if (!isProtoSource(relativePath)) {
+      return;
+    }
+
+    this.totalBytes += buffer.length;
+    if (this.files.size >= MAX_PROTO_FILES || this.totalBytes > MAX_TOTAL_BYTES) {
+      throw new Error(`${this.source} is too large (limit: ${MAX_PROTO_FILES} proto files, ${MAX_TOTAL_BYTES / 1024 / 1024} MB)`);
+    }
+    this.files.set(normalizeRelativePath(relativePath), isDescriptorSet(relativePath) ? buffer : buffer.toString('utf8'));
+  }
+
+  /**
+   * Describe the collected files for log messages, e.g. "3 proto files and 1 descriptor sets"
+   * @returns {string} File counts
+   */
+  summary() {
+    const descriptorSets = [...this.files.keys()].filter(isDescriptorSet).length;
+    const protoFiles = `${this.files.size - descriptorSets} proto files`;
+    return descriptorSets > 0 ? `${protoFiles} and ${descriptorSets} descriptor sets` : protoFiles;
+  }
+}
+
+/**
+ * Extract all .proto files and .pb/.desc descriptor sets from a zip or (optionally gzipped) tar archive,
+ * keeping their relative paths
+ * @param {Buffer} buffer - Archive content
+ * @param {string} filename - Archive file name, used to pick the format
+ * @returns {Promise<Map<string, string|Buffer>>} Map of relative paths to proto file content
+ */
+async function extractProtoArchive(buffer, filename) {
+  const collector = new ProtoFileCollector(`Archive ${filename}`);
+
+  if (/\.zip$/i.test(filename)) {
+    const zip = new AdmZip(buffer);
+    for (const entry of zip.getEntries()) {
+      if (!entry.isDirectory) {
+        collector.add(entry.entryName, entry.getData());
+      }
+    }
+  } else {
+    await new Promise((resolve, reject) => {
+      // tar.Parse detects gzip compression on its own
+      const parser = new tar.Parse({
+        filter: (entryPath, entry) => entry.type === 'File' && isProtoSource(entryPath),
+        onentry: (entry) => {
+          const chunks = [];
+          entry.on('data', chunk => chunks.push(chunk));
+          entry.on('end', () => {
+            try {
+              collector.add(entry.path, Buffer.concat(chunks));
+            } catch (error) {
+              parser.abort(error);
+            }
+          });
+        }
+      });
+      parser.on('end', resolve);
+      parser.on('abort', reject);
+      parser.on('error', reject);
+      parser.end(buffer);
+    });
+  }
+
+  console.log(`Extracted ${collector.summary()} from ${filename}`);
+  return collector.files;
+}
+
+/**
+ * Read all .proto files and .pb/.desc descriptor sets below a local directory, keeping their paths relative to it
+ * @param {string} directory - Absolute directory path
+ * @returns {Promise<Map<string, string|Buffer>>} Map of relative paths to proto file content
+ */
+async function readProtoDirectory(directory) {
+  const collector = new ProtoFileCollector(`Directory ${directory}`);
+
+  async function walk(currentDir) {
+    const entries = await fs.readdir(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+          await walk(fullPath);
+        }
+      } else if (entry.isFile() && isProtoSource(entry.name)) {
+        const relativePath = path.relative(directory, fullPath).split(path.sep).join('/');
+        collector.add(relativePath, await fs.readFile(fullPath));
+      }
+    }
+  }
+
+  await walk(directory);
+  console.log(`Read ${collector.summary()} from ${directory}`);
+  return collector.files;
+}
+
+/**
+ * Read a single .proto file and the files it imports, directly or through other imports, from a local
+ * include directory the way `protoc -I <includeDir>` does. Imports that are not found there are left
+ * out and reported as missing when the set is loaded.
+ * @param {string} filePath - Absolute path of the .proto file
+ * @param {string} [includeDir] - Directory imports are relative to (default: the file's directory)
+ * @returns {Promise<{files: Map<string, string>, mainFile: string}>} The files by path relative to
+ *   the include directory, and the relative path of the file itself
+ */
+async function readProtoFileWithImports(filePath, includeDir = path.dirname(filePath)) {
+  const collector = new ProtoFileCollector(`Proto file ${filePath}`);
+  const mainFile = path.relative(includeDir, filePath).split(path.sep).join('/');
+
+  async function readWithImports(relativePath) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(path.join(includeDir, relativePath));
+    } catch (error) {
+      if (error.code === 'ENOENT' && relativePath !== mainFile) {
+        return;
+      }
+      throw error;
+    }
+    collector.add(relativePath, buffer);
+
+    const parsed = protobuf.parse(collector.files.get(relativePath), { keepCase: true });
+    for (const importPath of [...(parsed.imports || []), ...(parsed.weakImports || [])]) {
+      // google/protobuf imports are served by the preloaded well-known types
+      if (!getWellKnownProtoName(importPath) && !collector.files.has(importPath)) {
+        await readWithImports(importPath);
+      }
+    }
+  }
+
+  await readWithImports(mainFile);
+  console.log(`Read ${collector.summary()} for ${filePath}`);
+  return { files: collector.files, mainFile };
+}
+
+/**
+ * Resolve a directory requested by a client against the configured base directory
+ * @param {string} baseDir - Configured base directory (PROTO_BASE_DIR)
+ * @param {string} requestedDir - Directory relative to the base directory ('' for the base itself)
+ * @returns {string} Absolute directory path inside the base directory
+ */
+function resolveLocalDirectory(baseDir, requestedDir = '') {
+  const base = path.resolve(baseDir);
+  const resolved = path.resolve(base, requestedDir || '.');
+  if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+    throw new Error(`Directory is outside the configured proto directory: ${requestedDir}`);
+  }
+  return resolved;
+}
+
+/**
+ * Pick the proto file to use as the entry point when none was specified:
+ * the first file (in path order) that declares a service, or else the first descriptor set
+ * @param {Map<string, string|Buffer>} files - Map of relative paths to proto file content
+ * @returns {string} Relative path of the main proto file
+ */
+function findMainProtoFile(files) {
+  const paths = [...files.keys()].sort();
+  if (paths.length === 0) {
+    throw new Error('No .proto or descriptor set files found');
+  }
+  return paths.find(filePath => !isDescriptorSet(filePath) && /^\s*service\s+\w+/m.test(files.get(filePath))) ||
+    paths.find(isDescriptorSet) || paths[0];
+}
+
+/**
+ * Add the shared proto dependencies kept in a directory (the repo's imports/) under the "imports/" prefix.
+ * Files of the set itself win over shared files with the same path. The directory is optional: without it
+ * the set is returned as it is, while other read errors are thrown.
+ * @param {Map<string, string|Buffer>} protoFiles - Map of relative paths to proto file content
+ * @param {string} importsDir - Directory holding the shared protos
+ * @returns {Promise<Map<string, string|Buffer>>} A new map with the shared files added
+ */
+async function addSharedImports(protoFiles, importsDir) {
+  const files = new Map(protoFiles);
+  let sharedFiles;
+  try {
+    sharedFiles = await readProtoDirectory(importsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return files;
+    }
+    throw error;
+  }
+  for (const [relativePath, content] of sharedFiles) {
+    const protoPath = `imports/${relativePath}`;
+    if (!files.has(protoPath)) {
+      files.set(protoPath, content);
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  isProtoArchive,
+  addSharedImports,
+  extractProtoArchive,
+  readProtoDirectory,
+  readProtoFileWithImports,
+  resolveLocalDirectory,
+  findMainProtoFile
+};
@@ -0,0 +1,185 @@
+const protobuf = require('protobufjs');
+const { validateMessage } = require('./validator');
+const { getFieldPresence } = require('./protoparser');
+
+// Well-known types shown as a single value rather than as a message with fields
+const WELL_KNOWN_KINDS = {
+  '.google.protobuf.Timestamp': 'timestamp',
+  '.google.protobuf.Duration': 'duration',
+  '.google.protobuf.DoubleValue': 'scalar',
+  '.google.protobuf.FloatValue': 'scalar',
+  '.google.protobuf.Int64Value': 'scalar',
+  '.google.protobuf.UInt64Value': 'scalar',
+  '.google.protobuf.Int32Value': 'scalar',
+  '.google.protobuf.UInt32Value': 'scalar',
+  '.google.protobuf.BoolValue': 'scalar',
+  '.google.protobuf.StringValue': 'scalar',
+  '.google.protobuf.BytesValue': 'scalar',
+  '.google.protobuf.FieldMask': 'scalar',
+  '.google.protobuf.Struct': 'json',
+  '.google.protobuf.Value': 'json',
+  '.google.protobuf.ListValue': 'json',
+  '.google.protobuf.Any': 'json',
+  '.google.protobuf.Empty': 'json'
+};
+
+function joinPath(prefix, name) {
+  return prefix ? `${prefix}.${name}` : name;
+}
+
+function typeName(field) {
+  return field.resolvedType ? field.resolvedType.fullName.substring(1) : field.type;
+}
+
+/**
+ * Describe a field's declared type, e.g. "repeated string" or "map<string, example.User>"
+ * @param {protobuf.Field} field - The field definition
+ * @returns {string} Type description
+ */
+function describeFieldType(field) {
+  if (field.map) return `map<${field.keyType}, ${typeName(field)}>`;
+  return field.repeated ? `repeated ${typeName(field)}` : typeName(field);
+}
+
+/**
+ * Whether an absent field is simply unset: fields with presence (oneof members, `optional` fields
+ * and message fields). Other fields are expected unless the server omits default values.
+ * @param {protobuf.Field} field - The field definition
+ * @returns {boolean} True if absence is unremarkable
+ */
+function mayBeAbsent(field) {
+  return ['oneof', 'optional', 'has-presence'].includes(getFieldPresence(field));
+}
+
+/**
+ * Build the tree node of a single (non-repeated) field value
+ * @param {protobuf.Field} field - The field definition
+ * @param {*} value - JSON value
+ * @param {string} name - Label of the node (field name, map key or [index])
+ * @param {string} path - Path of the value, as used by the validator
+ * @returns {Object} Tree node
+ */
+function buildValueNode(field, value, name, path) {
+  const resolvedType = field.resolvedType;
+  const type = typeName(field);
+
+  if (resolvedType instanceof protobuf.Enum) {
+    if (resolvedType.fullName === '.google.protobuf.NullValue') {
+      return { name, path, kind: 'json', type, value };
+    }
+    const number = typeof value === 'number' ? value : resolvedType.values[value];
+    const enumName = typeof value === 'number' ? resolvedType.valuesById[value] : number !== undefined ? value : undefined;
+    return { name, path, kind: 'enum', type, value, enumName: enumName || null, enumNumber: number === undefined ? null : number };
+  }
+
+  if (resolvedType instanceof protobuf.Type) {
+    const wellKnownKind = WELL_KNOWN_KINDS[resolvedType.fullName];
+    if (wellKnownKind) {
+      return { name, path, kind: wellKnownKind, type, value };
+    }
+    return buildMessageNode(resolvedType, value, name, path);
+  }
+
+  return { name, path, kind: 'scalar', type, value };
+}
+
+/**
+ * Build the tree of a message value: one child per declared field (present or missing) plus unknown keys
+ * @param {protobuf.Type} type - The message type
+ * @param {*} value - JSON value
+ * @param {string} name - Label of the node
+ * @param {string} path - Path of the value ('' for the top-level message)
+ * @returns {Object} Tree node
+ */
+function buildMessageNode(type, value, name, path) {
+  const node = { name, path, kind: 'message', type: type.fullName.substring(1), children: [] };
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { ...node, kind: 'json', value };
+  }
+
+  const seenKeys = new Set();
+  for (const field of type.fieldsArray) {
+    try {
+      field.resolve();
+    } catch {
+      // Unresolvable types (missing imports) are shown without type details
+    }
+
+    // Fields can be written with their proto name or their lowerCamelCase JSON name
+    const jsonName = protobuf.util.camelCase(field.name);
+    const key = Object.prototype.hasOwnProperty.call(value, field.name) ? field.name
+      : Object.prototype.hasOwnProperty.call(value, jsonName) ? jsonName : null;
+    const fieldPath = joinPath(path, key || field.name);
+
+    if (key === null) {
+      node.children.push({ name: field.name, path: fieldPath, kind: 'missing', type: describeFieldType(field), expected: !mayBeAbsent(field) });
+      continue;
+    }
+    seenKeys.add(key);
+
+    const fieldValue = value[key];
+    if (fieldValue === null) {
+      node.children.push({ name: key, path: fieldPath, kind: 'missing', type: describeFieldType(field), expected: false, isNull: true });
+    } else if (field.map && typeof fieldValue === 'object' && !Array.isArray(fieldValue)) {
+      node.children.push({
+        name: key,
+        path: fieldPath,
+        kind: 'map',
+        type: describeFieldType(field),
+        children: Object.entries(fieldValue).map(([mapKey, mapValue]) => buildValueNode(field, mapValue, mapKey, joinPath(fieldPath, mapKey)))
+      });
+    } else if (field.repeated && Array.isArray(fieldValue)) {
+      node.children.push({
+        name: key,
+        path: fieldPath,
+        kind: 'list',
+        type: describeFieldType(field),
+        children: fieldValue.map((item, index) => buildValueNode(field, item, `[${index}]`, `${fieldPath}[${index}]`))
+      });
+    } else {
+      node.children.push(buildValueNode(field, fieldValue, key, fieldPath));
+    }
+  }
+
+  for (const [key, unknownValue] of Object.entries(value)) {
+    if (!seenKeys.has(key)) {
+      node.children.push({ name: key, path: joinPath(path, key), kind: 'unknown', value: unknownValue });
+    }
+  }
+  return node;
+}
+
+function collectMissing(node, problems) {
+  for (const child of node.children || []) {
+    if (child.kind === 'missing' && child.expected) {
+      problems.push({ path: child.path, severity: 'warning', message: `missing field ${child.path} (${child.type}); the server may omit default values` });
+    }
+    collectMissing(child, problems);
+  }
+}
+
+/**
+ * Check a decoded response against the method's response type
+ * @param {protobuf.Type} responseType - The response message type
+ * @param {*} data - Response in proto3 JSON form
+ * @returns {{type: string, valid: boolean, problems: Array<Object>, tree: Object}} Problems with `path`,
+ *   `severity` ("error" for unknown fields and type mismatches, "warning" for missing fields) and `message`,
+ *   plus a tree of the response annotated with field types
+ */
+function checkResponse(responseType, data) {
+  const problems = validateMessage(responseType, data).map(problem => ({ ...problem, severity: 'error' }));
+  const tree = buildMessageNode(responseType, data, responseType.name, '');
+  collectMissing(tree, problems);
+
+  return {
+    type: responseType.fullName.substring(1),
+    valid: problems.every(problem => problem.severity !== 'error'),
+    problems,
+    tree
+  };
+}
+
+module.exports = {
+  describeFieldType,
+  checkResponse
+};
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { loadProtoRoot, isDescriptorSet } = require('./protoparser');
+const {
+  isProtoArchive,
+  addSharedImports,
+  extractProtoArchive,
+  readProtoDirectory,
+  readProtoFileWithImports,
+  findMainProtoFile
+} = require('./protosources');
+const { loadWorkspace, normalizeRelativePath } = require('./workspaces');
+const { getEnvironment, getEnvironmentVariables } = require('./environments');
+const { parseCollectionExport } = require('./collections');
+const { lookupMethod } = require('./wireformat');
+const { sendTwirpRequest } = require('./twirpclient');
+const { substituteVariables, recordResponse } = require('./templating');
+const { evaluateAssertions } = require('./assertions');
+
+const USAGE = `Usage: node runner.js --collection <file.json> [options]
+
+Runs every request of an exported collection against a Twirp server and checks its assertions.
+
+Options:
+  --collection <file>     Exported collection (.collection.json)
+  --base-url <url>        Twirp server base URL (or TWIRP_BASE_URL)
+  --protos <path>         Proto file (loaded with its imports, relative to its directory),
+                          descriptor set, directory or .zip/.tar.gz archive
+  --main <file>           Main proto file inside a --protos directory or archive
+                          (default: first file declaring a service)
+  --workspace <name>      Use a saved workspace instead of --protos
+  --environment <name>    Use a saved environment's base URL, headers, variables and secrets
+  --header "Name: value"  Extra header for every request (repeatable)
+  --var name=value        Variable for {{name}} placeholders (repeatable)
+  --encoding <json|protobuf>  Override the wire encoding of every request
+  --request <name>        Only run requests with this name (repeatable)
+  --format <tap|junit>    Output format (default: tap)
+  --output <file>         Write the report to a file instead of stdout
+
+Exits with 0 when all requests pass, 1 when any fails and 2 on usage or setup errors.`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Runner options
+ */
+function parseArgs(args) {
+  const options = { headers: {}, variables: {}, requests: [], format: 'tap' };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    const value = args[i + 1];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    i++;
+
+    switch (arg) {
+      case '--collection': options.collection = value; break;
+      case '--base-url': options.baseUrl = value; break;
+      case '--protos': options.protos = value; break;
+      case '--main': options.mainFile = value; break;
+      case '--workspace': options.workspace = value; break;
+      case '--environment': options.environment = value; break;
+      case '--encoding': options.encoding = value; break;
+      case '--request': options.requests.push(value); break;
+      case '--format': options.format = value; break;
+      case '--output': options.output = value; break;
+      case '--header': {
+        const separator = value.indexOf(':');
+        if (separator <= 0) throw new Error(`Invalid header "${value}" (expected "Name: value")`);
+        options.headers[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+        break;
+      }
+      case '--var': {
+        const separator = value.indexOf('=');
+        if (separator <= 0) throw new Error(`Invalid variable "${value}" (expected name=value)`);
+        options.variables[value.slice(0, separator)] = value.slice(separator + 1);
+        break;
+      }
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!options.help && !options.collection) {
+    throw new Error('--collection is required');
+  }
+  if (options.format !== 'tap' && options.format !== 'junit') {
+    throw new Error(`Unsupported format: ${options.format} (expected "tap" or "junit")`);
+  }
+  if (options.encoding && options.encoding !== 'json' && options.encoding !== 'protobuf') {
+    throw new Error(`Unsupported encoding: ${options.encoding} (expected "json" or "protobuf")`);
+  }
+  return options;
+}
+
+/**
+ * Load the proto definitions used to encode, decode and check requests
+ * @param {Object} options - Runner options (`protos`, `mainFile` or `workspace`)
+ * @returns {Promise<protobuf.Root|null>} Parsed root, or null when no protos were given
+ */
+async function loadProtos(options) {
+  let files;
+  let mainFile = options.mainFile ? normalizeRelativePath(options.mainFile) : null;
+  // Services of every file in a workspace, directory or archive can be called, as in the web UI
+  let entryFiles = [];
+
+  if (options.workspace) {
+    const workspace = await loadWorkspace(options.workspace);
+    files = workspace.files;
+    mainFile = mainFile || workspace.mainFile;
+    entryFiles = [...files.keys()];
+  } else if (options.protos) {
+    const source = path.resolve(options.protos);
+    const stats = await fs.stat(source);
+    if (stats.isDirectory()) {
+      files = await readProtoDirectory(source);
+      entryFiles = [...files.keys()];
+    } else if (isProtoArchive(source)) {
+      files = await extractProtoArchive(await fs.readFile(source), path.basename(source));
+      entryFiles = [...files.keys()];
+    } else if (isDescriptorSet(source)) {
+      // A compiled descriptor set already carries its imports
+      files = new Map([[path.basename(source), await fs.readFile(source)]]);
+      mainFile = path.basename(source);
+    } else {
+      // A single file is loaded with the files it imports, relative to its directory
+      ({ files, mainFile } = await readProtoFileWithImports(source));
+    }
+  } else {
+    return null;
+  }
+
+  mainFile = mainFile || findMainProtoFile(files);
+  if (!files.has(mainFile)) {
+    throw new Error(`Main proto file not found: ${mainFile}`);
+  }
+
+  const importsDir = path.join(__dirname, 'imports');
+  try {
+    files = await addSharedImports(files, importsDir);
+  } catch (error) {
+    console.error(`warning: could not read shared protos from ${importsDir} (${error.message})`);
+  }
+
+  const { root, missingImports, skippedFiles } = await loadProtoRoot(files.get(mainFile), files, mainFile, entryFiles);
+  for (const { importPath, importedFrom } of missingImports) {
+    console.error(`warning: missing import ${importPath} (imported from ${importedFrom})`);
+  }
+  for (const { file, error } of skippedFiles) {
+    console.error(`warning: skipped ${file} (${error})`);
+  }
+  return root;
+}
+
+/**
+ * Run the requests of a collection
+ * @param {Array<Object>} requests - Saved requests
+ * @param {Object} context - `baseUrl`, `headers`, `variables`, `encoding` and `root`
+ * @returns {Promise<Array<Object>>} One result per request
+ */
+async function runRequests(requests, context) {
+  const results = [];
+  // Responses of earlier requests, so later ones can use {{response.<package.Service/Method>...}} in payloads and assertions
+  const responses = {};
+  const variables = { response: responses, ...context.variables };
+
+  for (const request of requests) {
+    const result = {
+      name: request.name,
+      service: request.service,
+      method: request.method,
+      passed: false,
+      assertions: [],
+      error: null
+    };
+
+    try {
+      const encoding = context.encoding || request.encoding || 'json';
+      if (context.root) {
+        lookupMethod(context.root, request.service, request.method);
+      } else if (encoding === 'protobuf') {
+        throw new Error('The protobuf encoding needs --protos or --workspace');
+      }
+
+      const response = await sendTwirpRequest({
+        baseUrl: context.baseUrl,
+        serviceName: request.service,
+        methodName: request.method,
+        requestData: substituteVariables(request.payload, variables),
+        headers: substituteVariables({ ...context.headers, ...request.headers }, variables),
+        encoding,
+        root: context.root
+      });
+
+      result.status = response.status;
+      result.latencyMs = response.latencyMs;
+      result.response = response.data;
+      result.assertions = evaluateAssertions(request.assertions, response, variables);
+      recordResponse(responses, request.service, request.method, response.data);
+      result.passed = result.assertions.every(assertion => assertion.passed);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Format results as TAP version 13
+ * @param {Array<Object>} results - Request results
+ * @returns {string} TAP report
+ */
+function formatTap(results) {
+  const lines = ['TAP version 13', `1..${results.length}`];
+
+  results.forEach((result, index) => {
+    lines.push(`${result.passed ? 'ok' : 'not ok'} ${index + 1} - ${result.name} (${result.service}/${result.method})`);
+    if (result.passed) return;
+
+    lines.push('  ---');
+    if (result.error) {
+      lines.push(`  error: ${JSON.stringify(result.error)}`);
+    } else {
+      lines.push(`  status: ${result.status}`);
+      lines.push('  failures:');
+      for (const assertion of result.assertions.filter(item => !item.passed)) {
+        lines.push(`    - ${JSON.stringify(`${assertion.description}: ${assertion.message}`)}`);
+      }
+    }
+    lines.push('  ...');
+  });
+
+  const failed = results.filter(result => !result.passed).length;
+  lines.push(`# tests ${results.length}`, `# pass ${results.length - failed}`, `# fail ${failed}`);
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format results as JUnit XML
+ * @param {string} suiteName - Collection name
+ * @param {Array<Object>} results - Request results
+ * @returns {string} JUnit XML report
+ */
+function formatJUnit(suiteName, results) {
+  const failures = results.filter(result => !result.passed && !result.error).length;
+  const errors = results.filter(result => result.error).length;
+  const totalSeconds = results.reduce((sum, result) => sum + (result.latencyMs || 0), 0) / 1000;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${results.length}" failures="${failures}" errors="${errors}" time="${totalSeconds.toFixed(3)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${results.length}" failures="${failures}" errors="${errors}" time="${totalSeconds.toFixed(3)}" timestamp="${new Date().toISOString()}">`
+  ];
+
+  for (const result of results) {
+    const time = ((result.latencyMs || 0) / 1000).toFixed(3);
+    const opening = `    <testcase classname="${escapeXml(result.service)}" name="${escapeXml(`${result.name} (${result.method})`)}" time="${time}"`;
+    if (result.passed) {
+      lines.push(`${opening} />`);
+      continue;
+    }
+
+    lines.push(`${opening}>`);
+    if (result.error) {
+      lines.push(`      <error message="${escapeXml(result.error)}" />`);
+    } else {
+      const failed = result.assertions.filter(assertion => !assertion.passed);
+      const details = failed.map(assertion => `${assertion.description}: ${assertion.message}`).join('\n');
+      lines.push(`      <failure message="${escapeXml(failed[0].message)}">${escapeXml(details)}</failure>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  // The shared modules report progress with console.log; stdout is reserved for the report
+  console.log = (...args) => console.error(...args);
+
+  let collection;
+  let context;
+  try {
+    collection = parseCollectionExport(JSON.parse(await fs.readFile(options.collection, 'utf8')));
+    const environment = options.environment ? await getEnvironment(options.environment) : null;
+    const variables = { ...getEnvironmentVariables(environment), ...options.variables };
+
+    context = {
+      baseUrl: substituteVariables(options.baseUrl || process.env.TWIRP_BASE_URL || (environment && environment.baseUrl) || '', variables),
+      headers: { ...(environment ? environment.headers : {}), ...options.headers },
+      variables,
+      encoding: options.encoding,
+      root: await loadProtos(options)
+    };
+    if (!context.baseUrl) {
+      throw new Error('No base URL: pass --base-url, set TWIRP_BASE_URL or use an environment with a base URL');
+    }
+  } catch (error) {
+    console.error(`Setup failed: ${error.message}`);
+    process.exit(2);
+  }
+
+  const requests = options.requests.length > 0
+    ? collection.requests.filter(request => options.requests.includes(request.name))
+    : collection.requests;
+  if (requests.length === 0) {
+    console.error('No requests to run');
+    process.exit(2);
+  }
+
+  const results = await runRequests(requests, context);
+  const report = options.format === 'junit'
+    ? formatJUnit(collection.name || path.basename(options.collection), results)
+    : formatTap(results);
+
+  if (options.output) {
+    try {
+      await fs.writeFile(options.output, report);
+    } catch (error) {
+      console.error(`Could not write report: ${error.message}`);
+      process.exit(2);
+    }
+    const failed = results.filter(result => !result.passed).length;
+    console.error(`${results.length - failed}/${results.length} requests passed, report written to ${options.output}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  process.exitCode = results.every(result => result.passed) ? 0 : 1;
+}
+
+module.exports = {
+  parseArgs,
+  loadProtos,
+  runRequests,
+  formatTap,
+  formatJUnit
+};
+
+// Run main function if this script is executed directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,253 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./workspaces');
+const { getFieldValue, evaluateAssertions } = require('./assertions');
+
+// Each scenario is stored as DATA_DIR/scenarios/<name>.json
+const SCENARIOS_DIR = path.join(DATA_DIR, 'scenarios');
+const SCENARIO_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Validate a scenario name and return the file that holds it
+ * @param {string} name - Scenario name
+ * @returns {string} Absolute path of the scenario file
+ */
+function getScenarioFile(name) {
+  if (typeof name !== 'string' || !SCENARIO_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid scenario name: "${name}" (use letters, digits, ".", "_" or "-")`);
+  }
+  return path.join(SCENARIOS_DIR, `${name}.json`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a scenario definition and fill in defaults
+ * @param {Object} definition - Scenario as sent by the client
+ * @returns {Object} Normalized scenario
+ */
+function normalizeScenario(definition) {
+  if (!isPlainObject(definition)) {
+    throw new Error('Scenario must be an object');
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('Scenario needs at least one step');
+  }
+  if (definition.variables !== undefined && !isPlainObject(definition.variables)) {
+    throw new Error('Scenario variables must be an object');
+  }
+
+  const steps = definition.steps.map((step, index) => {
+    const label = `Step ${index + 1}${step && step.name ? ` (${step.name})` : ''}`;
+    if (!isPlainObject(step) || !step.service || !step.method) {
+      throw new Error(`${label} needs a service and a method`);
+    }
+    if (step.payload !== undefined && !isPlainObject(step.payload)) {
+      throw new Error(`${label} payload must be a JSON object`);
+    }
+    if (step.headers !== undefined && !isPlainObject(step.headers)) {
+      throw new Error(`${label} headers must be an object of name/value pairs`);
+    }
+    if (step.assertions !== undefined && !Array.isArray(step.assertions)) {
+      throw new Error(`${label} assertions must be an array`);
+    }
+    if (step.extract !== undefined && !isPlainObject(step.extract)) {
+      throw new Error(`${label} extract must map variable names to JSONPath expressions`);
+    }
+    for (const variableName of Object.keys(step.extract || {})) {
+      if (!VARIABLE_NAME_PATTERN.test(variableName)) {
+        throw new Error(`${label} extracts into an invalid variable name: ${variableName}`);
+      }
+    }
+
+    return {
+      name: step.name || `${step.method} #${index + 1}`,
+      service: step.service.startsWith('.') ? step.service.substring(1) : step.service,
+      method: step.method,
+      payload: step.payload || {},
+      headers: step.headers || {},
+      assertions: step.assertions || [],
+      extract: step.extract || {}
+    };
+  });
+
+  return {
+    description: definition.description || '',
+    environment: definition.environment || null,
+    baseUrl: definition.baseUrl || null,
+    encoding: definition.encoding === 'protobuf' ? 'protobuf' : 'json',
+    workspace: definition.workspace || null,
+    continueOnFailure: Boolean(definition.continueOnFailure),
+    variables: definition.variables || {},
+    steps
+  };
+}
+
+async function readScenario(name) {
+  try {
+    return JSON.parse(await fs.readFile(getScenarioFile(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List all saved scenarios
+ * @returns {Promise<Array<Object>>} Scenarios sorted by name
+ */
+async function listScenarios() {
+  let entries;
+  try {
+    entries = await fs.readdir(SCENARIOS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const scenarios = [];
+  for (const entry of entries) {
+    const name = entry.replace(/\.json$/, '');
+    if (entry.endsWith('.json') && SCENARIO_NAME_PATTERN.test(name)) {
+      scenarios.push(await readScenario(name));
+    }
+  }
+  return scenarios.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a saved scenario
+ * @param {string} name - Scenario name
+ * @returns {Promise<Object>} Stored scenario
+ */
+async function getScenario(name) {
+  const scenario = await readScenario(name);
+  if (!scenario) {
+    throw new Error(`Scenario not found: ${name}`);
+  }
+  return scenario;
+}
+
+/**
+ * Create or replace a scenario
+ * @param {string} name - Scenario name
+ * @param {Object} definition - Scenario definition (`steps`, optional `variables`, `environment`, ...)
+ * @returns {Promise<Object>} The stored scenario
+ */
+async function saveScenario(name, definition) {
+  const file = getScenarioFile(name);
+  const existing = await readScenario(name);
+  const now = new Date().toISOString();
+  const scenario = {
+    name,
+    ...normalizeScenario(definition),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await fs.mkdir(SCENARIOS_DIR, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(scenario, null, 2));
+  return scenario;
+}
+
+/**
+ * Delete a scenario
+ * @param {string} name - Scenario name
+ * @returns {Promise<void>}
+ */
+async function deleteScenario(name) {
+  await getScenario(name);
+  await fs.unlink(getScenarioFile(name));
+}
+
+/**
+ * Extract variables from a step's response
+ * @param {Object} extract - Variable names mapped to JSONPath expressions
+ * @param {*} data - Response data
+ * @returns {Object} Extracted values by variable name
+ */
+function extractVariables(extract, data) {
+  const values = {};
+  for (const [variableName, jsonPath] of Object.entries(extract)) {
+    const { found, value } = getFieldValue(data, jsonPath);
+    if (!found) {
+      throw new Error(`Could not extract ${variableName}: ${jsonPath} is not in the response`);
+    }
+    values[variableName] = value;
+  }
+  return values;
+}
+
+/**
+ * Run the steps of a scenario in order. Each step's payload and headers may use {{variables}}:
+ * the scenario's variables plus everything extracted by earlier steps.
+ * @param {Object} scenario - Normalized scenario
+ * @param {Function} sendStep - Sends one step: (step, variables) => Promise<{status, data, latencyMs, assertions?, historyId?}>
+ * @param {Object} [variables] - Variables that override the scenario's own
+ * @returns {Promise<Object>} Report with `passed`, per-step results and the final `variables`
+ */
+async function runScenario(scenario, sendStep, variables = {}) {
+  const currentVariables = { ...scenario.variables, ...variables };
+  const startedAt = Date.now();
+  const steps = [];
+  let failed = false;
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const result = { index: index + 1, name: step.name, service: step.service, method: step.method };
+    steps.push(result);
+
+    if (failed && !scenario.continueOnFailure) {
+      result.result = 'skipped';
+      continue;
+    }
+
+    try {
+      const response = await sendStep(step, { ...currentVariables });
+      result.status = response.status;
+      result.latencyMs = response.latencyMs;
+      result.response = response.data;
+      result.twirpError = response.twirpError;
+      result.historyId = response.historyId;
+      result.assertions = response.assertions || evaluateAssertions([], response);
+
+      const passed = result.assertions.every(assertion => assertion.passed);
+      if (passed) {
+        result.extracted = extractVariables(step.extract, response.data);
+        Object.assign(currentVariables, result.extracted);
+      }
+      result.result = passed ? 'passed' : 'failed';
+    } catch (error) {
+      result.result = 'failed';
+      result.error = error.message;
+    }
+
+    if (result.result === 'failed') {
+      failed = true;
+    }
+  }
+
+  return {
+    name: scenario.name,
+    passed: !failed,
+    durationMs: Date.now() - startedAt,
+    steps,
+    variables: currentVariables
+  };
+}
+
+module.exports = {
+  normalizeScenario,
+  listScenarios,
+  getScenario,
+  saveScenario,
+  deleteScenario,
+  extractVariables,
+  runScenario
+};
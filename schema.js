@@ -0,0 +1,202 @@
+const protobuf = require('protobufjs');
+const { getFieldPresence } = require('./protoparser');
+
+// Options with a dedicated place in the description instead of the options list
+const DESCRIBED_OPTIONS = new Set(['deprecated', 'json_name', 'proto3_optional']);
+
+function stripDot(name) {
+  return name.startsWith('.') ? name.substring(1) : name;
+}
+
+/**
+ * Split reserved declarations into number ranges and names
+ * @param {Array<Array<number>|string>} [reserved] - protobufjs `reserved` list
+ * @returns {{ranges: Array<Array<number>>, names: Array<string>}} Inclusive [from, to] ranges and reserved names
+ */
+function describeReserved(reserved) {
+  return {
+    ranges: (reserved || []).filter(Array.isArray).map(([from, to]) => [from, to]),
+    names: (reserved || []).filter(range => typeof range === 'string')
+  };
+}
+
+function describeOptions(options) {
+  return Object.fromEntries(Object.entries(options || {}).filter(([name]) => !DESCRIBED_OPTIONS.has(name)));
+}
+
+function isDeprecated(options) {
+  return Boolean(options && options.deprecated);
+}
+
+/**
+ * Label of a field as written in the .proto source
+ * @param {protobuf.Field} field - The field definition
+ * @returns {string} "repeated", "map", "optional", "required" or "" for singular proto3 fields
+ */
+function getFieldLabel(field) {
+  if (field.map) return 'map';
+  if (field.repeated) return 'repeated';
+  const presence = getFieldPresence(field);
+  return presence === 'required' || presence === 'optional' ? presence : '';
+}
+
+function describeField(field) {
+  try {
+    field.resolve();
+  } catch {
+    // Unresolvable types (missing imports) are listed by their name as written
+  }
+  const oneof = field.partOf && !(field.options && field.options.proto3_optional) ? field.partOf.name : null;
+  return {
+    name: field.name,
+    jsonName: (field.options && field.options.json_name) || protobuf.util.camelCase(field.name),
+    number: field.id,
+    label: getFieldLabel(field),
+    type: field.resolvedType ? stripDot(field.resolvedType.fullName) : field.type,
+    keyType: field.map ? field.keyType : null,
+    // Message and enum types link to their own entry
+    typeRef: field.resolvedType ? stripDot(field.resolvedType.fullName) : null,
+    oneof,
+    deprecated: isDeprecated(field.options),
+    options: describeOptions(field.options),
+    comment: field.comment || null
+  };
+}
+
+function describeMessage(type) {
+  return {
+    kind: 'message',
+    name: type.name,
+    fullName: stripDot(type.fullName),
+    file: type.filename || null,
+    comment: type.comment || null,
+    deprecated: isDeprecated(type.options),
+    options: describeOptions(type.options),
+    fields: type.fieldsArray.slice().sort((a, b) => a.id - b.id).map(describeField),
+    // Synthetic oneofs of proto3 `optional` fields start with an underscore and are not listed
+    oneofs: type.oneofsArray
+      .filter(oneof => !oneof.fieldsArray.every(field => field.options && field.options.proto3_optional))
+      .map(oneof => ({ name: oneof.name, fields: oneof.oneof, comment: oneof.comment || null })),
+    reserved: describeReserved(type.reserved)
+  };
+}
+
+function describeEnum(enumType) {
+  return {
+    kind: 'enum',
+    name: enumType.name,
+    fullName: stripDot(enumType.fullName),
+    file: enumType.filename || null,
+    comment: enumType.comment || null,
+    deprecated: isDeprecated(enumType.options),
+    options: describeOptions(enumType.options),
+    values: Object.entries(enumType.values).map(([name, number]) => {
+      const valueOptions = (enumType.valuesOptions && enumType.valuesOptions[name]) || {};
+      return {
+        name,
+        number,
+        deprecated: isDeprecated(valueOptions),
+        options: describeOptions(valueOptions),
+        comment: (enumType.comments && enumType.comments[name]) || null
+      };
+    }),
+    reserved: describeReserved(enumType.reserved)
+  };
+}
+
+function describeService(service) {
+  return {
+    kind: 'service',
+    name: service.name,
+    fullName: stripDot(service.fullName),
+    file: service.filename || null,
+    comment: service.comment || null,
+    deprecated: isDeprecated(service.options),
+    options: describeOptions(service.options),
+    methods: service.methodsArray.map(method => {
+      try {
+        method.resolve();
+      } catch {
+        // Unresolvable request or response types are listed by their name as written
+      }
+      return {
+        name: method.name,
+        requestType: method.resolvedRequestType ? stripDot(method.resolvedRequestType.fullName) : method.requestType,
+        responseType: method.resolvedResponseType ? stripDot(method.resolvedResponseType.fullName) : method.responseType,
+        requestStream: Boolean(method.requestStream),
+        responseStream: Boolean(method.responseStream),
+        deprecated: isDeprecated(method.options),
+        options: describeOptions(method.options),
+        comment: method.comment || null
+      };
+    })
+  };
+}
+
+/**
+ * Describe every package of a parsed root for the schema browser: its services, messages
+ * (including nested ones) and enums, with field numbers, labels, options and source comments.
+ * Bundled well-known types have no source file and are left out.
+ * @param {protobuf.Root} root - Parsed root
+ * @returns {{packages: Array<Object>}} Packages sorted by name, each with `name`, `files`,
+ *   `services`, `messages` and `enums` (nested types are listed under their full name)
+ */
+function describeSchema(root) {
+  const packages = new Map();
+
+  function getPackage(definition) {
+    // The package is the namespace around the outermost enclosing message
+    let outer = definition;
+    while (outer.parent instanceof protobuf.Type) {
+      outer = outer.parent;
+    }
+    const name = stripDot(outer.parent.fullName);
+    if (!packages.has(name)) {
+      packages.set(name, { name, files: new Set(), services: [], messages: [], enums: [] });
+    }
+    return packages.get(name);
+  }
+
+  function visit(namespace) {
+    for (const nested of namespace.nestedArray) {
+      if (nested.filename) {
+        if (nested instanceof protobuf.Service) {
+          const pkg = getPackage(nested);
+          pkg.services.push(describeService(nested));
+          pkg.files.add(nested.filename);
+        } else if (nested instanceof protobuf.Type) {
+          const pkg = getPackage(nested);
+          pkg.messages.push(describeMessage(nested));
+          pkg.files.add(nested.filename);
+        } else if (nested instanceof protobuf.Enum) {
+          const pkg = getPackage(nested);
+          pkg.enums.push(describeEnum(nested));
+          pkg.files.add(nested.filename);
+        }
+      }
+      if (nested.nestedArray) {
+        visit(nested);
+      }
+    }
+  }
+
+  visit(root);
+
+  const byFullName = (a, b) => a.fullName.localeCompare(b.fullName);
+  return {
+    packages: [...packages.values()]
+      .map(pkg => ({
+        ...pkg,
+        files: [...pkg.files].sort(),
+        services: pkg.services.sort(byFullName),
+        messages: pkg.messages.sort(byFullName),
+        enums: pkg.enums.sort(byFullName)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+module.exports = {
+  getFieldLabel,
+  describeSchema
+};
@@ -0,0 +1,461 @@
+/**
+ * Breaking-change detection between two versions of a proto set, working on describeSchema() output.
+ * Every change is classified by the clients it breaks:
+ * - "wire": binary protobuf clients (and usually JSON clients as well)
+ * - "json": JSON clients only, e.g. renamed fields, which keep their number but change their JSON key
+ * - "safe": compatible with existing clients
+ */
+
+const SEVERITY_RANK = { safe: 0, json: 1, wire: 2 };
+
+// Scalar types that share a wire encoding, so a field can switch between them without breaking binary clients
+const WIRE_GROUPS = {
+  int32: 'varint',
+  int64: 'varint',
+  uint32: 'varint',
+  uint64: 'varint',
+  bool: 'varint',
+  sint32: 'zigzag',
+  sint64: 'zigzag',
+  fixed32: 'fixed32',
+  sfixed32: 'fixed32',
+  fixed64: 'fixed64',
+  sfixed64: 'fixed64',
+  string: 'bytes',
+  bytes: 'bytes'
+};
+
+function worstSeverity(changes, fallback = 'safe') {
+  return changes.reduce((worst, change) => (SEVERITY_RANK[change.severity] > SEVERITY_RANK[worst] ? change.severity : worst), fallback);
+}
+
+function indexSchema(schema) {
+  const index = { services: new Map(), messages: new Map(), enums: new Map() };
+  for (const pkg of schema.packages) {
+    for (const service of pkg.services) index.services.set(service.fullName, service);
+    for (const message of pkg.messages) index.messages.set(message.fullName, message);
+    for (const enumType of pkg.enums) index.enums.set(enumType.fullName, enumType);
+  }
+  return index;
+}
+
+function isNumberReserved(reserved, number) {
+  return reserved.ranges.some(([from, to]) => number >= from && number <= to);
+}
+
+/**
+ * Parts of the old reserved ranges that are neither reserved nor used by a field any more
+ * @param {Object} oldReserved - Reserved ranges and names of the old definition
+ * @param {Object} newReserved - Reserved ranges and names of the new definition
+ * @param {Set<number>} usedNumbers - Numbers used in the new definition
+ * @returns {Array<Array<number>>} Released [from, to] ranges
+ */
+function findReleasedRanges(oldReserved, newReserved, usedNumbers) {
+  // Numbers taken by a field are reported as reuse, not as a released reservation
+  const taken = [...newReserved.ranges, ...[...usedNumbers].map(number => [number, number])];
+  // Subtract from every old range; ranges may reach up to "max", so no number-by-number walk
+  return oldReserved.ranges.flatMap(range => taken.reduce((segments, [from, to]) => segments.flatMap(([start, end]) => {
+    if (to < start || from > end) return [[start, end]];
+    const parts = [];
+    if (from > start) parts.push([start, from - 1]);
+    if (to < end) parts.push([to + 1, end]);
+    return parts;
+  }), [range]));
+}
+
+function formatRange([from, to]) {
+  if (from === to) return String(from);
+  return `${from} to ${to === 536870911 ? 'max' : to}`;
+}
+
+/**
+ * Compare the encodings of two scalar types
+ * @param {string} oldType - Old scalar type
+ * @param {string} newType - New scalar type
+ * @returns {string} "json" when only the JSON form changes, "wire" otherwise
+ */
+function classifyScalarChange(oldType, newType) {
+  return WIRE_GROUPS[oldType] && WIRE_GROUPS[oldType] === WIRE_GROUPS[newType] ? 'json' : 'wire';
+}
+
+function createDiffContext(oldSchema, newSchema) {
+  return {
+    oldIndex: indexSchema(oldSchema),
+    newIndex: indexSchema(newSchema),
+    // Pairs of differently named types already compared, so recursive types are compared once
+    comparedTypes: new Set()
+  };
+}
+
+/**
+ * Compare a field's old and new types
+ * @returns {Array<Object>} Changes (the type change itself first)
+ */
+function compareFieldTypes(oldField, newField, path, context) {
+  const changes = [];
+  if (oldField.keyType !== newField.keyType && oldField.keyType && newField.keyType) {
+    changes.push({
+      severity: classifyScalarChange(oldField.keyType, newField.keyType),
+      kind: 'field-type-changed',
+      path,
+      message: `map key type changed from ${oldField.keyType} to ${newField.keyType}`
+    });
+  }
+  if (oldField.type === newField.type) {
+    return changes;
+  }
+
+  const typeChange = { kind: 'field-type-changed', path, message: `type changed from ${oldField.type} to ${newField.type}` };
+  const oldEnum = context.oldIndex.enums.get(oldField.typeRef);
+  const newEnum = context.newIndex.enums.get(newField.typeRef);
+  const oldMessage = context.oldIndex.messages.get(oldField.typeRef);
+  const newMessage = context.newIndex.messages.get(newField.typeRef);
+
+  if (!oldField.typeRef && !newField.typeRef) {
+    typeChange.severity = classifyScalarChange(oldField.type, newField.type);
+  } else if ((oldEnum && !newField.typeRef && WIRE_GROUPS[newField.type] === 'varint')
+    || (newEnum && !oldField.typeRef && WIRE_GROUPS[oldField.type] === 'varint')) {
+    // Enums are varints on the wire, but names in JSON
+    typeChange.severity = 'json';
+  } else if ((oldMessage && newField.type === 'bytes') || (newMessage && oldField.type === 'bytes')) {
+    // Messages are length-delimited like bytes, but objects in JSON
+    typeChange.severity = 'json';
+  } else if ((oldEnum && newEnum) || (oldMessage && newMessage)) {
+    // A renamed or moved type is compatible as long as its contents are
+    const nested = [];
+    const pairKey = `${oldField.typeRef} -> ${newField.typeRef}`;
+    if (!context.comparedTypes.has(pairKey)) {
+      context.comparedTypes.add(pairKey);
+      const nestedPath = `${path} (${oldField.typeRef} → ${newField.typeRef})`;
+      if (oldEnum) {
+        compareEnums(oldEnum, newEnum, nestedPath, nested);
+      } else {
+        compareMessages(oldMessage, newMessage, nestedPath, nested, context);
+      }
+    }
+    typeChange.severity = worstSeverity(nested);
+    typeChange.message += typeChange.severity === 'safe' ? ' (compatible contents)' : '';
+    changes.push(typeChange, ...nested);
+    return changes;
+  } else {
+    typeChange.severity = 'wire';
+  }
+  changes.push(typeChange);
+  return changes;
+}
+
+function compareFields(oldField, newField, path, changes, context) {
+  const fieldPath = `${path}.${newField.name}`;
+  if (oldField.name !== newField.name) {
+    changes.push({
+      severity: 'json',
+      kind: 'field-renamed',
+      path: fieldPath,
+      message: `field ${newField.number} renamed from ${oldField.name} to ${newField.name}; JSON clients use the old name`
+    });
+  } else if (oldField.jsonName !== newField.jsonName) {
+    changes.push({
+      severity: 'json',
+      kind: 'field-json-name-changed',
+      path: fieldPath,
+      message: `JSON name changed from ${oldField.jsonName} to ${newField.jsonName}`
+    });
+  }
+
+  const isList = field => field.label === 'repeated' || field.label === 'map';
+  if (isList(oldField) !== isList(newField) || (oldField.label === 'required') !== (newField.label === 'required')
+    || (isList(oldField) && oldField.label !== newField.label)) {
+    changes.push({
+      severity: 'wire',
+      kind: 'field-label-changed',
+      path: fieldPath,
+      message: `label changed from ${oldField.label || 'singular'} to ${newField.label || 'singular'}`
+    });
+  } else if (oldField.label !== newField.label) {
+    changes.push({
+      severity: 'safe',
+      kind: 'field-label-changed',
+      path: fieldPath,
+      message: `label changed from ${oldField.label || 'singular'} to ${newField.label || 'singular'}; only presence tracking changes`
+    });
+  }
+
+  if (oldField.oneof !== newField.oneof) {
+    changes.push({
+      severity: 'wire',
+      kind: 'field-oneof-changed',
+      path: fieldPath,
+      message: oldField.oneof && newField.oneof
+        ? `moved from oneof ${oldField.oneof} to oneof ${newField.oneof}`
+        : newField.oneof ? `moved into oneof ${newField.oneof}` : `moved out of oneof ${oldField.oneof}`
+    });
+  }
+
+  changes.push(...compareFieldTypes(oldField, newField, fieldPath, context));
+}
+
+/**
+ * Compare two versions of a message, matching fields by number
+ * @param {Object} oldMessage - Old message description
+ * @param {Object} newMessage - New message description
+ * @param {string} path - Path used in the reported changes
+ * @param {Array<Object>} changes - Collected changes
+ * @param {Object} context - Diff context
+ */
+function compareMessages(oldMessage, newMessage, path, changes, context) {
+  const newByNumber = new Map(newMessage.fields.map(field => [field.number, field]));
+  const newByName = new Map(newMessage.fields.map(field => [field.name, field]));
+  const oldByNumber = new Map(oldMessage.fields.map(field => [field.number, field]));
+  const movedNumbers = new Set();
+
+  for (const oldField of oldMessage.fields) {
+    const newField = newByNumber.get(oldField.number);
+    if (newField) {
+      compareFields(oldField, newField, path, changes, context);
+      continue;
+    }
+
+    const moved = newByName.get(oldField.name);
+    if (moved && !oldByNumber.has(moved.number)) {
+      movedNumbers.add(moved.number);
+      changes.push({
+        severity: 'wire',
+        kind: 'field-number-changed',
+        path: `${path}.${oldField.name}`,
+        message: `field number changed from ${oldField.number} to ${moved.number}`
+      });
+      continue;
+    }
+
+    const numberReserved = isNumberReserved(newMessage.reserved, oldField.number);
+    const nameReserved = newMessage.reserved.names.includes(oldField.name);
+    changes.push({
+      severity: !numberReserved ? 'wire' : !nameReserved ? 'json' : 'safe',
+      kind: 'field-removed',
+      path: `${path}.${oldField.name}`,
+      message: !numberReserved
+        ? `field ${oldField.number} removed without reserving its number, so it can be reused with another type`
+        : !nameReserved
+          ? `field ${oldField.number} removed; its number is reserved but its name "${oldField.name}" is not`
+          : `field ${oldField.number} removed and reserved`
+    });
+  }
+
+  for (const newField of newMessage.fields) {
+    if (oldByNumber.has(newField.number) || movedNumbers.has(newField.number)) continue;
+    const fieldPath = `${path}.${newField.name}`;
+    if (isNumberReserved(oldMessage.reserved, newField.number)) {
+      changes.push({ severity: 'wire', kind: 'reserved-number-reused', path: fieldPath, message: `new field uses number ${newField.number}, which was reserved` });
+    } else if (oldMessage.reserved.names.includes(newField.name)) {
+      changes.push({ severity: 'json', kind: 'reserved-name-reused', path: fieldPath, message: `new field uses the name "${newField.name}", which was reserved` });
+    } else {
+      changes.push({ severity: 'safe', kind: 'field-added', path: fieldPath, message: `field ${newField.number} (${newField.type}) added` });
+    }
+  }
+
+  compareReserved(oldMessage.reserved, newMessage, new Set(newMessage.fields.map(field => field.number)), new Set(newMessage.fields.map(field => field.name)), path, changes);
+}
+
+function compareReserved(oldReserved, newDefinition, usedNumbers, usedNames, path, changes) {
+  for (const range of findReleasedRanges(oldReserved, newDefinition.reserved, usedNumbers)) {
+    changes.push({ severity: 'wire', kind: 'reserved-range-removed', path, message: range[0] === range[1] ? `number ${range[0]} is no longer reserved` : `numbers ${formatRange(range)} are no longer reserved` });
+  }
+  for (const name of oldReserved.names) {
+    if (!newDefinition.reserved.names.includes(name) && !usedNames.has(name)) {
+      changes.push({ severity: 'json', kind: 'reserved-name-removed', path, message: `reserved name "${name}" is no longer reserved` });
+    }
+  }
+}
+
+/**
+ * Compare two versions of an enum, matching values by number
+ * @param {Object} oldEnum - Old enum description
+ * @param {Object} newEnum - New enum description
+ * @param {string} path - Path used in the reported changes
+ * @param {Array<Object>} changes - Collected changes
+ */
+function compareEnums(oldEnum, newEnum, path, changes) {
+  // With allow_alias several names share a number; the first one is compared
+  const byNumber = values => values.reduce((map, value) => (map.has(value.number) ? map : map.set(value.number, value)), new Map());
+  const oldByNumber = byNumber(oldEnum.values);
+  const newByNumber = byNumber(newEnum.values);
+  const newByName = new Map(newEnum.values.map(value => [value.name, value]));
+
+  for (const [number, oldValue] of oldByNumber) {
+    const newValue = newByNumber.get(number);
+    const valuePath = `${path}.${oldValue.name}`;
+    if (newValue) {
+      if (newValue.name !== oldValue.name && !newEnum.values.some(value => value.number === number && value.name === oldValue.name)) {
+        changes.push({ severity: 'json', kind: 'enum-value-renamed', path: valuePath, message: `enum value ${number} renamed from ${oldValue.name} to ${newValue.name}; JSON uses the name` });
+      }
+      continue;
+    }
+
+    const renumbered = newByName.get(oldValue.name);
+    if (renumbered) {
+      changes.push({ severity: 'wire', kind: 'enum-value-number-changed', path: valuePath, message: `enum value number changed from ${number} to ${renumbered.number}` });
+      continue;
+    }
+    const numberReserved = isNumberReserved(newEnum.reserved, number);
+    const nameReserved = newEnum.reserved.names.includes(oldValue.name);
+    changes.push({
+      severity: !numberReserved ? 'wire' : !nameReserved ? 'json' : 'safe',
+      kind: 'enum-value-removed',
+      path: valuePath,
+      message: !numberReserved
+        ? `enum value ${number} removed without reserving its number`
+        : !nameReserved ? `enum value ${number} removed; its number is reserved but its name is not` : `enum value ${number} removed and reserved`
+    });
+  }
+
+  for (const [number, newValue] of newByNumber) {
+    if (oldByNumber.has(number) || oldEnum.values.some(value => value.name === newValue.name)) continue;
+    const valuePath = `${path}.${newValue.name}`;
+    if (isNumberReserved(oldEnum.reserved, number)) {
+      changes.push({ severity: 'wire', kind: 'reserved-number-reused', path: valuePath, message: `new enum value uses number ${number}, which was reserved` });
+    } else if (oldEnum.reserved.names.includes(newValue.name)) {
+      changes.push({ severity: 'json', kind: 'reserved-name-reused', path: valuePath, message: `new enum value uses the name "${newValue.name}", which was reserved` });
+    } else {
+      changes.push({ severity: 'safe', kind: 'enum-value-added', path: valuePath, message: `enum value ${newValue.name} = ${number} added` });
+    }
+  }
+
+  compareReserved(oldEnum.reserved, newEnum, new Set(newEnum.values.map(value => value.number)), new Set(newEnum.values.map(value => value.name)), path, changes);
+}
+
+/**
+ * Compare a method's old and new request or response type
+ */
+function compareMethodType(oldType, newType, path, role, changes, context) {
+  if (oldType === newType) return;
+  const oldMessage = context.oldIndex.messages.get(oldType);
+  const newMessage = context.newIndex.messages.get(newType);
+  const nested = [];
+  const pairKey = `${oldType} -> ${newType}`;
+  if (oldMessage && newMessage && !context.comparedTypes.has(pairKey)) {
+    context.comparedTypes.add(pairKey);
+    compareMessages(oldMessage, newMessage, `${path} ${role} (${oldType} → ${newType})`, nested, context);
+  }
+  // Without both descriptions (e.g. well-known types) there is nothing to vouch for compatibility
+  const severity = oldMessage && newMessage ? worstSeverity(nested) : 'wire';
+  changes.push({
+    severity,
+    kind: `${role}-type-changed`,
+    path,
+    message: `${role} type changed from ${oldType} to ${newType}${severity === 'safe' ? ' (compatible contents)' : ''}`
+  }, ...nested);
+}
+
+function compareServices(context, changes) {
+  const { oldIndex, newIndex } = context;
+  const addedServices = [...newIndex.services.values()].filter(service => !oldIndex.services.has(service.fullName));
+  const methodNames = service => service.methods.map(method => method.name).sort().join(',');
+  // Each added service or method is the new name of at most one removed one
+  const renamedTo = new Set();
+
+  for (const oldService of oldIndex.services.values()) {
+    const newService = newIndex.services.get(oldService.fullName);
+    if (!newService) {
+      // A new service with the same methods is most likely the old one under a new name
+      const renamed = addedServices.find(service => !renamedTo.has(service) && methodNames(service) === methodNames(oldService));
+      if (renamed) renamedTo.add(renamed);
+      changes.push({
+        severity: 'wire',
+        kind: renamed ? 'service-renamed' : 'service-removed',
+        path: oldService.fullName,
+        message: renamed
+          ? `service renamed to ${renamed.fullName}; Twirp routes contain the service name, so existing clients get bad_route`
+          : 'service removed'
+      });
+      continue;
+    }
+
+    const newMethods = new Map(newService.methods.map(method => [method.name, method]));
+    const oldMethodNames = new Set(oldService.methods.map(method => method.name));
+    const addedMethods = newService.methods.filter(method => !oldMethodNames.has(method.name));
+    for (const oldMethod of oldService.methods) {
+      const path = `${oldService.fullName}.${oldMethod.name}`;
+      const newMethod = newMethods.get(oldMethod.name);
+      if (!newMethod) {
+        const renamed = addedMethods.find(method => !renamedTo.has(method) && method.requestType === oldMethod.requestType && method.responseType === oldMethod.responseType);
+        if (renamed) renamedTo.add(renamed);
+        changes.push({
+          severity: 'wire',
+          kind: renamed ? 'method-renamed' : 'method-removed',
+          path,
+          message: renamed ? `method renamed to ${renamed.name}; existing clients get bad_route` : 'method removed'
+        });
+        continue;
+      }
+      compareMethodType(oldMethod.requestType, newMethod.requestType, path, 'request', changes, context);
+      compareMethodType(oldMethod.responseType, newMethod.responseType, path, 'response', changes, context);
+    }
+    for (const method of addedMethods.filter(method => !renamedTo.has(method))) {
+      changes.push({ severity: 'safe', kind: 'method-added', path: `${newService.fullName}.${method.name}`, message: 'method added' });
+    }
+  }
+
+  for (const service of addedServices.filter(service => !renamedTo.has(service))) {
+    changes.push({ severity: 'safe', kind: 'service-added', path: service.fullName, message: 'service added' });
+  }
+}
+
+/**
+ * Compare two versions of a proto set
+ * @param {Object} oldSchema - describeSchema() output of the old version
+ * @param {Object} newSchema - describeSchema() output of the new version
+ * @returns {{breaking: boolean, summary: Object, changes: Array<Object>}} Changes with `severity`
+ *   ("wire", "json" or "safe"), `kind`, `path` and `message`, the most severe first; `summary`
+ *   counts them by severity and `breaking` is set when any change breaks clients
+ */
+function diffSchemas(oldSchema, newSchema) {
+  const context = createDiffContext(oldSchema, newSchema);
+  const { oldIndex, newIndex } = context;
+  const changes = [];
+
+  compareServices(context, changes);
+
+  for (const [fullName, oldMessage] of oldIndex.messages) {
+    const newMessage = newIndex.messages.get(fullName);
+    if (newMessage) {
+      compareMessages(oldMessage, newMessage, fullName, changes, context);
+    } else {
+      changes.push({ severity: 'safe', kind: 'message-removed', path: fullName, message: 'message removed (changes to the methods and fields using it are listed separately)' });
+    }
+  }
+  for (const [fullName, oldEnum] of oldIndex.enums) {
+    const newEnum = newIndex.enums.get(fullName);
+    if (newEnum) {
+      compareEnums(oldEnum, newEnum, fullName, changes);
+    } else {
+      changes.push({ severity: 'safe', kind: 'enum-removed', path: fullName, message: 'enum removed (changes to the fields using it are listed separately)' });
+    }
+  }
+  for (const fullName of newIndex.messages.keys()) {
+    if (!oldIndex.messages.has(fullName)) {
+      changes.push({ severity: 'safe', kind: 'message-added', path: fullName, message: 'message added' });
+    }
+  }
+  for (const fullName of newIndex.enums.keys()) {
+    if (!oldIndex.enums.has(fullName)) {
+      changes.push({ severity: 'safe', kind: 'enum-added', path: fullName, message: 'enum added' });
+    }
+  }
+
+  // Most severe first, otherwise in discovery order
+  const ordered = changes
+    .map((change, index) => ({ change, index }))
+    .sort((a, b) => SEVERITY_RANK[b.change.severity] - SEVERITY_RANK[a.change.severity] || a.index - b.index)
+    .map(({ change }) => change);
+  const summary = { wire: 0, json: 0, safe: 0 };
+  for (const change of ordered) {
+    summary[change.severity]++;
+  }
+
+  return { breaking: summary.wire + summary.json > 0, summary, changes: ordered };
+}
+
+module.exports = {
+  classifyScalarChange,
+  diffSchemas
+};
@@ -1,16 +1,71 @@
 const express = require('express');
 const multer = require('multer');
-const protobuf = require('protobufjs');
 const path = require('path');
 const fs = require('fs').promises;
 const cors = require('cors');
-const { parseProtoContent, getOptionalFieldsMap, getEnumFieldsMap } = require('./protoparser');
+const { loadSchemaModel, addRequestTemplates, generateEmptyJsonTemplate, isDescriptorSet } = require('./protoparser');
+const { lookupMethod } = require('./wireformat');
+const { buildTwirpUrl, sendTwirpRequest } = require('./twirpclient');
+const { validateMessage, validateJsonText } = require('./validator');
+const {
+  normalizeRelativePath,
+  listWorkspaces,
+  saveWorkspace,
+  saveCatalog,
+  loadWorkspace,
+  deleteWorkspace
+} = require('./workspaces');
+const {
+  isProtoArchive,
+  addSharedImports,
+  extractProtoArchive,
+  readProtoDirectory,
+  resolveLocalDirectory,
+  findMainProtoFile
+} = require('./protosources');
+const {
+  initEnvironments,
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  getEnvironmentVariables,
+  maskSecrets,
+  maskHeaders
+} = require('./environments');
+const { substituteVariables, recordResponse } = require('./templating');
+const {
+  listCollections,
+  getCollection,
+  saveRequest,
+  deleteRequest,
+  deleteCollection,
+  exportCollection,
+  importCollection
+} = require('./collections');
+const { addHistoryEntry, listHistory, getHistoryEntry, clearHistory } = require('./history');
+const { evaluateAssertions } = require('./assertions');
+const {
+  normalizeScenario,
+  listScenarios,
+  getScenario,
+  saveScenario,
+  deleteScenario,
+  runScenario
+} = require('./scenarios');
+const { listStubs, saveStub, deleteStub, createMockRouter } = require('./mockserver');
+const { normalizeLoadTestOptions, runLoadTest } = require('./loadtest');
+const { checkResponse } = require('./responsecheck');
+const { describeSchema } = require('./schema');
+const { diffSchemas } = require('./schemadiff');
+const { generateSnippets } = require('./snippets');
 
 // Setup logging to both console and file
 const logFile = path.join(__dirname, 'server.log');
 function log(...args) {
   const timestamp = new Date().toISOString();
-  const message = `[${timestamp}] ${args.join(' ')}`;
+  // Environment secrets must never end up in server.log
+  const message = maskSecrets(`[${timestamp}] ${args.join(' ')}`);
   console.log(message);
   
   // Append to log file (async, non-blocking)
@@ -23,12 +78,172 @@ const app = express();
 const upload = multer({ dest: 'uploads/' });
 
 app.use(cors());
-app.use(express.json());
+
+// Mock Twirp endpoints read raw bodies (JSON or protobuf), so they are mounted before the JSON parser.
+// /mock serves the latest unsaved upload, /mock/workspaces/<name> a saved workspace.
+const mockRouter = createMockRouter({ getRoot: getProtoRoot, log });
+app.use('/mock/workspaces/:workspace', mockRouter);
+app.use('/mock', mockRouter);
+
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
 // Initialize log file
 log('Server starting...');
 
+// Load stored environments so their secrets are masked in the log
+initEnvironments().catch(err => {
+  log('Failed to load environments:', err.message);
+});
+
+// Root of the most recently parsed unsaved upload, used to encode/decode binary protobuf requests
+let protoRoot = null;
+
+// Parsed roots of saved workspaces, built lazily from the stored proto files
+const workspaceRoots = new Map();
+
+// Latest response data per package.Service/Method, available as {{response.<package.Service/Method>...}} (or {{response.<Method>...}}
+// while the method name is unique) in later requests and assertions
+const lastResponses = {};
+
+// Local directory that proto trees may be loaded from (disabled when unset)
+const PROTO_BASE_DIR = process.env.PROTO_BASE_DIR || null;
+
+// Catalogs are keyed by "package.Service" and "package.Service/Method" since version 2, list
+// `fieldPresence` instead of `optionalFields` since version 3 and `recursiveFields` since version 4,
+// and keep the field maps only on their methods since version 5; older stored catalogs are rebuilt when opened
+const CATALOG_VERSION = 5;
+
+/**
+ * Parse a set of proto files into the catalog returned to the frontend
+ * @param {string} mainFileName - Relative path of the main proto file
+ * @param {Map<string, string|Buffer>} protoFiles - Map of relative paths to proto file content
+ * @returns {Promise<{catalog: Object, root: protobuf.Root}>} Service catalog and the parsed root
+ */
+async function parseProtoFiles(mainFileName, protoFiles) {
+  let uploadedFiles = new Map(protoFiles);
+  
+  // Add the shared proto dependencies kept in imports/ (google/protobuf types are bundled)
+  log('Adding common proto files...');
+  const importsDir = path.join(__dirname, 'imports');
+  try {
+    uploadedFiles = await addSharedImports(protoFiles, importsDir);
+  } catch (err) {
+    log(`Could not read common protos from ${importsDir} - ${err.message}`);
+  }
+  
+  // One pass builds the root, the templates and the field metadata; identical proto sets are served from the cache.
+  // Every file of the set is loaded, not only the main file and its imports, so all their services are listed.
+  log('Loading schema model...');
+  const model = await loadSchemaModel(mainFileName, uploadedFiles, [...protoFiles.keys()]);
+  for (const { importPath, importedFrom } of model.missingImports) {
+    log(`Missing import: ${importPath} (imported from ${importedFrom})`);
+  }
+  for (const { file, error } of model.skippedFiles) {
+    log(`Skipped file: ${file} (${error})`);
+  }
+  const methodCount = Object.values(model.services).reduce((count, service) => count + Object.keys(service.methods).length, 0);
+  log(`Schema model ${model.hash.substring(0, 12)}: ${Object.keys(model.services).length} services, ${methodCount} methods`);
+  
+  const catalog = {
+    version: CATALOG_VERSION,
+    mainFile: mainFileName,
+    services: addRequestTemplates(model.services, model.root),
+    missingImports: model.missingImports,
+    skippedFiles: model.skippedFiles
+  };
+  
+  return { catalog, root: model.root };
+}
+
+/**
+ * Read multer uploads into a map keyed by their relative paths, expanding zip/tar archives
+ * @param {Array<Object>} files - Files uploaded through multer
+ * @param {string|Array<string>} relativePaths - Optional relative paths sent alongside, one per file
+ * @returns {Promise<Map<string, string|Buffer>>} Map of relative paths to proto file content
+ *   (descriptor sets are kept as Buffers)
+ */
+async function readUploadedFiles(files, relativePaths) {
+  const paths = [].concat(relativePaths || []);
+  const protoFiles = new Map();
+  
+  for (const [index, file] of files.entries()) {
+    if (isProtoArchive(file.originalname)) {
+      log(`Extracting archive: ${file.originalname}`);
+      const archiveFiles = await extractProtoArchive(await fs.readFile(file.path), file.originalname);
+      for (const [relativePath, content] of archiveFiles) {
+        protoFiles.set(relativePath, content);
+      }
+    } else {
+      const relativePath = normalizeRelativePath(paths[index] || file.originalname);
+      protoFiles.set(relativePath, await fs.readFile(file.path, isDescriptorSet(relativePath) ? null : 'utf8'));
+    }
+  }
+  
+  return protoFiles;
+}
+
+/**
+ * Pick the main proto file of a set: the requested one, the first uploaded file,
+ * or the first file declaring a service when the set came from an archive or directory
+ * @param {Map<string, string>} protoFiles - Map of relative paths to proto file content
+ * @param {string} [requestedMainFile] - Main file requested by the client
+ * @param {boolean} [firstIsMain] - Whether the first file in the set is the main file
+ * @returns {string} Relative path of the main proto file
+ */
+function selectMainFile(protoFiles, requestedMainFile, firstIsMain = true) {
+  if (requestedMainFile) {
+    const mainFileName = normalizeRelativePath(requestedMainFile);
+    if (!protoFiles.has(mainFileName)) {
+      throw new Error(`Main proto file not found: ${mainFileName}`);
+    }
+    return mainFileName;
+  }
+  
+  return firstIsMain ? protoFiles.keys().next().value : findMainProtoFile(protoFiles);
+}
+
+/**
+ * Keep a parsed proto set around: saved as a workspace when a name is given,
+ * otherwise as the current unsaved upload
+ * @param {string} [workspaceName] - Workspace to save to
+ * @param {string} mainFileName - Relative path of the main proto file
+ * @param {Map<string, string>} protoFiles - Map of relative paths to proto file content
+ * @param {Object} catalog - Parsed service catalog
+ * @param {protobuf.Root} root - Parsed root
+ * @returns {Promise<void>}
+ */
+async function storeParsedFiles(workspaceName, mainFileName, protoFiles, catalog, root) {
+  if (workspaceName) {
+    log(`Saving workspace: ${workspaceName}`);
+    await saveWorkspace(workspaceName, mainFileName, protoFiles, catalog);
+    workspaceRoots.set(workspaceName, root);
+  } else {
+    protoRoot = root;
+  }
+}
+
+/**
+ * Get the parsed root for a workspace, or for the latest unsaved upload when no workspace is given
+ * @param {string} [workspaceName] - Workspace name
+ * @returns {Promise<protobuf.Root>} Parsed protobuf root
+ */
+async function getProtoRoot(workspaceName) {
+  if (!workspaceName) {
+    if (!protoRoot) {
+      throw new Error('No proto files loaded - upload proto files before sending protobuf requests');
+    }
+    return protoRoot;
+  }
+  
+  if (!workspaceRoots.has(workspaceName)) {
+    const workspace = await loadWorkspace(workspaceName);
+    const { root } = await parseProtoFiles(workspace.mainFile, workspace.files);
+    workspaceRoots.set(workspaceName, root);
+  }
+  return workspaceRoots.get(workspaceName);
+}
+
 // Parse proto file with imports and generate JSON templates
 app.post('/api/parse-proto', upload.array('protoFiles'), async (req, res) => {
   log('=== Proto parsing request received ===');
@@ -43,123 +258,221 @@ app.post('/api/parse-proto', upload.array('protoFiles'), async (req, res) => {
     
     log(`Main proto file: ${mainProtoFile.originalname} (${mainProtoFile.size} bytes)`);
     
-    // Read all uploaded files and prepare import map
-    const uploadedFiles = new Map();
+    // Read all uploaded files (expanding archives) and prepare import map
+    const protoFiles = await readUploadedFiles(req.files, req.body.paths);
+    const hasArchive = req.files.some(file => isProtoArchive(file.originalname));
+    const mainFileName = selectMainFile(protoFiles, req.body.mainFile, !hasArchive);
+    log(`Loaded ${protoFiles.size} proto files, main file: ${mainFileName}`);
+    const { catalog, root } = await parseProtoFiles(mainFileName, protoFiles);
     
-    // Read the main file first
-    const mainContent = await fs.readFile(mainProtoFile.path, 'utf8');
-    uploadedFiles.set(mainProtoFile.originalname, mainContent);
+    // Optionally keep the files and catalog as a named workspace
+    const workspaceName = req.body.workspace;
+    await storeParsedFiles(workspaceName, mainFileName, protoFiles, catalog, root);
     
-    // Read any additional uploaded files
-    for (const file of req.files) {
-      const content = await fs.readFile(file.path, 'utf8');
-      uploadedFiles.set(file.originalname, content);
-    }
+    log('Sending response with JSON templates, optional fields, and enum fields...');
+    res.json({ ...catalog, files: [...protoFiles.keys()], workspace: workspaceName || null, success: true });
     
-    // Add common proto files from file system
-    log('Adding common proto files...');
-    const commonProtoFiles = [
-      'imports/google/protobuf/timestamp.proto',
-      'imports/google/protobuf/descriptor.proto',
-      'imports/gett/api/annotations.proto'
-    ];
-    
-    for (const protoPath of commonProtoFiles) {
-      try {
-        const fullPath = path.join(__dirname, protoPath);
-        const commonContent = await fs.readFile(fullPath, 'utf8');
-        uploadedFiles.set(protoPath, commonContent);
-        log(`Added common proto: ${protoPath}`);
-      } catch (err) {
-        log(`Could not read common proto: ${protoPath} - ${err.message}`);
-      }
-    }
+  } catch (error) {
+    log('Proto parsing error:', error.message);
+    log('Error stack:', error.stack);
     
-    // Use our improved protoparser to get the method map with import support
-    log('Using protoparser to extract services and generate JSON templates...');
-    const methodMap = await parseProtoContent(mainContent, uploadedFiles);
-    
-    // Extract optional fields for each method
-    log('Extracting optional fields for each method...');
-    const optionalFieldsMap = await getOptionalFieldsMap(mainContent, uploadedFiles);
-    
-    // Extract enum fields for each method
-    log('Extracting enum fields for each method...');
-    const enumFieldsMap = await getEnumFieldsMap(mainContent, uploadedFiles);
-    
-    log(`Successfully extracted ${Object.keys(methodMap).length} methods with JSON templates`);
-    log(`Successfully extracted optional fields for ${Object.keys(optionalFieldsMap).length} methods`);
-    log(`Successfully extracted enum fields for ${Object.keys(enumFieldsMap).length} methods`);
-    
-    // Convert methodMap to the format expected by the frontend
-    const services = {};
-    
-    // Since we now have the JSON templates, we still need to extract service information
-    // for the frontend to know about services and method metadata
-    const protoContentForServices = uploadedFiles.get(mainProtoFile.originalname);
-    
-    // Create a simple root just for service structure extraction
-    const serviceRoot = new protobuf.Root();
-    await protobuf.parse(protoContentForServices, serviceRoot, { keepCase: true });
-    
-    // Extract services and combine with JSON templates
-    function extractServices(namespace, prefix = '') {
-      for (const [name, nested] of Object.entries(namespace.nested || {})) {
-        if (nested instanceof protobuf.Service) {
-          log(`Found service: ${name} (${nested.fullName})`);
-          services[name] = {
-            name: name,
-            fullName: nested.fullName,
-            methods: {}
-          };
-          
-          for (const [methodName, method] of Object.entries(nested.methods)) {
-            log(`Found method: ${methodName}`);
-            services[name].methods[methodName] = {
-              name: methodName,
-              requestType: method.requestType,
-              responseType: method.responseType,
-              jsonTemplate: methodMap[methodName] || {}, // Add the JSON template from our parser
-              optionalFields: optionalFieldsMap[methodName] || [], // Add the optional fields list
-              enumFields: enumFieldsMap[methodName] || {} // Add the enum fields map
-            };
-          }
-        } else if (nested.nested) {
-          extractServices(nested, prefix ? `${prefix}.${name}` : name);
-        }
-      }
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  } finally {
+    // Clean up uploaded files; workspaces keep their own copies
+    log('Cleaning up uploaded files...');
+    for (const file of req.files || []) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+// List the directories available below the configured local proto directory
+app.get('/api/local-directories', async (req, res) => {
+  try {
+    if (!PROTO_BASE_DIR) {
+      return res.json({ enabled: false, directories: [], success: true });
     }
     
-    extractServices(serviceRoot);
-    log(`Total services found: ${Object.keys(services).length}`);
+    const entries = await fs.readdir(resolveLocalDirectory(PROTO_BASE_DIR), { withFileTypes: true });
+    const directories = entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
     
-    // Clean up uploaded files
-    log('Cleaning up uploaded files...');
-    for (const file of req.files) {
-      await fs.unlink(file.path).catch(() => {});
+    res.json({ enabled: true, baseDir: PROTO_BASE_DIR, directories, success: true });
+  } catch (error) {
+    log('Local directory list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Load a proto tree from the configured local directory
+app.post('/api/load-directory', async (req, res) => {
+  log('=== Local directory load request received ===');
+  
+  try {
+    if (!PROTO_BASE_DIR) {
+      throw new Error('Loading from a local directory is disabled - set PROTO_BASE_DIR to enable it');
     }
     
-    log('Sending response with JSON templates, optional fields, and enum fields...');
+    const { directory = '', mainFile, workspace: workspaceName } = req.body;
+    const absoluteDir = resolveLocalDirectory(PROTO_BASE_DIR, directory);
+    log(`Reading proto files from: ${absoluteDir}`);
     
-    const response = { 
-      services, 
-      methodTemplates: methodMap,
-      optionalFields: optionalFieldsMap,
-      enumFields: enumFieldsMap,
-      success: true 
-    };
+    const protoFiles = await readProtoDirectory(absoluteDir);
+    const mainFileName = selectMainFile(protoFiles, mainFile, false);
+    log(`Loaded ${protoFiles.size} proto files, main file: ${mainFileName}`);
     
-    res.json(response);
+    const { catalog, root } = await parseProtoFiles(mainFileName, protoFiles);
+    await storeParsedFiles(workspaceName, mainFileName, protoFiles, catalog, root);
     
+    res.json({ ...catalog, files: [...protoFiles.keys()], workspace: workspaceName || null, success: true });
   } catch (error) {
-    log('Proto parsing error:', error.message);
-    log('Error stack:', error.stack);
+    log('Local directory load error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// List saved workspaces
+app.get('/api/workspaces', async (req, res) => {
+  try {
+    const workspaces = await listWorkspaces();
+    res.json({ workspaces, success: true });
+  } catch (error) {
+    log('Workspace list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Get a workspace's stored catalog
+app.get('/api/workspaces/:name', async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req.params.name);
+    if (workspace.catalog.version !== CATALOG_VERSION) {
+      log(`Rebuilding outdated catalog of workspace ${workspace.name}`);
+      const { catalog, root } = await parseProtoFiles(workspace.mainFile, workspace.files);
+      await saveCatalog(workspace.name, catalog);
+      workspaceRoots.set(workspace.name, root);
+      workspace.catalog = catalog;
+    } else {
+      // Stored templates would still hold the time the catalog was saved at
+      workspace.catalog.services = addRequestTemplates(workspace.catalog.services, await getProtoRoot(workspace.name));
+    }
+    res.json({ 
+      ...workspace.catalog, 
+      workspace: workspace.name, 
+      files: [...workspace.files.keys()],
+      updatedAt: workspace.updatedAt,
+      success: true 
+    });
+  } catch (error) {
+    log('Workspace load error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Re-parse a workspace's stored proto files and refresh its catalog
+app.post('/api/workspaces/:name/reload', async (req, res) => {
+  try {
+    log(`Reloading workspace: ${req.params.name}`);
+    const workspace = await loadWorkspace(req.params.name);
+    const { catalog, root } = await parseProtoFiles(workspace.mainFile, workspace.files);
+    await saveCatalog(workspace.name, catalog);
+    workspaceRoots.set(workspace.name, root);
     
-    // Clean up uploaded files on error
+    res.json({ ...catalog, workspace: workspace.name, success: true });
+  } catch (error) {
+    log('Workspace reload error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Create a workspace or replace its proto files
+app.put('/api/workspaces/:name', upload.array('protoFiles'), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      throw new Error('No proto file uploaded');
+    }
+    
+    log(`Replacing workspace ${req.params.name} with ${req.files.length} files`);
+    const protoFiles = await readUploadedFiles(req.files, req.body.paths);
+    const hasArchive = req.files.some(file => isProtoArchive(file.originalname));
+    const mainFileName = selectMainFile(protoFiles, req.body.mainFile, !hasArchive);
+    
+    const { catalog, root } = await parseProtoFiles(mainFileName, protoFiles);
+    await saveWorkspace(req.params.name, mainFileName, protoFiles, catalog);
+    workspaceRoots.set(req.params.name, root);
+    
+    res.json({ ...catalog, workspace: req.params.name, success: true });
+  } catch (error) {
+    log('Workspace replace error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  } finally {
     for (const file of req.files || []) {
       await fs.unlink(file.path).catch(() => {});
     }
-    
+  }
+});
+
+// Delete a workspace
+app.delete('/api/workspaces/:name', async (req, res) => {
+  try {
+    log(`Deleting workspace: ${req.params.name}`);
+    await deleteWorkspace(req.params.name);
+    workspaceRoots.delete(req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    log('Workspace delete error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// List environment profiles (secret values are masked)
+app.get('/api/environments', async (req, res) => {
+  try {
+    const environments = await listEnvironments();
+    res.json({ environments, success: true });
+  } catch (error) {
+    log('Environment list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Create or update an environment profile
+app.put('/api/environments/:name', async (req, res) => {
+  try {
+    log(`Saving environment: ${req.params.name}`);
+    const environment = await saveEnvironment(req.params.name, req.body);
+    res.json({ environment, success: true });
+  } catch (error) {
+    log('Environment save error:', error.message);
     res.status(400).json({ 
       error: error.message,
       success: false 
@@ -167,51 +480,425 @@ app.post('/api/parse-proto', upload.array('protoFiles'), async (req, res) => {
   }
 });
 
-// Make Twirp request from backend to avoid CORS issues
-app.post('/api/twirp-request', async (req, res) => {
+// Delete an environment profile
+app.delete('/api/environments/:name', async (req, res) => {
   try {
-    const { baseUrl, serviceName, methodName, requestData } = req.body;
+    log(`Deleting environment: ${req.params.name}`);
+    await deleteEnvironment(req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    log('Environment delete error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// List saved request collections with their requests
+app.get('/api/collections', async (req, res) => {
+  try {
+    const collections = await listCollections();
+    res.json({ collections, success: true });
+  } catch (error) {
+    log('Collection list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Save a request into a collection (created on first use); an existing request id is updated
+app.post('/api/collections/:name/requests', async (req, res) => {
+  try {
+    log(`Saving request "${req.body.name}" to collection ${req.params.name}`);
+    const request = await saveRequest(req.params.name, req.body);
+    res.json({ request, success: true });
+  } catch (error) {
+    log('Collection save error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Remove a request from a collection
+app.delete('/api/collections/:name/requests/:id', async (req, res) => {
+  try {
+    log(`Deleting request ${req.params.id} from collection ${req.params.name}`);
+    await deleteRequest(req.params.name, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    log('Collection request delete error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Delete a collection
+app.delete('/api/collections/:name', async (req, res) => {
+  try {
+    log(`Deleting collection: ${req.params.name}`);
+    await deleteCollection(req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    log('Collection delete error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Download a collection as a shareable JSON file
+app.get('/api/collections/:name/export', async (req, res) => {
+  try {
+    const document = await exportCollection(req.params.name);
+    res.setHeader('Content-Disposition', `attachment; filename="${document.name}.collection.json"`);
+    res.json(document);
+  } catch (error) {
+    log('Collection export error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Import an exported collection (`collection`), optionally under a different `name`
+app.post('/api/collections/import', async (req, res) => {
+  try {
+    const collection = await importCollection(req.body.collection, req.body.name);
+    log(`Imported collection ${collection.name} with ${collection.requests.length} requests`);
+    res.json({ collection, success: true });
+  } catch (error) {
+    log('Collection import error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Generate a request template with plausible values (names, emails, ids, recent times), fresh on every call
+app.post('/api/sample-request', async (req, res) => {
+  try {
+    const { serviceName, methodName, workspace } = req.body;
     
-    if (!baseUrl || !serviceName || !methodName || !requestData) {
-      throw new Error('Missing required fields: baseUrl, serviceName, methodName, requestData');
+    if (!serviceName || !methodName) {
+      throw new Error('Missing required fields: serviceName, methodName');
     }
     
-    // Fix service name by removing leading dot if present
-    const cleanServiceName = serviceName.startsWith('.') ? serviceName.substring(1) : serviceName;
+    const root = await getProtoRoot(workspace);
+    const requestType = lookupMethod(root, serviceName, methodName).resolvedRequestType;
+    const sample = generateEmptyJsonTemplate(requestType, { realistic: true });
     
-    // Construct the Twirp URL
-    const twirpUrl = `${baseUrl}/twirp/${cleanServiceName}/${methodName}`;
+    log(`Generated realistic sample for ${serviceName}/${methodName}`);
+    res.json({ sample, success: true });
     
-    log(`Making Twirp request to: ${twirpUrl}`);
-    log(`Request data:`, JSON.stringify(requestData, null, 2));
+  } catch (error) {
+    log('Sample request error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Describe all packages, services, messages and enums of the loaded protos for the schema browser
+app.get('/api/schema', async (req, res) => {
+  try {
+    const root = await getProtoRoot(req.query.workspace || undefined);
+    const schema = describeSchema(root);
+    log(`Described schema: ${schema.packages.length} packages`);
+    res.json({ ...schema, success: true });
+  } catch (error) {
+    log('Schema error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+/**
+ * Load one side of a schema diff: a saved workspace, or proto files uploaded for that side
+ * @param {Object} req - Request with `<side>Workspace` or `<side>Files` (plus optional `<side>Paths` and `<side>MainFile`)
+ * @param {string} side - "old" or "new"
+ * @returns {Promise<{label: string, schema: Object}>} Description of the version and its schema
+ */
+async function loadSchemaVersion(req, side) {
+  const workspaceName = req.body[`${side}Workspace`];
+  if (workspaceName) {
+    return { label: `workspace ${workspaceName}`, schema: describeSchema(await getProtoRoot(workspaceName)) };
+  }
+  
+  const files = (req.files && req.files[`${side}Files`]) || [];
+  if (files.length === 0) {
+    throw new Error(`Choose a workspace or upload proto files for the ${side} version`);
+  }
+  const protoFiles = await readUploadedFiles(files, req.body[`${side}Paths`]);
+  const hasArchive = files.some(file => isProtoArchive(file.originalname));
+  const mainFileName = selectMainFile(protoFiles, req.body[`${side}MainFile`], !hasArchive);
+  const { root } = await parseProtoFiles(mainFileName, protoFiles);
+  return { label: `upload ${mainFileName}`, schema: describeSchema(root) };
+}
+
+// Compare two versions of a proto set and classify the changes as wire-breaking, JSON-breaking or safe
+app.post('/api/schema-diff', upload.fields([{ name: 'oldFiles' }, { name: 'newFiles' }]), async (req, res) => {
+  try {
+    const oldVersion = await loadSchemaVersion(req, 'old');
+    const newVersion = await loadSchemaVersion(req, 'new');
+    const diff = diffSchemas(oldVersion.schema, newVersion.schema);
     
-    const response = await fetch(twirpUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestData)
+    log(`Schema diff ${oldVersion.label} -> ${newVersion.label}: ${diff.summary.wire} wire-breaking, ${diff.summary.json} JSON-breaking, ${diff.summary.safe} safe`);
+    res.json({ old: oldVersion.label, new: newVersion.label, ...diff, success: true });
+  } catch (error) {
+    log('Schema diff error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
     });
+  } finally {
+    for (const file of Object.values(req.files || {}).flat()) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+});
+
+// Validate a request payload against the method's request type before sending it
+app.post('/api/validate-request', async (req, res) => {
+  try {
+    const { serviceName, methodName, requestText, requestData, workspace } = req.body;
+    
+    if (!serviceName || !methodName || (requestText === undefined && requestData === undefined)) {
+      throw new Error('Missing required fields: serviceName, methodName, requestText or requestData');
+    }
     
-    const responseText = await response.text();
-    log(`Response status: ${response.status}`);
-    log(`Response text:`, responseText);
+    const root = await getProtoRoot(workspace);
+    const requestType = lookupMethod(root, serviceName, methodName).resolvedRequestType;
     
-    let responseData;
+    // Raw editor text gives errors with line numbers, parsed data only with field paths
+    const errors = requestText !== undefined
+      ? validateJsonText(requestType, requestText)
+      : validateMessage(requestType, requestData);
+    
+    log(`Validated ${serviceName}/${methodName} request: ${errors.length} error(s)`);
+    res.json({ valid: errors.length === 0, errors, success: true });
+    
+  } catch (error) {
+    log('Request validation error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+/**
+ * Resolve the environment, {{variables}} and base URL of a request and check its required fields
+ * @param {Object} request - `baseUrl`, `serviceName`, `methodName`, `requestData`, optional `encoding`,
+ *   `environment` and `variables`
+ * @returns {Promise<{environment: Object|null, variables: Object, baseUrl: string}>} Resolved context
+ */
+async function resolveRequestContext(request) {
+  const { serviceName, methodName, encoding = 'json', environment: environmentName } = request;
+  
+  // The environment supplies the base URL, default headers and the {{variables}} used in the request
+  const environment = environmentName ? await getEnvironment(environmentName) : null;
+  const variables = { response: lastResponses, ...getEnvironmentVariables(environment), ...request.variables };
+  const baseUrl = substituteVariables(request.baseUrl || (environment && environment.baseUrl) || '', variables);
+  
+  if (!baseUrl || !serviceName || !methodName || !request.requestData) {
+    throw new Error('Missing required fields: baseUrl, serviceName, methodName, requestData');
+  }
+  
+  if (encoding !== 'json' && encoding !== 'protobuf') {
+    throw new Error(`Unsupported encoding: ${encoding} (expected "json" or "protobuf")`);
+  }
+  
+  return { environment, variables, baseUrl };
+}
+
+/**
+ * Check a successful response against the method's response type
+ * @param {string} [workspace] - Workspace name (undefined for the latest upload)
+ * @param {string} serviceName - Fully qualified service name
+ * @param {string} methodName - Method name
+ * @param {*} data - Decoded response
+ * @returns {Promise<Object|undefined>} Result of checkResponse, or undefined when the method is not in the loaded protos
+ */
+async function checkResponseData(workspace, serviceName, methodName, data) {
+  try {
+    const responseType = lookupMethod(await getProtoRoot(workspace), serviceName, methodName).resolvedResponseType;
+    return checkResponse(responseType, data);
+  } catch (error) {
+    log(`Response check skipped: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Resolve a request against its environment, send it and record it in the history
+ * @param {Object} request - `baseUrl`, `serviceName`, `methodName`, `requestData`, optional `headers`,
+ *   `encoding`, `workspace`, `environment`, `assertions` and `variables` (e.g. values extracted by scenario steps)
+ * @returns {Promise<Object>} The proxy response body, including the `historyId` of the recorded call
+ */
+async function executeTwirpRequest(request) {
+  const { serviceName, methodName, encoding = 'json', workspace } = request;
+  const { environment, variables, baseUrl } = await resolveRequestContext(request);
+  
+  const requestData = substituteVariables(request.requestData, variables);
+  const headers = substituteVariables({
+    ...(environment ? environment.headers : {}),
+    ...(request.headers || {})
+  }, variables);
+  const twirpUrl = buildTwirpUrl(baseUrl, serviceName, methodName);
+  
+  log(`Making Twirp request to: ${twirpUrl} (${encoding}${environment ? `, environment ${environment.name}` : ''})`);
+  log(`Request headers:`, JSON.stringify(maskHeaders(headers)));
+  log(`Request data:`, JSON.stringify(requestData, null, 2));
+  
+  // The request is stored as entered (with {{placeholders}}) so replays pick up current variables,
+  // and the sent headers are stored masked so secrets stay out of the history file
+  const historyEntry = {
+    service: serviceName.startsWith('.') ? serviceName.substring(1) : serviceName,
+    method: methodName,
+    url: twirpUrl,
+    encoding,
+    workspace: workspace || null,
+    environment: environment ? environment.name : null,
+    request: {
+      baseUrl: request.baseUrl || null,
+      payload: request.requestData,
+      headers: request.headers || {},
+      variables: request.variables || {}
+    },
+    sentPayload: JSON.parse(maskSecrets(JSON.stringify(requestData))),
+    sentHeaders: JSON.parse(maskSecrets(JSON.stringify(maskHeaders(headers))))
+  };
+  
+  let result;
+  try {
+    result = await sendTwirpRequest({
+      baseUrl,
+      serviceName,
+      methodName,
+      requestData,
+      headers,
+      encoding,
+      root: encoding === 'protobuf' ? await getProtoRoot(workspace) : null
+    });
+  } catch (error) {
+    await addHistoryEntry({ ...historyEntry, status: null, ok: false, error: error.message });
+    throw error;
+  }
+  
+  log(`Response status: ${result.status} (${result.latencyMs} ms)`);
+  if (result.twirpError) {
+    const { code, msg, mismatch } = result.twirpError;
+    log(`Twirp error: ${code}: ${msg}${mismatch ? ` (${mismatch})` : ''}`);
+  }
+  if (result.payload) {
+    log(`Response payload (${result.payload.size} bytes):`, result.payload.hex);
+  } else {
+    log(`Response text:`, result.responseText);
+  }
+  
+  // Assertions may compare against earlier responses, so they are checked before this one is remembered
+  const assertionResults = request.assertions && request.assertions.length > 0
+    ? evaluateAssertions(request.assertions, result, variables)
+    : undefined;
+  if (assertionResults) {
+    const failed = assertionResults.filter(assertion => !assertion.passed).length;
+    log(`Assertions: ${assertionResults.length - failed} passed, ${failed} failed`);
+  }
+  recordResponse(lastResponses, serviceName, methodName, result.data);
+  
+  const responseCheck = result.ok && !(result.data && result.data.decodeError)
+    ? await checkResponseData(workspace, serviceName, methodName, result.data)
+    : undefined;
+  if (responseCheck && responseCheck.problems.length > 0) {
+    log(`Response check (${responseCheck.type}): ${responseCheck.problems.map(problem => `${problem.path || '(root)'}: ${problem.message}`).join('; ')}`);
+  }
+  
+  const entry = await addHistoryEntry({
+    ...historyEntry,
+    status: result.status,
+    statusText: result.statusText,
+    ok: result.ok,
+    response: result.data,
+    twirpError: result.twirpError,
+    latencyMs: result.latencyMs,
+    assertions: assertionResults
+  });
+  
+  return {
+    success: result.ok,
+    status: result.status,
+    statusText: result.statusText,
+    data: result.data,
+    payload: result.payload,
+    twirpError: result.twirpError,
+    responseCheck,
+    encoding,
+    url: result.url,
+    latencyMs: result.latencyMs,
+    assertions: assertionResults,
+    historyId: entry.id
+  };
+}
+
+// Export a request as curl, Node, Go and Python client code, resolved exactly like /api/twirp-request
+app.post('/api/snippets', async (req, res) => {
+  try {
+    const { serviceName, methodName, workspace } = req.body;
+    const { environment, variables, baseUrl } = await resolveRequestContext(req.body);
+    const requestData = substituteVariables(req.body.requestData, variables);
+    const headers = substituteVariables({
+      ...(environment ? environment.headers : {}),
+      ...(req.body.headers || {})
+    }, variables);
+    
+    let method;
     try {
-      responseData = JSON.parse(responseText);
-    } catch (parseError) {
-      responseData = { rawResponse: responseText };
+      method = lookupMethod(await getProtoRoot(workspace), serviceName, methodName);
+    } catch (error) {
+      log(`Snippets without proto definitions: ${error.message}`);
     }
     
-    res.json({
-      success: response.ok,
-      status: response.status,
-      statusText: response.statusText,
-      data: responseData,
-      url: twirpUrl
+    // Environment secrets stay on the server; the snippets show the mask in their place
+    const mask = value => JSON.parse(maskSecrets(JSON.stringify(value)));
+    const forwardedHeaders = Object.fromEntries(Object.entries(headers)
+      .filter(([name]) => name.toLowerCase() !== 'content-type'));
+    const url = maskSecrets(buildTwirpUrl(baseUrl, serviceName, methodName));
+    const snippets = generateSnippets({
+      url,
+      baseUrl: maskSecrets(baseUrl.replace(/\/+$/, '')),
+      headers: mask(forwardedHeaders),
+      requestData: mask(requestData),
+      method
     });
     
+    log(`Generated snippets for ${serviceName}/${methodName}`);
+    res.json({ url, snippets, success: true });
+  } catch (error) {
+    log('Snippet error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Make Twirp request from backend to avoid CORS issues
+app.post('/api/twirp-request', async (req, res) => {
+  try {
+    res.json(await executeTwirpRequest(req.body));
   } catch (error) {
     log('Twirp request error:', error.message);
     res.status(400).json({ 
@@ -221,6 +908,310 @@ app.post('/api/twirp-request', async (req, res) => {
   }
 });
 
+// List recorded calls, newest first (`page`, `pageSize`, optional `service` and `method` filters)
+app.get('/api/history', async (req, res) => {
+  try {
+    const history = await listHistory(req.query);
+    res.json({ ...history, success: true });
+  } catch (error) {
+    log('History list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Get a single recorded call
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const entry = await getHistoryEntry(req.params.id);
+    res.json({ entry, success: true });
+  } catch (error) {
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Send a recorded call again with the current environment values
+app.post('/api/history/:id/replay', async (req, res) => {
+  try {
+    const entry = await getHistoryEntry(req.params.id);
+    log(`Replaying history entry ${entry.id}: ${entry.service}/${entry.method}`);
+    res.json(await executeTwirpRequest({
+      baseUrl: entry.request.baseUrl,
+      serviceName: entry.service,
+      methodName: entry.method,
+      requestData: entry.request.payload,
+      headers: entry.request.headers,
+      encoding: entry.encoding,
+      workspace: entry.workspace,
+      environment: entry.environment,
+      variables: entry.request.variables
+    }));
+  } catch (error) {
+    log('History replay error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Delete all recorded calls
+app.delete('/api/history', async (req, res) => {
+  try {
+    log('Clearing request history');
+    await clearHistory();
+    res.json({ success: true });
+  } catch (error) {
+    log('History clear error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+/**
+ * Run a scenario through the Twirp proxy, so every step is validated, logged and recorded like a manual call
+ * @param {Object} scenario - Normalized scenario
+ * @param {Object} [overrides] - `baseUrl`, `environment` and `variables` to use instead of the scenario's
+ * @returns {Promise<Object>} Scenario report
+ */
+async function executeScenario(scenario, overrides = {}) {
+  log(`Running scenario ${scenario.name || '(unsaved)'} with ${scenario.steps.length} steps`);
+  const report = await runScenario(scenario, (step, variables) => executeTwirpRequest({
+    baseUrl: overrides.baseUrl || scenario.baseUrl,
+    serviceName: step.service,
+    methodName: step.method,
+    requestData: step.payload,
+    headers: step.headers,
+    encoding: scenario.encoding,
+    workspace: scenario.workspace,
+    environment: overrides.environment || scenario.environment,
+    assertions: step.assertions,
+    variables
+  }), overrides.variables);
+  
+  const passedSteps = report.steps.filter(step => step.result === 'passed').length;
+  log(`Scenario ${scenario.name || '(unsaved)'} ${report.passed ? 'passed' : 'failed'}: ${passedSteps}/${report.steps.length} steps passed`);
+  return report;
+}
+
+// List saved scenarios
+app.get('/api/scenarios', async (req, res) => {
+  try {
+    const scenarios = await listScenarios();
+    res.json({ scenarios, success: true });
+  } catch (error) {
+    log('Scenario list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Create or replace a scenario
+app.put('/api/scenarios/:name', async (req, res) => {
+  try {
+    log(`Saving scenario: ${req.params.name}`);
+    const scenario = await saveScenario(req.params.name, req.body);
+    res.json({ scenario, success: true });
+  } catch (error) {
+    log('Scenario save error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Delete a scenario
+app.delete('/api/scenarios/:name', async (req, res) => {
+  try {
+    log(`Deleting scenario: ${req.params.name}`);
+    await deleteScenario(req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    log('Scenario delete error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Run an unsaved scenario sent as `scenario` (optional `baseUrl`, `environment`, `variables` overrides)
+app.post('/api/scenarios/run', async (req, res) => {
+  try {
+    const scenario = { ...normalizeScenario(req.body.scenario), name: req.body.scenario.name };
+    const report = await executeScenario(scenario, req.body);
+    res.json({ report, success: true });
+  } catch (error) {
+    log('Scenario run error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Run a saved scenario (optional `baseUrl`, `environment`, `variables` overrides)
+app.post('/api/scenarios/:name/run', async (req, res) => {
+  try {
+    const scenario = await getScenario(req.params.name);
+    const report = await executeScenario(scenario, req.body);
+    res.json({ report, success: true });
+  } catch (error) {
+    log('Scenario run error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+/**
+ * Get the request a load test sends: a saved collection request (`collection` and `requestId`)
+ * or an inline request in the proxy's format, with optional `baseUrl` and `environment` overrides
+ * @param {Object} body - Load test request body
+ * @returns {Promise<Object>} Request in the proxy's format
+ */
+async function getLoadTestRequest(body) {
+  if (!body.collection) {
+    return body;
+  }
+  
+  const collection = await getCollection(body.collection);
+  const saved = collection.requests.find(request => request.id === body.requestId);
+  if (!saved) {
+    throw new Error(`Request not found in collection ${body.collection}: ${body.requestId}`);
+  }
+  return {
+    baseUrl: body.baseUrl,
+    serviceName: saved.service,
+    methodName: saved.method,
+    requestData: saved.payload,
+    headers: saved.headers,
+    encoding: saved.encoding,
+    workspace: saved.workspace,
+    environment: body.environment || saved.environment
+  };
+}
+
+// Fire one request repeatedly and stream progress as newline-delimited JSON: `progress` lines
+// every half second, then a `result` line (or an `error` line if the test broke off)
+app.post('/api/load-test', async (req, res) => {
+  let streaming = false;
+  try {
+    const options = normalizeLoadTestOptions(req.body);
+    const request = await getLoadTestRequest(req.body);
+    const { serviceName, methodName, encoding = 'json', workspace } = request;
+    const { environment, variables, baseUrl } = await resolveRequestContext(request);
+    const root = encoding === 'protobuf' ? await getProtoRoot(workspace) : null;
+    
+    // {{placeholders}} are resolved for every request unless `resolvePerRequest` is false;
+    // {{iteration}} is the 1-based number of the request
+    const resolveIteration = iteration => {
+      const iterationVariables = { ...variables, iteration };
+      return {
+        requestData: substituteVariables(request.requestData, iterationVariables),
+        headers: substituteVariables({
+          ...(environment ? environment.headers : {}),
+          ...(request.headers || {})
+        }, iterationVariables)
+      };
+    };
+    // Resolving once up front reports undefined variables before anything is sent
+    const firstIteration = resolveIteration(1);
+    const perRequest = req.body.resolvePerRequest !== false;
+    
+    log(`Load test: ${serviceName}/${methodName} at ${baseUrl}, concurrency ${options.concurrency}` +
+      `${options.durationMs ? `, ${options.durationMs / 1000} s` : ''}${options.count ? `, ${options.count} requests` : ''}`);
+    
+    // Closing the stream cancels the test and aborts the requests in flight, which count as errors
+    const cancel = new AbortController();
+    res.on('close', () => cancel.abort());
+    res.status(200).type('application/x-ndjson');
+    streaming = true;
+    
+    const summary = await runLoadTest(options, iteration => sendTwirpRequest({
+      baseUrl,
+      serviceName,
+      methodName,
+      ...(perRequest && iteration > 1 ? resolveIteration(iteration) : firstIteration),
+      encoding,
+      root,
+      signal: cancel.signal
+    }), {
+      onProgress: progress => res.write(JSON.stringify({ type: 'progress', ...progress }) + '\n'),
+      isCancelled: () => cancel.signal.aborted
+    });
+    
+    log(`Load test ${summary.cancelled ? 'cancelled' : 'finished'}: ${summary.completed} requests, ${summary.throughput} req/s, ` +
+      `p50 ${summary.latency.p50} ms, p95 ${summary.latency.p95} ms, p99 ${summary.latency.p99} ms, statuses ${JSON.stringify(summary.statuses)}`);
+    res.end(JSON.stringify({ type: 'result', ...summary }) + '\n');
+  } catch (error) {
+    log('Load test error:', error.message);
+    if (streaming) {
+      res.end(JSON.stringify({ type: 'error', error: error.message }) + '\n');
+    } else {
+      res.status(400).json({ 
+        error: error.message,
+        success: false 
+      });
+    }
+  }
+});
+
+// List mock stubs in matching order
+app.get('/api/mock/stubs', async (req, res) => {
+  try {
+    const stubs = await listStubs();
+    res.json({ stubs, success: true });
+  } catch (error) {
+    log('Mock stub list error:', error.message);
+    res.status(500).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Create a mock stub, or update the one with the given `id`
+app.post('/api/mock/stubs', async (req, res) => {
+  try {
+    const stub = await saveStub(req.body);
+    log(`Saved mock stub ${stub.id} for ${stub.service}/${stub.method}`);
+    res.json({ stub, success: true });
+  } catch (error) {
+    log('Mock stub save error:', error.message);
+    res.status(400).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
+// Delete a mock stub
+app.delete('/api/mock/stubs/:id', async (req, res) => {
+  try {
+    log(`Deleting mock stub: ${req.params.id}`);
+    await deleteStub(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    log('Mock stub delete error:', error.message);
+    res.status(404).json({ 
+      error: error.message,
+      success: false 
+    });
+  }
+});
+
 // Get message structure for form generation (DEPRECATED - now using JSON templates from protoparser)
 app.post('/api/get-message-structure', async (req, res) => {
   try {
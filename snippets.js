@@ -0,0 +1,472 @@
+const protobuf = require('protobufjs');
+const { jsonToProtoObject } = require('./wireformat');
+
+// Go helpers for proto3 `optional` scalars, which are pointers in generated Go code
+const GO_OPTIONAL_HELPERS = {
+  string: 'proto.String',
+  bool: 'proto.Bool',
+  int32: 'proto.Int32',
+  sint32: 'proto.Int32',
+  sfixed32: 'proto.Int32',
+  int64: 'proto.Int64',
+  sint64: 'proto.Int64',
+  sfixed64: 'proto.Int64',
+  uint32: 'proto.Uint32',
+  fixed32: 'proto.Uint32',
+  uint64: 'proto.Uint64',
+  fixed64: 'proto.Uint64',
+  float: 'proto.Float32',
+  double: 'proto.Float64'
+};
+
+const GO_SCALAR_TYPES = {
+  string: 'string',
+  bool: 'bool',
+  bytes: '[]byte',
+  int32: 'int32',
+  sint32: 'int32',
+  sfixed32: 'int32',
+  int64: 'int64',
+  sint64: 'int64',
+  sfixed64: 'int64',
+  uint32: 'uint32',
+  fixed32: 'uint32',
+  uint64: 'uint64',
+  fixed64: 'uint64',
+  float: 'float32',
+  double: 'float64'
+};
+
+const GO_WRAPPERS = {
+  '.google.protobuf.StringValue': 'wrapperspb.String',
+  '.google.protobuf.BytesValue': 'wrapperspb.Bytes',
+  '.google.protobuf.BoolValue': 'wrapperspb.Bool',
+  '.google.protobuf.Int32Value': 'wrapperspb.Int32',
+  '.google.protobuf.Int64Value': 'wrapperspb.Int64',
+  '.google.protobuf.UInt32Value': 'wrapperspb.UInt32',
+  '.google.protobuf.UInt64Value': 'wrapperspb.UInt64',
+  '.google.protobuf.FloatValue': 'wrapperspb.Float',
+  '.google.protobuf.DoubleValue': 'wrapperspb.Double'
+};
+
+const GO_WELL_KNOWN_PACKAGES = {
+  timestamppb: 'google.golang.org/protobuf/types/known/timestamppb',
+  durationpb: 'google.golang.org/protobuf/types/known/durationpb',
+  wrapperspb: 'google.golang.org/protobuf/types/known/wrapperspb',
+  fieldmaskpb: 'google.golang.org/protobuf/types/known/fieldmaskpb',
+  emptypb: 'google.golang.org/protobuf/types/known/emptypb',
+  proto: 'google.golang.org/protobuf/proto',
+  math: 'math'
+};
+
+/**
+ * Quote a string for a POSIX shell
+ * @param {string} value - Raw string
+ * @returns {string} Single-quoted string
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Go identifier of a proto name, the way protoc-gen-go derives it (GoCamelCase)
+ * @param {string} name - Proto name, possibly dotted for nested types
+ * @returns {string} Go identifier, e.g. "UserId" for "user_id" and "Outer_Inner" for "Outer.Inner"
+ */
+function goCamelCase(name) {
+  const isLower = char => char >= 'a' && char <= 'z';
+  const isDigit = char => char >= '0' && char <= '9';
+  let result = '';
+  for (let i = 0; i < name.length; i++) {
+    const char = name[i];
+    if (char === '.' && isLower(name[i + 1] || '')) {
+      continue;
+    } else if (char === '.') {
+      result += '_';
+    } else if (char === '_' && (i === 0 || name[i - 1] === '.')) {
+      result += 'X';
+    } else if (char === '_' && isLower(name[i + 1] || '')) {
+      continue;
+    } else if (isDigit(char)) {
+      result += char;
+    } else {
+      result += isLower(char) ? char.toUpperCase() : char;
+      while (isLower(name[i + 1] || '')) {
+        result += name[++i];
+      }
+    }
+  }
+  return result;
+}
+
+function goString(value) {
+  return JSON.stringify(String(value));
+}
+
+function goBytes(base64) {
+  const bytes = Buffer.from(String(base64), 'base64');
+  let text = '';
+  for (const byte of bytes) {
+    text += byte >= 0x20 && byte < 0x7f && byte !== 0x22 && byte !== 0x5c
+      ? String.fromCharCode(byte)
+      : `\\x${byte.toString(16).padStart(2, '0')}`;
+  }
+  return `[]byte("${text}")`;
+}
+
+/**
+ * Generates Go composite literals for request messages, tracking the Go packages they need
+ */
+class GoLiteralWriter {
+  constructor(mainPackage) {
+    this.mainPackage = mainPackage;
+    this.imports = new Map();
+    this.packageAliases = new Map();
+  }
+
+  useImport(alias, importPath) {
+    this.imports.set(importPath, alias);
+    return alias;
+  }
+
+  /**
+   * Go package of a proto definition: `pb` for the service's own package, otherwise an alias
+   * derived from the go_package option or the proto package name
+   */
+  packageOf(definition) {
+    let namespace = definition.parent;
+    while (namespace instanceof protobuf.Type) {
+      namespace = namespace.parent;
+    }
+    const protoPackage = namespace.fullName.substring(1);
+    if (!this.packageAliases.has(protoPackage)) {
+      const goPackage = (namespace.options && namespace.options.go_package) || '';
+      const [importPath, explicitName] = goPackage.split(';');
+      const isMain = protoPackage === this.mainPackage;
+      const alias = isMain ? 'pb' : (explicitName || (importPath ? importPath.split('/').pop() : protoPackage.replace(/\./g, '')) || 'pb2').replace(/[^A-Za-z0-9_]/g, '');
+      const path = importPath || `your/module/${protoPackage.replace(/\./g, '/')}`;
+      this.packageAliases.set(protoPackage, alias);
+      this.useImport(alias, path);
+    }
+    return this.packageAliases.get(protoPackage);
+  }
+
+  typeName(definition) {
+    let relative = definition.name;
+    for (let parent = definition.parent; parent instanceof protobuf.Type; parent = parent.parent) {
+      relative = `${parent.name}.${relative}`;
+    }
+    return `${this.packageOf(definition)}.${goCamelCase(relative)}`;
+  }
+
+  enumValue(enumType, value) {
+    const name = typeof value === 'number' ? enumType.valuesById[value] : value;
+    if (name === undefined || enumType.values[name] === undefined) {
+      return `${this.typeName(enumType)}(${Number(value) || 0})`;
+    }
+    // Values of nested enums are prefixed with the enclosing message, top-level ones with the enum
+    const prefix = enumType.parent instanceof protobuf.Type ? this.typeName(enumType.parent) : this.typeName(enumType);
+    return `${prefix}_${name}`;
+  }
+
+  elementType(field) {
+    const resolvedType = field.resolvedType;
+    if (resolvedType instanceof protobuf.Enum) return this.typeName(resolvedType);
+    if (resolvedType instanceof protobuf.Type) {
+      return `*${this.wellKnownTypeName(resolvedType) || this.typeName(resolvedType)}`;
+    }
+    return GO_SCALAR_TYPES[field.type] || 'any';
+  }
+
+  wellKnownTypeName(type) {
+    switch (type.fullName) {
+      case '.google.protobuf.Timestamp': return `${this.useImport('timestamppb', GO_WELL_KNOWN_PACKAGES.timestamppb)}.Timestamp`;
+      case '.google.protobuf.Duration': return `${this.useImport('durationpb', GO_WELL_KNOWN_PACKAGES.durationpb)}.Duration`;
+      case '.google.protobuf.FieldMask': return `${this.useImport('fieldmaskpb', GO_WELL_KNOWN_PACKAGES.fieldmaskpb)}.FieldMask`;
+      case '.google.protobuf.Empty': return `${this.useImport('emptypb', GO_WELL_KNOWN_PACKAGES.emptypb)}.Empty`;
+      default:
+        return GO_WRAPPERS[type.fullName] ? `${this.useImport('wrapperspb', GO_WELL_KNOWN_PACKAGES.wrapperspb)}.${type.name}` : null;
+    }
+  }
+
+  scalar(type, value) {
+    switch (type) {
+      case 'string':
+        return goString(value);
+      case 'bytes':
+        return goBytes(value);
+      case 'bool':
+        return value === true || value === 'true' ? 'true' : 'false';
+      case 'float':
+      case 'double':
+        if (value === 'NaN' || value === 'Infinity' || value === '-Infinity') {
+          const special = value === 'NaN' ? 'NaN()' : `Inf(${value === 'Infinity' ? 1 : -1})`;
+          return type === 'float' ? `float32(${this.useImport('math', 'math')}.${special})` : `${this.useImport('math', 'math')}.${special}`;
+        }
+        return String(Number(value));
+      default:
+        // int64 values may arrive as strings; they are integer literals in Go either way
+        return String(value);
+    }
+  }
+
+  /**
+   * Go expression of a single (non-repeated) value of a field
+   */
+  value(field, value, indent) {
+    const resolvedType = field.resolvedType;
+    if (resolvedType instanceof protobuf.Enum) {
+      return this.enumValue(resolvedType, value);
+    }
+    if (resolvedType instanceof protobuf.Type) {
+      return this.message(resolvedType, value, indent);
+    }
+    return this.scalar(field.type, value);
+  }
+
+  message(type, value, indent) {
+    const wrapper = GO_WRAPPERS[type.fullName];
+    if (wrapper) {
+      const [alias] = wrapper.split('.');
+      this.useImport(alias, GO_WELL_KNOWN_PACKAGES[alias]);
+      return `${wrapper}(${this.scalar(type.fields.value.type, value)})`;
+    }
+
+    switch (type.fullName) {
+      case '.google.protobuf.Timestamp':
+      case '.google.protobuf.Duration': {
+        const { seconds, nanos } = jsonToProtoObject(type, value);
+        return `&${this.wellKnownTypeName(type)}{Seconds: ${seconds || 0}, Nanos: ${nanos || 0}} /* ${value} */`;
+      }
+      case '.google.protobuf.FieldMask':
+        return `&${this.wellKnownTypeName(type)}{Paths: []string{${String(value).split(',').filter(Boolean).map(goString).join(', ')}}}`;
+      case '.google.protobuf.Empty':
+        return `&${this.wellKnownTypeName(type)}{}`;
+      case '.google.protobuf.Struct':
+      case '.google.protobuf.Value':
+      case '.google.protobuf.ListValue':
+      case '.google.protobuf.Any':
+        return `nil /* ${type.fullName.substring(1)}: build it with the structpb or anypb helpers from ${JSON.stringify(value)} */`;
+      default:
+        break;
+    }
+
+    const inner = `${indent}\t`;
+    const lines = [];
+    for (const field of type.fieldsArray) {
+      field.resolve();
+      const key = [field.name, protobuf.util.camelCase(field.name)].find(name => value && value[name] !== undefined && value[name] !== null);
+      if (key === undefined) continue;
+      const fieldValue = value[key];
+      const goName = goCamelCase(field.name);
+
+      if (field.map) {
+        const keyType = GO_SCALAR_TYPES[field.keyType];
+        const entries = Object.entries(fieldValue).map(([mapKey, mapValue]) => {
+          const goKey = field.keyType === 'string' ? goString(mapKey) : mapKey;
+          return `${inner}\t${goKey}: ${this.value(field, mapValue, `${inner}\t`)},`;
+        });
+        lines.push(`${inner}${goName}: map[${keyType}]${this.elementType(field)}{\n${entries.join('\n')}\n${inner}},`);
+      } else if (field.repeated) {
+        const items = [].concat(fieldValue).map(item => `${inner}\t${this.value(field, item, `${inner}\t`)},`);
+        lines.push(`${inner}${goName}: []${this.elementType(field)}{\n${items.join('\n')}\n${inner}},`);
+      } else if (field.partOf && !(field.options && field.options.proto3_optional)) {
+        // Oneof members are set through a wrapper type named after the message and the field
+        lines.push(`${inner}${goCamelCase(field.partOf.name)}: &${this.typeName(type)}_${goName}{${goName}: ${this.value(field, fieldValue, inner)}},`);
+      } else if (field.options && field.options.proto3_optional && !(field.resolvedType instanceof protobuf.Type) && field.type !== 'bytes') {
+        const expression = field.resolvedType instanceof protobuf.Enum
+          ? `${this.value(field, fieldValue, inner)}.Enum()`
+          : `${GO_OPTIONAL_HELPERS[field.type]}(${this.scalar(field.type, fieldValue)})`;
+        if (!(field.resolvedType instanceof protobuf.Enum)) this.useImport('proto', GO_WELL_KNOWN_PACKAGES.proto);
+        lines.push(`${inner}${goName}: ${expression},`);
+      } else {
+        lines.push(`${inner}${goName}: ${this.value(field, fieldValue, inner)},`);
+      }
+    }
+    const name = this.typeName(type);
+    return lines.length > 0 ? `&${name}{\n${lines.join('\n')}\n${indent}}` : `&${name}{}`;
+  }
+}
+
+function pythonLiteral(value, indent = '') {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number' || typeof value === 'string') return JSON.stringify(value);
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${pythonLiteral(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)},`).join('\n')}\n${indent}}`;
+}
+
+function indentJson(value, indent) {
+  return JSON.stringify(value, null, 2).split('\n').join(`\n${indent}`);
+}
+
+function curlJson({ url, headers, requestData }) {
+  const lines = [`curl -X POST ${shellQuote(url)}`, `  -H ${shellQuote('Content-Type: application/json')}`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`  -H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  lines.push(`  -d ${shellQuote(JSON.stringify(requestData))}`);
+  return lines.join(' \\\n');
+}
+
+function curlProtobuf({ url, headers, body, responseType }) {
+  // Octal escapes work in every POSIX printf, unlike \x
+  const escaped = [...body].map(byte => `\\${byte.toString(8).padStart(3, '0')}`).join('');
+  const lines = [`printf '${escaped}' | curl -X POST ${shellQuote(url)}`, `  -H ${shellQuote('Content-Type: application/protobuf')}`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`  -H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  lines.push('  --data-binary @-', '  -o response.bin');
+  return `${lines.join(' \\\n')}\n\n# Decode the response with protoc:\n# protoc --decode=${responseType} <your .proto file> < response.bin`;
+}
+
+function nodeFetch({ url, headers, requestData }) {
+  const headerLines = Object.entries({ 'Content-Type': 'application/json', ...headers })
+    .map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)},`);
+  return [
+    `const response = await fetch(${JSON.stringify(url)}, {`,
+    `  method: 'POST',`,
+    `  headers: {`,
+    ...headerLines,
+    `  },`,
+    `  body: JSON.stringify(${indentJson(requestData, '  ')}),`,
+    `});`,
+    `const data = await response.json();`,
+    `if (!response.ok) {`,
+    '  // Twirp errors carry a code and a message',
+    '  throw new Error(`${data.code}: ${data.msg}`);',
+    `}`,
+    `console.log(data);`
+  ].join('\n');
+}
+
+function pythonRequests({ url, headers, requestData }) {
+  return [
+    'import requests',
+    '',
+    'response = requests.post(',
+    `    ${JSON.stringify(url)},`,
+    `    headers=${pythonLiteral({ 'Content-Type': 'application/json', ...headers }, '    ')},`,
+    `    json=${pythonLiteral(requestData, '    ')},`,
+    ')',
+    'if not response.ok:',
+    '    # Twirp errors carry a code and a message',
+    '    error = response.json()',
+    '    raise RuntimeError(f"{error[\'code\']}: {error[\'msg\']}")',
+    'print(response.json())'
+  ].join('\n');
+}
+
+function goTwirp({ url, baseUrl, headers, requestData, method }) {
+  const service = method.parent;
+  const writer = new GoLiteralWriter(service.parent.fullName.substring(1));
+  writer.packageOf(service);
+  writer.useImport('twirp', 'github.com/twitchtv/twirp');
+  const requestLiteral = writer.message(method.resolvedRequestType, requestData, '\t');
+  const headerNames = Object.keys(headers);
+
+  const standardImports = ['context', 'fmt', 'log', 'net/http'];
+  if ([...writer.imports.keys()].includes('math')) {
+    standardImports.push('math');
+    writer.imports.delete('math');
+  }
+  const thirdParty = [...writer.imports.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([importPath, alias]) => {
+      const lastElement = importPath.split('/').pop();
+      return `\t${alias === lastElement ? '' : `${alias} `}${JSON.stringify(importPath)}`;
+    });
+
+  const lines = [
+    'package main',
+    '',
+    'import (',
+    ...standardImports.sort().map(name => `\t${JSON.stringify(name)}`),
+    '',
+    ...thirdParty,
+    ')',
+    '',
+    'func main() {',
+    `\t// Sends POST ${url}`,
+    `\tclient := pb.New${goCamelCase(service.name)}ProtobufClient(${goString(baseUrl)}, &http.Client{})`,
+    '',
+    '\tctx := context.Background()'
+  ];
+  if (headerNames.length > 0) {
+    lines.push('\theader := make(http.Header)');
+    for (const [name, value] of Object.entries(headers)) {
+      lines.push(`\theader.Set(${goString(name)}, ${goString(value)})`);
+    }
+    lines.push(
+      '\tctx, err := twirp.WithHTTPRequestHeaders(ctx, header)',
+      '\tif err != nil {',
+      '\t\tlog.Fatal(err)',
+      '\t}'
+    );
+  }
+  lines.push(
+    '',
+    `\tresp, err := client.${goCamelCase(method.name)}(ctx, ${requestLiteral})`,
+    '\tif err != nil {',
+    '\t\tif twerr, ok := err.(twirp.Error); ok {',
+    '\t\t\tlog.Fatalf("%s: %s", twerr.Code(), twerr.Msg())',
+    '\t\t}',
+    '\t\tlog.Fatal(err)',
+    '\t}',
+    '\tfmt.Println(resp)',
+    '}'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Generate client snippets for a request: curl (JSON and protobuf), Node fetch, a Go Twirp client call
+ * and Python requests
+ * @param {Object} request - Resolved request
+ * @param {string} request.url - Twirp URL of the method
+ * @param {string} request.baseUrl - Server base URL (Go clients build the URL from it)
+ * @param {Object} request.headers - Request headers, without Content-Type
+ * @param {Object} request.requestData - Request message as proto3 JSON
+ * @param {protobuf.Method} [request.method] - Resolved method, required for the protobuf and Go snippets
+ * @returns {Object} Snippets by name: `curlJson`, `curlProtobuf`, `node`, `go` and `python`
+ */
+function generateSnippets(request) {
+  const { method, requestData } = request;
+  const snippets = {
+    curlJson: curlJson(request),
+    node: nodeFetch(request),
+    python: pythonRequests(request)
+  };
+
+  if (!method) {
+    const note = '# The method is not in the loaded proto files, so only JSON snippets are available';
+    return { ...snippets, curlProtobuf: note, go: note.replace('#', '//') };
+  }
+
+  try {
+    const requestType = method.resolvedRequestType;
+    const body = Buffer.from(requestType.encode(requestType.fromObject(jsonToProtoObject(requestType, requestData))).finish());
+    snippets.curlProtobuf = curlProtobuf({ ...request, body, responseType: method.resolvedResponseType.fullName.substring(1) });
+  } catch (error) {
+    snippets.curlProtobuf = `# The request could not be encoded as protobuf: ${error.message}`;
+  }
+  try {
+    snippets.go = goTwirp(request);
+  } catch (error) {
+    snippets.go = `// The Go snippet could not be generated: ${error.message}`;
+  }
+  return snippets;
+}
+
+module.exports = {
+  shellQuote,
+  goCamelCase,
+  generateSnippets
+};
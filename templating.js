@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const {
+  randomInt,
+  randomString,
+  relativeDate,
+  fakeFirstName,
+  fakeLastName,
+  fakeName,
+  fakeEmail,
+  fakePhone
+} = require('./fakedata');
+
+// {{name}} placeholders in payloads, headers and URLs
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+// Built-in generators for placeholders that no variable defines; each occurrence gets a fresh value
+const TIME_OFFSET = '(?:\\s*([+-])\\s*(\\d+)\\s*(ms|s|m|h|d|w))?';
+const GENERATORS = [
+  { pattern: /^uuid$/, generate: () => crypto.randomUUID() },
+  { pattern: new RegExp(`^now${TIME_OFFSET}$`), generate: (sign, amount, unit) => relativeDate(sign, amount, unit).toISOString() },
+  { pattern: new RegExp(`^timestamp${TIME_OFFSET}$`), generate: (sign, amount, unit) => Math.floor(relativeDate(sign, amount, unit).getTime() / 1000) },
+  {
+    pattern: /^randomInt\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\)$/,
+    generate: (min, max) => {
+      if (Number(min) > Number(max)) {
+        throw new Error(`Invalid {{randomInt(${min},${max})}}: min is greater than max`);
+      }
+      return randomInt(Number(min), Number(max));
+    }
+  },
+  { pattern: /^randomString(?:\(\s*(\d+)\s*\))?$/, generate: length => randomString(length ? Number(length) : 12) },
+  { pattern: /^email$/, generate: fakeEmail },
+  { pattern: /^name$/, generate: fakeName },
+  { pattern: /^firstName$/, generate: fakeFirstName },
+  { pattern: /^lastName$/, generate: fakeLastName },
+  { pattern: /^phone$/, generate: fakePhone }
+];
+
+/**
+ * Generate a value for a built-in placeholder such as {{uuid}}, {{now+1h}} or {{randomInt(1,100)}}
+ * @param {string} name - Placeholder name
+ * @returns {{matched: boolean, value: *}} Whether a generator handles the name and the generated value
+ */
+function generatePlaceholder(name) {
+  for (const { pattern, generate } of GENERATORS) {
+    const match = pattern.exec(name);
+    if (match) {
+      return { matched: true, value: generate(...match.slice(1)) };
+    }
+  }
+  return { matched: false, value: undefined };
+}
+
+/**
+ * Look up a placeholder's value in the variables, falling back to the built-in generators. Dotted names reach into object variables,
+ * e.g. {{response.CreateUser.user.id}} or {{response.ListUsers.users[0].id}}; keys that contain dots themselves, such as
+ * {{response.example.v1.UserService/CreateUser.user.id}}, are matched as a whole.
+ * @param {string} name - Placeholder name, e.g. "userId"
+ * @param {Object} variables - Variables by name
+ * @returns {*} Variable value
+ */
+function resolvePlaceholder(name, variables) {
+  if (Object.prototype.hasOwnProperty.call(variables, name)) {
+    return variables[name];
+  }
+
+  const generated = generatePlaceholder(name);
+  if (generated.matched) {
+    return generated.value;
+  }
+
+  const segments = name.replace(/\[(\d+)\]/g, '.$1').split('.');
+  let current = variables;
+  let index = 0;
+  while (index < segments.length) {
+    // The longest run of segments that is a key wins
+    let end = segments.length;
+    while (end > index && !(current !== null && typeof current === 'object' &&
+      Object.prototype.hasOwnProperty.call(current, segments.slice(index, end).join('.')))) {
+      end--;
+    }
+    if (end === index) {
+      throw new Error(`Undefined variable: {{${name}}}`);
+    }
+    current = current[segments.slice(index, end).join('.')];
+    index = end;
+  }
+  return current;
+}
+
+/**
+ * Remember the latest response of a method for {{response.<...>}} placeholders. Responses are keyed by
+ * package.Service/Method; the bare method name is kept as a shorthand while only one service has a method of that name.
+ * @param {Object} responses - Latest responses, updated in place
+ * @param {string} serviceName - Fully qualified service name (with or without leading dot)
+ * @param {string} methodName - Method name within the service
+ * @param {*} data - Response body
+ */
+function recordResponse(responses, serviceName, methodName, data) {
+  responses[`${serviceName.replace(/^\./, '')}/${methodName}`] = data;
+  
+  const sameName = Object.keys(responses).filter(key => key.includes('/') && key.split('/').pop() === methodName);
+  if (sameName.length === 1) {
+    responses[methodName] = data;
+  } else {
+    delete responses[methodName];
+  }
+}
+
+/**
+ * Substitute {{name}} placeholders in a string
+ * @param {string} text - Text containing placeholders
+ * @param {Object} variables - Variables by name
+ * @returns {*} The substituted string; a string that is a single placeholder keeps the variable's type
+ */
+function substituteString(text, variables) {
+  const single = SINGLE_PLACEHOLDER_PATTERN.exec(text);
+  if (single) {
+    return resolvePlaceholder(single[1], variables);
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (_, name) => {
+    const value = resolvePlaceholder(name, variables);
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  });
+}
+
+/**
+ * Substitute {{name}} placeholders in a JSON value, recursing into objects and arrays
+ * @param {*} value - String, object, array or other JSON value
+ * @param {Object} variables - Variables by name
+ * @returns {*} A copy of the value with all placeholders replaced
+ */
+function substituteVariables(value, variables = {}) {
+  if (typeof value === 'string') {
+    return substituteString(value, variables);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => substituteVariables(item, variables));
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = substituteVariables(item, variables);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a value is a string consisting of a single {{placeholder}}, whose type is only known once it is resolved
+ * @param {*} value - Any JSON value
+ * @returns {boolean} True for strings such as "{{randomInt(1,100)}}"
+ */
+function isPlaceholder(value) {
+  return typeof value === 'string' && SINGLE_PLACEHOLDER_PATTERN.test(value);
+}
+
+/**
+ * List the placeholder names used in a JSON value
+ * @param {*} value - String, object, array or other JSON value
+ * @returns {Array<string>} Unique placeholder names in order of appearance
+ */
+function findPlaceholders(value) {
+  const names = new Set();
+
+  (function collect(item) {
+    if (typeof item === 'string') {
+      for (const match of item.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+      }
+    } else if (item !== null && typeof item === 'object') {
+      Object.values(item).forEach(collect);
+    }
+  })(value);
+
+  return [...names];
+}
+
+module.exports = {
+  substituteVariables,
+  recordResponse,
+  isPlaceholder,
+  findPlaceholders
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { queryJsonPath, getFieldValue, jsonEquals, evaluateAssertions } = require('../assertions');
+
+test('field paths follow object keys and array indexes', () => {
+  const data = { user: { addresses: [{ city: 'Oslo' }], nickname: null } };
+  assert.deepStrictEqual(getFieldValue(data, 'user.addresses[0].city'), { found: true, value: 'Oslo' });
+  assert.deepStrictEqual(getFieldValue(data, 'user.nickname'), { found: true, value: null });
+  assert.deepStrictEqual(getFieldValue(data, 'user.addresses[1].city'), { found: false, value: undefined });
+});
+
+test('JSONPath expressions match children, indexes, wildcards and descendants', () => {
+  const data = { users: [{ id: '1', tags: ['a'] }, { id: '2', 'display name': 'Bo' }], total: 2 };
+  assert.deepStrictEqual(queryJsonPath(data, '$.users[*].id'), ['1', '2']);
+  assert.deepStrictEqual(queryJsonPath(data, '$..id'), ['1', '2']);
+  assert.deepStrictEqual(queryJsonPath(data, "users[-1]['display name']"), ['Bo']);
+  assert.deepStrictEqual(getFieldValue(data, '$.users[*].id'), { found: true, value: ['1', '2'] });
+  assert.deepStrictEqual(getFieldValue(data, '$.total'), { found: true, value: 2 });
+  assert.throws(() => queryJsonPath(data, '$.users[?(@.id)]'), /Invalid JSONPath/);
+});
+
+test('JSON values are compared structurally with 64-bit strings matching numbers', () => {
+  assert.ok(jsonEquals({ id: '42', tags: ['a'] }, { id: 42, tags: ['a'] }));
+  assert.ok(!jsonEquals({ id: 1, extra: true }, { id: 1 }));
+  assert.ok(!jsonEquals(['a'], { 0: 'a' }));
+  assert.ok(!jsonEquals(null, 'null'));
+});
+
+test('status, equals and exists assertions report why they failed', () => {
+  const response = { status: 200, data: { user: { id: '7', name: 'Ada' } } };
+  const results = evaluateAssertions([
+    { type: 'status', equals: '200' },
+    { type: 'field', path: 'user.id', equals: 7 },
+    { type: 'field', path: 'user.name', equals: 'Bob' },
+    { type: 'field', path: 'user.email', exists: true },
+    { type: 'field', path: 'user.name', exists: false },
+    { type: 'field' },
+    { type: 'size' }
+  ], response);
+  
+  assert.deepStrictEqual(results.map(result => result.passed), [true, true, false, false, false, false, false]);
+  assert.deepStrictEqual(results.slice(2).map(result => result.message), [
+    'expected user.name to equal "Bob", got "Ada"',
+    'user.email is missing',
+    'user.name is present ("Ada")',
+    'Field assertion needs a "path"',
+    'Unknown assertion type: size'
+  ]);
+  assert.strictEqual(results[3].description, 'user.email exists');
+});
+
+test('without assertions any 2xx status passes', () => {
+  assert.deepStrictEqual(evaluateAssertions([], { status: 204 }), [{ description: 'status is 2xx', passed: true, message: null }]);
+  assert.strictEqual(evaluateAssertions(undefined, { status: 500 })[0].message, 'expected a 2xx status, got 500');
+});
+
+test('Twirp codes, latency, patterns and earlier responses are checked', () => {
+  const error = { status: 404, latencyMs: 120, data: { code: 'not_found', msg: 'no user' } };
+  const results = evaluateAssertions([
+    { type: 'twirpCode', equals: 'not_found' },
+    { type: 'latency', max: 100 },
+    { type: 'field', path: '$.msg', matches: '^no ' },
+    { type: 'field', path: 'msg', equals: '{{response.CreateUser.msg}}' },
+    { type: 'field', path: 'msg', equals: '{{response.DeleteUser.msg}}' }
+  ], error, { response: { CreateUser: { msg: 'no user' } } });
+  
+  assert.deepStrictEqual(results.map(result => result.passed), [true, false, true, true, false]);
+  assert.strictEqual(results[1].message, 'expected latency at most 100 ms, took 120 ms');
+  assert.strictEqual(results[3].description, 'msg equals "no user"');
+  assert.strictEqual(results[4].message, 'Undefined variable: {{response.DeleteUser.msg}}');
+  
+  const [success] = evaluateAssertions([{ type: 'twirpCode', equals: 'not_found' }], { status: 200, data: {} });
+  assert.strictEqual(success.message, 'expected Twirp error code not_found, got no Twirp error (status 200)');
+  
+  // A gateway error without a Twirp body is mapped like the official clients do
+  const [gateway] = evaluateAssertions([{ type: 'twirpCode', equals: 'unavailable' }], { status: 503, data: { rawResponse: 'busy' }, responseText: 'busy' });
+  assert.ok(gateway.passed);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-collections-'));
+const {
+  listCollections,
+  getCollection,
+  saveRequest,
+  deleteRequest,
+  deleteCollection,
+  exportCollection,
+  parseCollectionExport,
+  importCollection
+} = require('../collections');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('requests are appended, replaced by id and removed', async () => {
+  const saved = await saveRequest('smoke', {
+    name: ' Get user ',
+    service: '.example.v1.UserService',
+    method: 'GetUser',
+    payload: { id: '1' },
+    encoding: 'xml'
+  });
+  assert.strictEqual(saved.name, 'Get user');
+  assert.strictEqual(saved.service, 'example.v1.UserService');
+  assert.strictEqual(saved.encoding, 'json');
+  
+  await saveRequest('smoke', { ...saved, payload: { id: '2' } });
+  await saveRequest('smoke', { name: 'List users', service: 'example.v1.UserService', method: 'ListUsers', payload: {} });
+  const collection = await getCollection('smoke');
+  assert.deepStrictEqual(collection.requests.map(request => request.payload), [{ id: '2' }, {}]);
+  
+  await deleteRequest('smoke', saved.id);
+  assert.deepStrictEqual((await getCollection('smoke')).requests.map(request => request.name), ['List users']);
+  await assert.rejects(deleteRequest('smoke', saved.id), /Request not found in collection smoke/);
+  await assert.rejects(saveRequest('smoke', { name: 'Bad', service: 's', method: 'm', payload: [] }), /payload must be a JSON object/);
+  await assert.rejects(saveRequest('../smoke', saved), /Invalid collection name/);
+});
+
+test('exported collections can be imported under another name', async () => {
+  await saveRequest('shared', { name: 'Ping', service: 'example.v1.Health', method: 'Ping', payload: {} });
+  const exported = await exportCollection('shared');
+  assert.strictEqual(exported.format, 'twirp-tester-collection');
+  
+  const imported = await importCollection(exported, 'shared-copy');
+  assert.deepStrictEqual(imported.requests, exported.requests);
+  assert.ok((await listCollections()).some(collection => collection.name === 'shared-copy'));
+  
+  assert.throws(() => parseCollectionExport({ requests: [] }), /Not a collection export/);
+  assert.throws(() => parseCollectionExport({ ...exported, version: 99 }), /Unsupported collection export version: 99/);
+  
+  await deleteCollection('shared-copy');
+  await assert.rejects(getCollection('shared-copy'), /Collection not found: shared-copy/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-environments-'));
+const {
+  SECRET_MASK,
+  listEnvironments,
+  getEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  getEnvironmentVariables,
+  maskSecrets,
+  maskHeaders
+} = require('../environments');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('secrets are masked for clients and keep their value when sent back masked', async () => {
+  const saved = await saveEnvironment('staging', {
+    baseUrl: ' https://staging.example.com ',
+    headers: { 'X-Team': 'core' },
+    variables: { userId: 42 },
+    secrets: { token: 's3cret' }
+  });
+  assert.strictEqual(saved.baseUrl, 'https://staging.example.com');
+  assert.deepStrictEqual(saved.secrets, { token: SECRET_MASK });
+  assert.deepStrictEqual((await listEnvironments()).map(environment => environment.secrets), [{ token: SECRET_MASK }]);
+  
+  await saveEnvironment('staging', { variables: { userId: '43' }, secrets: { token: SECRET_MASK } });
+  const environment = await getEnvironment('staging');
+  assert.deepStrictEqual(getEnvironmentVariables(environment), { userId: '43', token: 's3cret' });
+  
+  await assert.rejects(saveEnvironment('staging', { secrets: { other: SECRET_MASK } }), /Secret other has no stored value/);
+  await assert.rejects(saveEnvironment('../prod'), /Invalid environment name/);
+  
+  await deleteEnvironment('staging');
+  await assert.rejects(getEnvironment('staging'), /Environment not found: staging/);
+});
+
+test('stored secrets and credential headers are masked in log text', async () => {
+  await saveEnvironment('prod', { secrets: { apiKey: 'abc123' } });
+  assert.strictEqual(maskSecrets('Bearer abc123 sent'), `Bearer ${SECRET_MASK} sent`);
+  assert.deepStrictEqual(maskHeaders({ Authorization: 'Bearer x', Accept: 'application/json' }), {
+    Authorization: SECRET_MASK,
+    Accept: 'application/json'
+  });
+});
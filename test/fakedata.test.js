@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { relativeDate, getSampleValue } = require('../fakedata');
+
+test('sample values follow the field name and type', () => {
+  assert.match(getSampleValue('contactEmail', 'string'), /^[a-z]+\.[a-z]+\d+@example\.com$/);
+  assert.match(getSampleValue('phone_number', 'string'), /^\+1555\d{7}$/);
+  assert.match(getSampleValue('order_id', 'string'), /^[0-9a-f-]{36}$/);
+  assert.ok(!isNaN(Date.parse(getSampleValue('created_at', 'string'))));
+  assert.ok(Math.abs(getSampleValue('updatedAt', 'int64') - Date.now() / 1000) < 5);
+  assert.strictEqual(getSampleValue('country_code', 'string'), 'US');
+  assert.strictEqual(getSampleValue('enabled', 'bool'), true);
+  assert.ok(Buffer.from(getSampleValue('blob', 'bytes'), 'base64').length > 0);
+  assert.strictEqual(getSampleValue('user', 'example.v1.User'), undefined);
+});
+
+test('relative dates shift the current time by the offset', () => {
+  const now = Date.now();
+  assert.ok(Math.abs(relativeDate('+', '2', 'h').getTime() - (now + 2 * 3600 * 1000)) < 1000);
+  assert.ok(Math.abs(relativeDate('-', 30, 'm').getTime() - (now - 30 * 60 * 1000)) < 1000);
+  assert.ok(Math.abs(relativeDate().getTime() - now) < 1000);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-history-'));
+process.env.HISTORY_LIMIT = '5';
+const { addHistoryEntry, listHistory, getHistoryEntry, clearHistory } = require('../history');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('history is listed newest first, filtered and paged', async () => {
+  await clearHistory();
+  for (const method of ['GetUser', 'ListUsers', 'GetUser', 'GetUser']) {
+    await addHistoryEntry({ service: 'example.v1.UserService', method });
+  }
+  
+  const page = await listHistory({ page: 2, pageSize: 2, method: 'GetUser' });
+  assert.deepStrictEqual({ ...page, entries: page.entries.length }, { entries: 1, page: 2, pageSize: 2, total: 3, totalPages: 2 });
+  
+  const [newest] = (await listHistory()).entries;
+  assert.deepStrictEqual(await getHistoryEntry(newest.id), newest);
+  
+  await clearHistory();
+  assert.strictEqual((await listHistory()).total, 0);
+  await assert.rejects(getHistoryEntry(newest.id), /History entry not found/);
+});
+
+test('only the newest entries are kept', async () => {
+  await clearHistory();
+  for (let status = 0; status < 8; status++) {
+    await addHistoryEntry({ method: 'Get', status });
+  }
+  
+  const lines = fs.readFileSync(path.join(process.env.DATA_DIR, 'history.jsonl'), 'utf8').split('\n').filter(Boolean);
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line).status), [3, 4, 5, 6, 7]);
+});
+
+test('simultaneous calls are all recorded and trimmed to the limit', async () => {
+  await clearHistory();
+  await Promise.all(Array.from({ length: 40 }, (_, index) => addHistoryEntry({ method: 'Get', status: index })));
+  
+  const lines = fs.readFileSync(path.join(process.env.DATA_DIR, 'history.jsonl'), 'utf8').split('\n').filter(Boolean);
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line).status), [35, 36, 37, 38, 39]);
+  assert.strictEqual((await listHistory()).total, 5);
+});
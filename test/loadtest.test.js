@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { normalizeLoadTestOptions, percentile, summarizeLatencies, runLoadTest } = require('../loadtest');
+const { sendTwirpRequest } = require('../twirpclient');
+
+test('load test options need a duration or a count within the limits', () => {
+  assert.deepStrictEqual(normalizeLoadTestOptions({ concurrency: '4', durationSeconds: '1.5' }), { concurrency: 4, durationMs: 1500, count: null });
+  assert.deepStrictEqual(normalizeLoadTestOptions({ count: 10, durationSeconds: '' }), { concurrency: 1, durationMs: null, count: 10 });
+  assert.throws(() => normalizeLoadTestOptions({ concurrency: 4 }), /Set durationSeconds, count or both/);
+  assert.throws(() => normalizeLoadTestOptions({ concurrency: 101, count: 1 }), /concurrency must be an integer between 1 and 100/);
+  assert.throws(() => normalizeLoadTestOptions({ count: 1.5 }), /count must be an integer/);
+  assert.throws(() => normalizeLoadTestOptions({ durationSeconds: 601 }), /durationSeconds must be greater than 0 and at most 600/);
+});
+
+test('percentiles use the nearest rank', () => {
+  const sorted = Array.from({ length: 100 }, (_, index) => index + 1);
+  assert.strictEqual(percentile(sorted, 50), 50);
+  assert.strictEqual(percentile(sorted, 95), 95);
+  assert.strictEqual(percentile(sorted, 99), 99);
+  assert.strictEqual(percentile([7], 99), 7);
+  assert.strictEqual(percentile([], 50), null);
+  
+  assert.deepStrictEqual(summarizeLatencies([30, 10.04, 20]), { min: 10, mean: 20, p50: 20, p95: 30, p99: 30, max: 30 });
+  assert.deepStrictEqual(summarizeLatencies([]), { min: null, mean: null, p50: null, p95: null, p99: null, max: null });
+});
+
+test('requests are counted by status, Twirp code and network error', async () => {
+  const stats = await runLoadTest({ concurrency: 3, durationMs: null, count: 10 }, async iteration => {
+    if (iteration % 5 === 0) {
+      throw new Error('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+    }
+    if (iteration % 4 === 0) {
+      return { status: 404, latencyMs: 2, twirpError: { code: 'not_found' } };
+    }
+    return { status: 200, latencyMs: 1 };
+  });
+  
+  assert.strictEqual(stats.completed, 10);
+  assert.strictEqual(stats.succeeded, 6);
+  assert.strictEqual(stats.failed, 4);
+  assert.deepStrictEqual(stats.statuses, { 200: 6, 404: 2, 'network error': 2 });
+  assert.deepStrictEqual(stats.twirpCodes, { not_found: 2 });
+  assert.deepStrictEqual(stats.networkErrors, { 'fetch failed: ECONNREFUSED': 2 });
+  assert.strictEqual(stats.latency.max, 2);
+  assert.strictEqual(stats.cancelled, false);
+});
+
+test('a cancelled load test stops starting new requests', async () => {
+  let cancelled = false;
+  const stats = await runLoadTest({ concurrency: 2, durationMs: 60000, count: null }, async iteration => {
+    if (iteration === 4) cancelled = true;
+    return { status: 200, latencyMs: 1 };
+  }, { isCancelled: () => cancelled });
+  
+  assert.strictEqual(stats.cancelled, true);
+  assert.ok(stats.completed <= 5);
+});
+
+test('requests in flight when a load test is cancelled are aborted and counted as errors', async (t) => {
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  
+  const cancel = new AbortController();
+  setTimeout(() => cancel.abort(), 50);
+  const stats = await runLoadTest({ concurrency: 3, durationMs: 60000, count: null }, () => sendTwirpRequest({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    serviceName: 'example.v1.UserService',
+    methodName: 'GetUser',
+    requestData: {},
+    signal: cancel.signal
+  }), { isCancelled: () => cancel.signal.aborted });
+  
+  assert.strictEqual(stats.cancelled, true);
+  assert.strictEqual(stats.completed, 3);
+  assert.strictEqual(stats.failed, 3);
+  assert.deepStrictEqual(stats.networkErrors, { 'Request cancelled': 3 });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const protobuf = require('protobufjs');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-mock-'));
+const { normalizeStub, listStubs, saveStub, deleteStub, stubMatches, createMockRouter } = require('../mockserver');
+const { sendTwirpRequest } = require('../twirpclient');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const root = protobuf.parse(`syntax = "proto3";
+package example.v1;
+message GetUserRequest { string id = 1; }
+message User { string id = 1; string email = 2; int64 visits = 3; }
+service UserService { rpc GetUser(GetUserRequest) returns (User); }
+`, { keepCase: true }).root;
+
+test('stubs match on service, method, request paths and headers', () => {
+  const stub = normalizeStub({ service: '.example.v1.UserService', method: 'GetUser', match: { '$.id': '7' }, headers: { 'X-Tenant': 'acme' } });
+  assert.deepStrictEqual(stub.headers, { 'x-tenant': 'acme' });
+  
+  const call = { service: 'example.v1.UserService', method: 'GetUser', request: { id: '7' }, headers: { 'x-tenant': 'acme' } };
+  assert.ok(stubMatches(stub, call));
+  assert.ok(!stubMatches(stub, { ...call, request: { id: '8' } }));
+  assert.ok(!stubMatches(stub, { ...call, headers: {} }));
+  assert.ok(!stubMatches(stub, { ...call, method: 'ListUsers' }));
+  
+  assert.throws(() => normalizeStub({ service: 's', method: 'm', error: { code: 'teapot' } }), /Stub error needs a Twirp code/);
+  assert.throws(() => normalizeStub({ service: 's', method: 'm', delayMs: 60001 }), /delayMs must be an integer between 0 and 60000/);
+});
+
+test('the mock server answers with stubs, errors and templates in both encodings', async (t) => {
+  const app = express();
+  app.use('/mock', createMockRouter({ getRoot: async () => root, log: () => {} }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+  const baseUrl = `http://127.0.0.1:${server.address().port}/mock`;
+  const call = (requestData, encoding = 'json') => sendTwirpRequest({
+    baseUrl,
+    serviceName: 'example.v1.UserService',
+    methodName: 'GetUser',
+    requestData,
+    encoding,
+    root
+  });
+  
+  const found = await saveStub({ service: 'example.v1.UserService', method: 'GetUser', match: { id: '7' }, response: { id: '{{request.id}}', visits: '42' } });
+  await saveStub({ service: 'example.v1.UserService', method: 'GetUser', match: { id: '0' }, error: { code: 'not_found', msg: 'no user {{request.id}}' } });
+  
+  assert.deepStrictEqual((await call({ id: '7' })).data, { id: '7', visits: '42' });
+  assert.deepStrictEqual((await call({ id: '7' }, 'protobuf')).data, { id: '7', email: '', visits: '42' });
+  
+  const missing = await call({ id: '0' });
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(missing.data, { code: 'not_found', msg: 'no user 0' });
+  
+  const generated = await call({ id: '9' });
+  assert.strictEqual(generated.status, 200);
+  assert.match(generated.data.email, /@example\.com$/);
+  
+  const wrongMethod = await sendTwirpRequest({ baseUrl, serviceName: 'example.v1.UserService', methodName: 'DeleteUser', requestData: {} });
+  assert.strictEqual(wrongMethod.data.code, 'bad_route');
+  
+  await deleteStub(found.id);
+  assert.strictEqual((await listStubs()).length, 1);
+  await assert.rejects(deleteStub(found.id), /Stub not found/);
+});
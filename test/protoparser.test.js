@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protobuf = require('protobufjs');
+const descriptor = require('protobufjs/ext/descriptor');
+const { generateEmptyJsonTemplate, getRecursiveFieldsFromType, loadSchemaModel, addRequestTemplates, getMethodKey } = require('../protoparser');
+
+const PROTO = `syntax = "proto3";
+package example.v1;
+message Address {
+  string city = 1;
+}
+message Contact {
+  oneof channel {
+    string email = 1;
+    Address post = 2;
+  }
+  optional string note = 3;
+  map<string, Address> addresses = 4;
+  map<int32, string> labels = 5;
+  repeated Address history = 6;
+  repeated string tags = 7;
+}
+service ContactService { rpc Save(Contact) returns (Contact); }
+`;
+
+test('templates set the first oneof member and one example map entry and list element', () => {
+  const root = protobuf.parse(PROTO, { keepCase: true }).root;
+  const template = generateEmptyJsonTemplate(root.lookupType('example.v1.Contact'));
+  assert.deepStrictEqual(template, {
+    email: '',
+    note: '',
+    addresses: { key: { city: '' } },
+    labels: { 0: '' },
+    history: [{ city: '' }],
+    tags: ['']
+  });
+});
+
+test('recursive message types are cut at the recursion depth', () => {
+  const root = protobuf.parse(`syntax = "proto3";
+package tree.v1;
+message Node {
+  string name = 1;
+  Node parent = 2;
+  repeated Node children = 3;
+  map<string, Node> by_name = 4;
+}
+`, { keepCase: true }).root;
+  root.resolveAll();
+  const nodeType = root.lookupType('tree.v1.Node');
+  
+  assert.deepStrictEqual(generateEmptyJsonTemplate(nodeType), { name: '', parent: null, children: [], by_name: {} });
+  assert.deepStrictEqual(generateEmptyJsonTemplate(nodeType, { maxRecursionDepth: 2 }).parent, { name: '', parent: null, children: [], by_name: {} });
+  assert.deepStrictEqual(getRecursiveFieldsFromType(nodeType), { parent: 'tree.v1.Node', children: 'tree.v1.Node', by_name: 'tree.v1.Node' });
+  assert.deepStrictEqual(Object.keys(getRecursiveFieldsFromType(nodeType, { maxRecursionDepth: 2 })), [
+    'parent.parent', 'parent.children', 'parent.by_name',
+    'children.parent', 'children.children', 'children.by_name',
+    'by_name.parent', 'by_name.children', 'by_name.by_name'
+  ]);
+});
+
+test('oneof groups are listed per method without proto3 optional fields', async () => {
+  const model = await loadSchemaModel('contact.proto', new Map([['contact.proto', PROTO]]));
+  assert.deepStrictEqual(model.services['example.v1.ContactService'].methods.Save.oneofFields, {
+    channel: { selected: 'email', members: ['email', 'post'] }
+  });
+});
+
+test('field presence is read from the descriptors across syntaxes', async () => {
+  const protoFiles = new Map([
+    ['legacy.proto', `syntax = "proto2";
+package legacy.v1;
+message Item {
+  required string id = 1;
+  optional int32 count = 2;
+}
+`],
+    ['item.proto', `edition = "2023";
+package items.v1;
+import "legacy.proto";
+message Wrapper {
+  string name = 1;
+  int32 size = 2 [features.field_presence = IMPLICIT];
+  legacy.v1.Item item = 3;
+}
+service ItemService { rpc Wrap(Wrapper) returns (Wrapper); }
+`]
+  ]);
+  
+  const model = await loadSchemaModel('item.proto', protoFiles);
+  assert.deepStrictEqual(model.services['items.v1.ItemService'].methods.Wrap.fieldPresence, {
+    name: 'optional',
+    size: 'implicit',
+    item: 'optional',
+    'item.id': 'required',
+    'item.count': 'optional'
+  });
+  
+  const contactModel = await loadSchemaModel('contact.proto', new Map([['contact.proto', PROTO]]));
+  const presence = contactModel.services['example.v1.ContactService'].methods.Save.fieldPresence;
+  assert.strictEqual(presence.email, 'oneof');
+  assert.strictEqual(presence.note, 'optional');
+  assert.strictEqual(presence.tags, 'implicit');
+});
+
+test('field presence follows the paths of the request template', async () => {
+  const model = await loadSchemaModel('contact.proto', new Map([['contact.proto', PROTO]]));
+  const presence = model.services['example.v1.ContactService'].methods.Save.fieldPresence;
+  
+  // post is the unselected oneof member, so neither it nor its fields are listed
+  assert.deepStrictEqual(Object.keys(presence), [
+    'email', 'note', 'addresses', 'addresses.key.city', 'labels', 'history', 'history.city', 'tags'
+  ]);
+});
+
+test('schema models are cached by the content of the proto set', async () => {
+  const files = new Map([['contact.proto', PROTO]]);
+  const model = await loadSchemaModel('contact.proto', files);
+  assert.strictEqual(await loadSchemaModel('contact.proto', new Map(files)), model);
+  
+  const changed = await loadSchemaModel('contact.proto', new Map([['contact.proto', PROTO.replace('string tags', 'string labels_list')]]));
+  assert.notStrictEqual(changed, model);
+  assert.deepStrictEqual(Object.keys(changed.services['example.v1.ContactService'].methods.Save.fieldPresence).pop(), 'labels_list');
+  await assert.rejects(loadSchemaModel('missing.proto', files), /Main proto file not found: missing.proto/);
+});
+
+test('request templates are generated per call, not frozen in the cached model', async (t) => {
+  const protoFiles = new Map([['event.proto', `syntax = "proto3";
+package events.v1;
+import "google/protobuf/timestamp.proto";
+message Event { google.protobuf.Timestamp at = 1; }
+service EventService { rpc Log(Event) returns (Event); }
+`]]);
+  const model = await loadSchemaModel('event.proto', protoFiles);
+  assert.strictEqual(model.services['events.v1.EventService'].methods.Log.jsonTemplate, undefined);
+  
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-01-01T00:00:00Z') });
+  const first = addRequestTemplates(model.services, model.root);
+  t.mock.timers.tick(60000);
+  const second = addRequestTemplates((await loadSchemaModel('event.proto', protoFiles)).services, model.root);
+  
+  assert.deepStrictEqual(first['events.v1.EventService'].methods.Log.jsonTemplate, { at: '2025-01-01T00:00:00.000Z' });
+  assert.deepStrictEqual(second['events.v1.EventService'].methods.Log.jsonTemplate, { at: '2025-01-01T00:01:00.000Z' });
+  assert.strictEqual(second['events.v1.EventService'].methods.Log.fullName, 'events.v1.EventService/Log');
+});
+
+test('every entry file is loaded and same-named services are keyed by package', async () => {
+  const protoFiles = new Map([
+    ['a/users.proto', 'syntax = "proto3";\npackage a.v1;\nmessage Empty {}\nservice UserService { rpc Get(Empty) returns (Empty); }\n'],
+    ['b/users.proto', 'syntax = "proto3";\npackage b.v1;\nmessage Empty {}\nservice UserService { rpc Get(Empty) returns (Empty); }\n'],
+    ['copy/users.proto', 'syntax = "proto3";\npackage b.v1;\nmessage Empty {}\n']
+  ]);
+  
+  const model = await loadSchemaModel('a/users.proto', protoFiles, [...protoFiles.keys()]);
+  assert.deepStrictEqual(Object.keys(model.services), ['a.v1.UserService', 'b.v1.UserService']);
+  assert.deepStrictEqual(Object.values(model.services).map(service => service.methods.Get.fullName), ['a.v1.UserService/Get', 'b.v1.UserService/Get']);
+  assert.deepStrictEqual(model.skippedFiles.map(skipped => skipped.file), ['copy/users.proto']);
+  assert.strictEqual(getMethodKey(model.root.lookupService('b.v1.UserService'), 'Get'), 'b.v1.UserService/Get');
+});
+
+test('descriptor sets load like the .proto files they were compiled from', async () => {
+  const sourceModel = await loadSchemaModel('contact.proto', new Map([['contact.proto', PROTO]]));
+  
+  const root = protobuf.parse(PROTO, { keepCase: true }).root;
+  const descriptorSet = root.toDescriptor('proto3');
+  descriptorSet.file[0].name = 'contact.proto';
+  // toDescriptor drops the flag on encoding; protoc sets it
+  descriptorSet.file[0].messageType.find(type => type.name === 'Contact').field.find(field => field.name === 'note').proto3Optional = true;
+  const content = Buffer.from(descriptor.FileDescriptorSet.encode(descriptorSet).finish());
+  
+  const model = await loadSchemaModel('contact.pb', new Map([['contact.pb', content]]));
+  assert.deepStrictEqual(Object.keys(model.services), ['example.v1.ContactService']);
+  const { jsonTemplate, fieldPresence, oneofFields } = addRequestTemplates(model.services, model.root)['example.v1.ContactService'].methods.Save;
+  const source = addRequestTemplates(sourceModel.services, sourceModel.root)['example.v1.ContactService'].methods.Save;
+  assert.deepStrictEqual(jsonTemplate, source.jsonTemplate);
+  assert.deepStrictEqual(fieldPresence, source.fieldPresence);
+  assert.deepStrictEqual(oneofFields, source.oneofFields);
+  assert.strictEqual(model.root.lookupType('example.v1.Contact').filename, 'contact.proto');
+  
+  await assert.rejects(loadSchemaModel('broken.pb', new Map([['broken.pb', Buffer.from('not a descriptor')]])), /broken\.pb is not a FileDescriptorSet/);
+});
+
+test('realistic templates fill fields from their names and enums with a non-default value', () => {
+  const root = protobuf.parse(`syntax = "proto3";
+package example.v1;
+enum Status { STATUS_UNSPECIFIED = 0; STATUS_ACTIVE = 1; }
+message Profile {
+  string email = 1;
+  int32 age = 2;
+  Status status = 3;
+  repeated string user_ids = 4;
+  Profile manager = 5;
+}
+`, { keepCase: true }).root;
+  const template = generateEmptyJsonTemplate(root.lookupType('example.v1.Profile'), { realistic: true });
+  assert.match(template.email, /@example\.com$/);
+  assert.ok(template.age >= 18 && template.age <= 80);
+  assert.strictEqual(template.status, 'STATUS_ACTIVE');
+  assert.match(template.user_ids[0], /^[0-9a-f-]{36}$/);
+});
+
+test('message types are resolved per package when two packages share a message name', async () => {
+  const protoFiles = new Map([
+    ['a.proto', `syntax = "proto3";
+package a.v1;
+message User { string a_only = 1; }
+`],
+    ['b.proto', `syntax = "proto3";
+package b.v1;
+message User { string b_only = 1; }
+message GetRequest { User user = 1; }
+service BService { rpc Get(GetRequest) returns (User); }
+`]
+  ]);
+  
+  const model = await loadSchemaModel('a.proto', protoFiles, [...protoFiles.keys()]);
+  const method = addRequestTemplates(model.services, model.root)['b.v1.BService'].methods.Get;
+  
+  assert.deepStrictEqual(method.jsonTemplate, { user: { b_only: '' } });
+  assert.deepStrictEqual(Object.keys(method.fieldPresence), ['user', 'user.b_only']);
+});
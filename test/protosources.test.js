@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+const {
+  isProtoArchive,
+  addSharedImports,
+  extractProtoArchive,
+  readProtoDirectory,
+  readProtoFileWithImports,
+  resolveLocalDirectory,
+  findMainProtoFile
+} = require('../protosources');
+
+function createProtoTree() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-protos-'));
+  const files = {
+    'api/user/v1/user.proto': 'syntax = "proto3";\nservice UserService {}\n',
+    'api/common/v1/common.proto': 'syntax = "proto3";\n',
+    'node_modules/pkg/skipped.proto': 'syntax = "proto3";\n',
+    'README.md': '# not a proto\n'
+  };
+  for (const [relativePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.join(directory, path.dirname(relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(directory, relativePath), content);
+  }
+  return directory;
+}
+
+test('archives are recognised by their extension', () => {
+  assert.ok(['a.zip', 'a.tar', 'a.tar.gz', 'A.TGZ'].every(isProtoArchive));
+  assert.ok(!isProtoArchive('a.proto'));
+});
+
+test('zip and tar.gz archives keep the relative paths of their .proto files', async () => {
+  const zip = new AdmZip();
+  zip.addFile('api/user.proto', Buffer.from('syntax = "proto3";\n'));
+  zip.addFile('README.md', Buffer.from('# not a proto'));
+  assert.deepStrictEqual([...(await extractProtoArchive(zip.toBuffer(), 'protos.zip'))],
+    [['api/user.proto', 'syntax = "proto3";\n']]);
+
+  const directory = createProtoTree();
+  const archive = path.join(directory, '..', `${path.basename(directory)}.tgz`);
+  try {
+    tar.c({ gzip: true, cwd: directory, file: archive, sync: true }, ['api']);
+    const files = await extractProtoArchive(fs.readFileSync(archive), 'protos.tgz');
+    assert.deepStrictEqual([...files.keys()].sort(), ['api/common/v1/common.proto', 'api/user/v1/user.proto']);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.rmSync(archive, { force: true });
+  }
+});
+
+test('local directories are read without node_modules and stay inside the base directory', async () => {
+  const directory = createProtoTree();
+  try {
+    const files = await readProtoDirectory(directory);
+    assert.deepStrictEqual([...files.keys()].sort(), ['api/common/v1/common.proto', 'api/user/v1/user.proto']);
+    assert.strictEqual(findMainProtoFile(files), 'api/user/v1/user.proto');
+
+    assert.strictEqual(resolveLocalDirectory(directory, 'api/user'), path.join(directory, 'api', 'user'));
+    assert.throws(() => resolveLocalDirectory(directory, '../..'), /outside the configured proto directory/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('a single file is read with the files it imports, not its whole directory', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-protos-'));
+  const files = {
+    'user.proto': 'syntax = "proto3";\nimport "common/types.proto";\nimport "google/protobuf/empty.proto";\nimport "missing.proto";\n',
+    'common/types.proto': 'syntax = "proto3";\nimport weak "common/ids.proto";\n',
+    'common/ids.proto': 'syntax = "proto3";\n',
+    'unrelated.proto': 'syntax = "proto3";\n'
+  };
+  for (const [relativePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.join(directory, path.dirname(relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(directory, relativePath), content);
+  }
+  try {
+    const { files: read, mainFile } = await readProtoFileWithImports(path.join(directory, 'user.proto'));
+    assert.strictEqual(mainFile, 'user.proto');
+    assert.deepStrictEqual([...read.keys()], ['user.proto', 'common/types.proto', 'common/ids.proto']);
+    
+    await assert.rejects(readProtoFileWithImports(path.join(directory, 'absent.proto')), { code: 'ENOENT' });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('shared imports are added under imports/ and are optional', async () => {
+  const directory = createProtoTree();
+  try {
+    const files = await addSharedImports(new Map([['imports/api/user/v1/user.proto', 'own copy']]), directory);
+    assert.deepStrictEqual([...files.keys()].sort(), ['imports/api/common/v1/common.proto', 'imports/api/user/v1/user.proto']);
+    assert.strictEqual(files.get('imports/api/user/v1/user.proto'), 'own copy');
+    
+    const protoFiles = new Map([['main.proto', 'syntax = "proto3";\n']]);
+    assert.deepStrictEqual(await addSharedImports(protoFiles, path.join(directory, 'missing')), protoFiles);
+    await assert.rejects(addSharedImports(protoFiles, path.join(directory, 'README.md')), { code: 'ENOTDIR' });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('without a service the first file in path order is the main file', () => {
+  assert.strictEqual(findMainProtoFile(new Map([['b.proto', ''], ['a.proto', '']])), 'a.proto');
+  assert.throws(() => findMainProtoFile(new Map()), /No .proto or descriptor set files found/);
+});
+
+test('archives keep .proto sources as text and descriptor sets as Buffers', async () => {
+  const zip = new AdmZip();
+  zip.addFile('api/user.proto', Buffer.from('syntax = "proto3";\n'));
+  zip.addFile('sets/api.pb', Buffer.from([0x0a, 0x00]));
+  zip.addFile('README.md', Buffer.from('# not a proto'));
+  
+  const files = await extractProtoArchive(zip.toBuffer(), 'protos.zip');
+  
+  assert.deepStrictEqual([...files.keys()].sort(), ['api/user.proto', 'sets/api.pb']);
+  assert.strictEqual(files.get('api/user.proto'), 'syntax = "proto3";\n');
+  assert.ok(Buffer.isBuffer(files.get('sets/api.pb')));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protobuf = require('protobufjs');
+const { addWellKnownTypes } = require('../wellknown');
+const { describeFieldType, checkResponse } = require('../responsecheck');
+
+const root = addWellKnownTypes(new protobuf.Root());
+protobuf.parse(`syntax = "proto3";
+package example.v1;
+import "google/protobuf/timestamp.proto";
+enum Role { ROLE_UNSPECIFIED = 0; ROLE_ADMIN = 1; }
+message Address { string city = 1; }
+message User {
+  string id = 1;
+  Role role = 2;
+  repeated string tags = 3;
+  map<string, Address> addresses = 4;
+  google.protobuf.Timestamp created_at = 5;
+  Address home = 6;
+  optional string nickname = 7;
+}
+`, root, { keepCase: true });
+root.resolveAll();
+const userType = root.lookupType('example.v1.User');
+
+test('field types are described with their rule and full type name', () => {
+  assert.deepStrictEqual(userType.fieldsArray.map(describeFieldType), [
+    'string',
+    'example.v1.Role',
+    'repeated string',
+    'map<string, example.v1.Address>',
+    'google.protobuf.Timestamp',
+    'example.v1.Address',
+    'string'
+  ]);
+});
+
+test('responses are checked and rendered as a typed tree', () => {
+  const result = checkResponse(userType, {
+    role: 1,
+    tags: ['a'],
+    addresses: { work: { city: 'Oslo' } },
+    createdAt: '2025-07-23T18:30:00Z',
+    extra: true
+  });
+  
+  assert.strictEqual(result.type, 'example.v1.User');
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.problems.map(({ path, severity }) => ({ path, severity })), [
+    { path: 'extra', severity: 'error' },
+    { path: 'id', severity: 'warning' }
+  ]);
+  
+  const [id, role, tags, addresses, createdAt, home, nickname, extra] = result.tree.children;
+  assert.deepStrictEqual(id, { name: 'id', path: 'id', kind: 'missing', type: 'string', expected: true });
+  assert.deepStrictEqual(role, { name: 'role', path: 'role', kind: 'enum', type: 'example.v1.Role', value: 1, enumName: 'ROLE_ADMIN', enumNumber: 1 });
+  assert.strictEqual(tags.children[0].path, 'tags[0]');
+  assert.strictEqual(addresses.children[0].children[0].path, 'addresses.work.city');
+  assert.strictEqual(createdAt.kind, 'timestamp');
+  assert.strictEqual(home.expected, false);
+  assert.strictEqual(nickname.expected, false);
+  assert.deepStrictEqual(extra, { name: 'extra', path: 'extra', kind: 'unknown', value: true });
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { parseArgs, loadProtos, formatTap, formatJUnit } = require('../runner');
+
+const RUNNER = path.join(__dirname, '..', 'runner.js');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-runner-'));
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Run the runner CLI and collect its exit code and output
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Result of the run
+ */
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [RUNNER, ...args], { env: { ...process.env, DATA_DIR: tempDir }, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const passed = { name: 'Get <user>', service: 'example.v1.UserService', method: 'GetUser', passed: true, assertions: [], error: null, latencyMs: 12 };
+const failed = {
+  name: 'Wrong name',
+  service: 'example.v1.UserService',
+  method: 'GetUser',
+  passed: false,
+  status: 200,
+  latencyMs: 8,
+  assertions: [{ description: 'name equals "Bob"', passed: false, message: 'expected name to equal "Bob", got "Ada"' }],
+  error: null
+};
+const broken = { name: 'Down', service: 'example.v1.UserService', method: 'GetUser', passed: false, assertions: [], error: 'fetch failed' };
+
+test('options are parsed with repeatable headers, variables and requests', () => {
+  const options = parseArgs(['--collection', 'c.json', '--header', 'Authorization: Bearer {{token}}', '--var', 'token=a=b', '--request', 'A', '--request', 'B']);
+  assert.deepStrictEqual(options.headers, { Authorization: 'Bearer {{token}}' });
+  assert.deepStrictEqual(options.variables, { token: 'a=b' });
+  assert.deepStrictEqual(options.requests, ['A', 'B']);
+  assert.throws(() => parseArgs(['--base-url', 'http://x']), /--collection is required/);
+  assert.throws(() => parseArgs(['--collection', 'c.json', '--format', 'html']), /Unsupported format: html/);
+  assert.throws(() => parseArgs(['--collection']), /Missing value for --collection/);
+});
+
+test('a single proto file is loaded with its imports only', async () => {
+  const directory = path.join(tempDir, 'single');
+  fs.mkdirSync(path.join(directory, 'common'), { recursive: true });
+  fs.writeFileSync(path.join(directory, 'user.proto'), 'syntax = "proto3";\npackage example.v1;\nimport "common/user.proto";\nservice UserService { rpc GetUser(User) returns (User); }\n');
+  fs.writeFileSync(path.join(directory, 'common', 'user.proto'), 'syntax = "proto3";\npackage example.v1;\nmessage User { string id = 1; }\n');
+  // A sibling that is not part of the file's imports, and would not even parse
+  fs.writeFileSync(path.join(directory, 'draft.proto'), 'not a proto file');
+  
+  const root = await loadProtos({ protos: path.join(directory, 'user.proto') });
+  assert.ok(root.lookupService('example.v1.UserService'));
+});
+
+test('TAP reports list failed assertions and errors', () => {
+  assert.strictEqual(formatTap([passed, failed, broken]), [
+    'TAP version 13',
+    '1..3',
+    'ok 1 - Get <user> (example.v1.UserService/GetUser)',
+    'not ok 2 - Wrong name (example.v1.UserService/GetUser)',
+    '  ---',
+    '  status: 200',
+    '  failures:',
+    '    - "name equals \\"Bob\\": expected name to equal \\"Bob\\", got \\"Ada\\""',
+    '  ...',
+    'not ok 3 - Down (example.v1.UserService/GetUser)',
+    '  ---',
+    '  error: "fetch failed"',
+    '  ...',
+    '# tests 3',
+    '# pass 1',
+    '# fail 2',
+    ''
+  ].join('\n'));
+});
+
+test('JUnit reports separate failures from errors and escape XML', () => {
+  const report = formatJUnit('smoke & more', [passed, failed, broken]);
+  assert.match(report, /<testsuite name="smoke &amp; more" tests="3" failures="1" errors="1" time="0\.020"/);
+  assert.match(report, /<testcase classname="example\.v1\.UserService" name="Get &lt;user&gt; \(GetUser\)" time="0\.012" \/>/);
+  assert.match(report, /<failure message="expected name to equal &quot;Bob&quot;, got &quot;Ada&quot;">/);
+  assert.match(report, /<error message="fetch failed" \/>/);
+});
+
+test('the exit code is 0 when all requests pass, 1 when one fails and 2 on setup errors', async (t) => {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ name: 'Ada', token: req.headers.authorization }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const collectionFile = path.join(tempDir, 'smoke.collection.json');
+  fs.writeFileSync(collectionFile, JSON.stringify({
+    format: 'twirp-tester-collection',
+    version: 1,
+    name: 'smoke',
+    requests: [
+      { name: 'Pass', service: 'example.v1.UserService', method: 'GetUser', payload: {}, assertions: [{ type: 'field', path: 'token', equals: 'Bearer t1' }] },
+      { name: 'Fail', service: 'example.v1.UserService', method: 'GetUser', payload: {}, assertions: [{ type: 'field', path: 'name', equals: 'Bob' }] }
+    ]
+  }));
+  const common = ['--collection', collectionFile, '--base-url', `http://127.0.0.1:${server.address().port}`, '--header', 'Authorization: Bearer {{token}}', '--var', 'token=t1'];
+
+  const onlyPassing = await runCli([...common, '--request', 'Pass']);
+  assert.strictEqual(onlyPassing.code, 0);
+  assert.match(onlyPassing.stdout, /^ok 1 - Pass/m);
+
+  const all = await runCli([...common, '--format', 'junit']);
+  assert.strictEqual(all.code, 1);
+  assert.match(all.stdout, /<testsuite name="smoke" tests="2" failures="1" errors="0"/);
+
+  const missing = await runCli(['--collection', path.join(tempDir, 'missing.json'), '--base-url', 'http://127.0.0.1:1']);
+  assert.strictEqual(missing.code, 2);
+  assert.match(missing.stderr, /^Setup failed: /);
+
+  assert.strictEqual((await runCli(['--format', 'tap'])).code, 2);
+});
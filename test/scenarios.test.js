@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-scenarios-'));
+const {
+  normalizeScenario,
+  listScenarios,
+  getScenario,
+  saveScenario,
+  deleteScenario,
+  runScenario
+} = require('../scenarios');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const definition = {
+  variables: { name: 'Ada' },
+  steps: [
+    { service: '.example.v1.UserService', method: 'CreateUser', payload: { name: '{{name}}' }, extract: { userId: '$.user.id' } },
+    { name: 'Fetch', service: 'example.v1.UserService', method: 'GetUser', payload: { id: '{{userId}}' } },
+    { service: 'example.v1.UserService', method: 'DeleteUser', payload: { id: '{{userId}}' } }
+  ]
+};
+
+test('scenarios are normalized, saved and deleted', async () => {
+  const scenario = normalizeScenario(definition);
+  assert.strictEqual(scenario.steps[0].name, 'CreateUser #1');
+  assert.strictEqual(scenario.steps[0].service, 'example.v1.UserService');
+  assert.strictEqual(scenario.encoding, 'json');
+  
+  assert.throws(() => normalizeScenario({ steps: [] }), /at least one step/);
+  assert.throws(() => normalizeScenario({ steps: [{ name: 'x', service: 's' }] }), /Step 1 \(x\) needs a service and a method/);
+  assert.throws(() => normalizeScenario({ steps: [{ service: 's', method: 'm', extract: { 'user id': '$.id' } }] }), /invalid variable name: user id/);
+  
+  await saveScenario('signup', definition);
+  assert.deepStrictEqual((await listScenarios()).map(saved => saved.name), ['signup']);
+  assert.strictEqual((await getScenario('signup')).steps.length, 3);
+  await deleteScenario('signup');
+  await assert.rejects(getScenario('signup'), /Scenario not found: signup/);
+});
+
+test('extracted values feed later steps and a failed step skips the rest', async () => {
+  const sent = [];
+  const report = await runScenario(normalizeScenario(definition), async (step, variables) => {
+    sent.push({ method: step.method, variables });
+    if (step.method === 'CreateUser') return { status: 200, data: { user: { id: 'u1' } }, latencyMs: 5 };
+    return { status: 404, data: { code: 'not_found' }, latencyMs: 3 };
+  }, { name: 'Bob' });
+  
+  assert.deepStrictEqual(sent.map(call => call.variables), [{ name: 'Bob' }, { name: 'Bob', userId: 'u1' }]);
+  assert.strictEqual(report.passed, false);
+  assert.deepStrictEqual(report.steps.map(step => step.result), ['passed', 'failed', 'skipped']);
+  assert.deepStrictEqual(report.steps[0].extracted, { userId: 'u1' });
+  assert.deepStrictEqual(report.variables, { name: 'Bob', userId: 'u1' });
+});
+
+test('a value missing from the response fails the step', async () => {
+  const report = await runScenario(normalizeScenario({ ...definition, continueOnFailure: true }), async () => ({ status: 200, data: {} }));
+  assert.deepStrictEqual(report.steps.map(step => step.result), ['failed', 'passed', 'passed']);
+  assert.strictEqual(report.steps[0].error, 'Could not extract userId: $.user.id is not in the response');
+});
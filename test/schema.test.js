@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProtoRoot } = require('../protoparser');
+const { describeSchema } = require('../schema');
+
+const USER_PROTO = `syntax = "proto3";
+package example.v1;
+import "common/status.proto";
+
+// Stores and finds users
+service UserService {
+  rpc GetUser(GetUserRequest) returns (User) { option deprecated = true; }
+}
+
+message GetUserRequest {
+  string user_id = 1 [json_name = "id"];
+}
+
+// A registered user
+message User {
+  reserved 4, 8 to 10;
+  reserved "legacy";
+  message Address { string city = 1; }
+  string id = 1;
+  repeated Address addresses = 2;
+  map<string, common.Status> statuses = 3;
+  optional string nickname = 5;
+  oneof contact {
+    string email = 6;
+    string phone = 7;
+  }
+}
+`;
+
+const STATUS_PROTO = `syntax = "proto3";
+package common;
+enum Status {
+  STATUS_UNSPECIFIED = 0;
+  STATUS_OLD = 1 [deprecated = true]; // no longer sent
+}
+`;
+
+test('packages list their files, services, messages and enums', async () => {
+  const files = new Map([['api/user.proto', USER_PROTO], ['common/status.proto', STATUS_PROTO]]);
+  const { root } = await loadProtoRoot(USER_PROTO, files, 'api/user.proto');
+  const { packages } = describeSchema(root);
+  
+  assert.deepStrictEqual(packages.map(pkg => [pkg.name, pkg.files]), [
+    ['common', ['common/status.proto']],
+    ['example.v1', ['api/user.proto']]
+  ]);
+  
+  const [common, example] = packages;
+  assert.deepStrictEqual(common.enums[0].values.map(value => [value.name, value.number, value.deprecated, value.comment]), [
+    ['STATUS_UNSPECIFIED', 0, false, null],
+    ['STATUS_OLD', 1, true, 'no longer sent']
+  ]);
+  
+  const [service] = example.services;
+  assert.strictEqual(service.comment, 'Stores and finds users');
+  assert.deepStrictEqual(service.methods[0], {
+    name: 'GetUser',
+    requestType: 'example.v1.GetUserRequest',
+    responseType: 'example.v1.User',
+    requestStream: false,
+    responseStream: false,
+    deprecated: true,
+    options: {},
+    comment: null
+  });
+  
+  assert.deepStrictEqual(example.messages.map(message => message.fullName), ['example.v1.GetUserRequest', 'example.v1.User', 'example.v1.User.Address']);
+  const user = example.messages[1];
+  assert.strictEqual(user.comment, 'A registered user');
+  assert.deepStrictEqual(user.reserved, { ranges: [[4, 4], [8, 10]], names: ['legacy'] });
+  assert.deepStrictEqual(user.oneofs, [{ name: 'contact', fields: ['email', 'phone'], comment: null }]);
+  assert.deepStrictEqual(user.fields.map(field => [field.name, field.label, field.type, field.typeRef, field.oneof]), [
+    ['id', '', 'string', null, null],
+    ['addresses', 'repeated', 'example.v1.User.Address', 'example.v1.User.Address', null],
+    ['statuses', 'map', 'common.Status', 'common.Status', null],
+    ['nickname', 'optional', 'string', null, null],
+    ['email', '', 'string', null, 'contact'],
+    ['phone', '', 'string', null, 'contact']
+  ]);
+  assert.strictEqual(example.messages[0].fields[0].jsonName, 'id');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProtoRoot } = require('../protoparser');
+const { describeSchema } = require('../schema');
+const { classifyScalarChange, diffSchemas } = require('../schemadiff');
+
+async function describeProto(source) {
+  const { root } = await loadProtoRoot(`syntax = "proto3";\npackage example.v1;\n${source}`);
+  return describeSchema(root);
+}
+
+test('scalar changes within a wire group only break JSON clients', () => {
+  assert.strictEqual(classifyScalarChange('int32', 'int64'), 'json');
+  assert.strictEqual(classifyScalarChange('uint64', 'bool'), 'json');
+  assert.strictEqual(classifyScalarChange('fixed32', 'sfixed32'), 'json');
+  assert.strictEqual(classifyScalarChange('string', 'bytes'), 'json');
+  assert.strictEqual(classifyScalarChange('int32', 'sint32'), 'wire');
+  assert.strictEqual(classifyScalarChange('fixed32', 'fixed64'), 'wire');
+  assert.strictEqual(classifyScalarChange('string', 'int32'), 'wire');
+});
+
+test('changes are grouped into wire-breaking, JSON-breaking and safe', async () => {
+  const oldSchema = await describeProto(`
+enum Role { ROLE_UNSPECIFIED = 0; ROLE_ADMIN = 1; ROLE_GUEST = 2; }
+message User {
+  reserved 9;
+  reserved "gone";
+  string id = 1;
+  int32 age = 2;
+  string name = 3;
+  string email = 4;
+  Role role = 5;
+  int64 legacy = 6;
+  string note = 7;
+}
+service UserService {
+  rpc GetUser(User) returns (User);
+  rpc Ping(User) returns (User);
+}
+`);
+  const newSchema = await describeProto(`
+enum Role {
+  reserved 2;
+  reserved "ROLE_GUEST";
+  ROLE_UNSPECIFIED = 0;
+  ROLE_ADMINISTRATOR = 1;
+  ROLE_OWNER = 3;
+}
+message User {
+  reserved 6;
+  reserved "legacy";
+  string id = 1;
+  int64 age = 2;
+  string full_name = 3;
+  bytes email = 4;
+  int32 role = 5;
+  string note = 8;
+  bool flag = 9;
+}
+message Team { string id = 1; }
+service UserService {
+  rpc GetUser(User) returns (User);
+  rpc Check(User) returns (User);
+}
+`);
+  const diff = diffSchemas(oldSchema, newSchema);
+  
+  assert.strictEqual(diff.breaking, true);
+  assert.deepStrictEqual(diff.changes.map(({ severity, kind, path }) => `${severity} ${kind} ${path}`), [
+    'wire method-renamed example.v1.UserService.Ping',
+    'wire field-number-changed example.v1.User.note',
+    'wire reserved-number-reused example.v1.User.flag',
+    'json field-type-changed example.v1.User.age',
+    'json field-renamed example.v1.User.full_name',
+    'json field-type-changed example.v1.User.email',
+    'json field-type-changed example.v1.User.role',
+    'json reserved-name-removed example.v1.User',
+    'json enum-value-renamed example.v1.Role.ROLE_ADMIN',
+    'safe field-removed example.v1.User.legacy',
+    'safe enum-value-removed example.v1.Role.ROLE_GUEST',
+    'safe enum-value-added example.v1.Role.ROLE_OWNER',
+    'safe message-added example.v1.Team'
+  ]);
+  assert.deepStrictEqual(diff.summary, { wire: 3, json: 6, safe: 4 });
+});
+
+test('renamed message types are compared by their contents', async () => {
+  const oldSchema = await describeProto(`
+message Profile { string id = 1; }
+message GetRequest { Profile profile = 1; }
+service Users { rpc Get(GetRequest) returns (Profile); }
+`);
+  const renamed = await describeProto(`
+message Account { string id = 1; }
+message GetRequest { Account profile = 1; }
+service Users { rpc Get(GetRequest) returns (Account); }
+`);
+  const changed = await describeProto(`
+message Account { int32 id = 1; }
+message GetRequest { Account profile = 1; }
+service Users { rpc Get(GetRequest) returns (Account); }
+`);
+  
+  const compatible = diffSchemas(oldSchema, renamed);
+  assert.deepStrictEqual(compatible.summary, { wire: 0, json: 0, safe: 4 });
+  assert.strictEqual(compatible.breaking, false);
+  assert.ok(compatible.changes.some(change => change.message === 'response type changed from example.v1.Profile to example.v1.Account (compatible contents)'));
+  
+  const broken = diffSchemas(oldSchema, changed);
+  assert.strictEqual(broken.changes[0].kind, 'response-type-changed');
+  assert.strictEqual(broken.changes[0].severity, 'wire');
+});
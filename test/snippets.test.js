@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protobuf = require('protobufjs');
+const { addWellKnownTypes } = require('../wellknown');
+const { shellQuote, goCamelCase, generateSnippets } = require('../snippets');
+
+test('shell values are single-quoted', () => {
+  assert.strictEqual(shellQuote('plain'), "'plain'");
+  assert.strictEqual(shellQuote("it's $HOME"), "'it'\\''s $HOME'");
+});
+
+test('Go names follow protoc-gen-go', () => {
+  assert.strictEqual(goCamelCase('user_id'), 'UserId');
+  assert.strictEqual(goCamelCase('http_url'), 'HttpUrl');
+  assert.strictEqual(goCamelCase('foo_bar2baz'), 'FooBar2Baz');
+  assert.strictEqual(goCamelCase('_private'), 'XPrivate');
+  assert.strictEqual(goCamelCase('Outer.Inner'), 'Outer_Inner');
+  assert.strictEqual(goCamelCase('CreateUser'), 'CreateUser');
+});
+
+const root = addWellKnownTypes(new protobuf.Root());
+protobuf.parse(`syntax = "proto3";
+package example.v1;
+option go_package = "github.com/acme/api/examplev1;examplev1";
+import "google/protobuf/timestamp.proto";
+import "google/protobuf/wrappers.proto";
+message CreateUserRequest {
+  enum Role { ROLE_UNSPECIFIED = 0; ROLE_ADMIN = 1; }
+  string user_id = 1;
+  Role role = 2;
+  repeated string tags = 3;
+  optional int32 age = 4;
+  google.protobuf.Timestamp created_at = 5;
+  google.protobuf.StringValue nickname = 6;
+  oneof contact { string email = 7; }
+}
+message User { string user_id = 1; }
+service UserService { rpc CreateUser(CreateUserRequest) returns (User); }
+`, root, { keepCase: true });
+root.resolveAll();
+
+const request = {
+  url: 'http://localhost:8080/twirp/example.v1.UserService/CreateUser',
+  baseUrl: 'http://localhost:8080',
+  headers: { Authorization: "Bearer it's" },
+  requestData: { user_id: 'u1', role: 'ROLE_ADMIN', tags: ['a'], age: 30, createdAt: '2025-07-23T18:30:00Z', nickname: 'bo', email: 'a@example.com' }
+};
+
+test('JSON snippets carry the URL, headers and payload', () => {
+  const snippets = generateSnippets({ ...request, method: root.lookupService('example.v1.UserService').methods.CreateUser });
+  
+  assert.strictEqual(snippets.curlJson.split(' \\\n')[0], "curl -X POST 'http://localhost:8080/twirp/example.v1.UserService/CreateUser'");
+  assert.ok(snippets.curlJson.includes("-H 'Authorization: Bearer it'\\''s'"));
+  assert.ok(snippets.curlJson.endsWith(`-d '${JSON.stringify(request.requestData)}'`));
+  assert.ok(snippets.node.includes('    "Authorization": "Bearer it\'s",'));
+  assert.ok(snippets.python.includes('        "tags": [\n            "a",\n        ],'));
+  
+  // Field 1 "u1" and field 2 = 1, as octal escapes
+  assert.ok(snippets.curlProtobuf.startsWith("printf '\\012\\002\\165\\061\\020\\001"));
+  assert.ok(snippets.curlProtobuf.includes('# protoc --decode=example.v1.User <your .proto file> < response.bin'));
+});
+
+test('Go snippets use the generated types and well-known helpers', () => {
+  const { go } = generateSnippets({ ...request, method: root.lookupService('example.v1.UserService').methods.CreateUser });
+  
+  assert.ok(go.includes('\tpb "github.com/acme/api/examplev1"'));
+  assert.ok(go.includes('\t"google.golang.org/protobuf/types/known/timestamppb"'));
+  assert.ok(go.includes('client := pb.NewUserServiceProtobufClient("http://localhost:8080", &http.Client{})'));
+  assert.ok(go.includes('resp, err := client.CreateUser(ctx, &pb.CreateUserRequest{'));
+  assert.ok(go.includes('\t\tUserId: "u1",'));
+  assert.ok(go.includes('\t\tRole: pb.CreateUserRequest_ROLE_ADMIN,'));
+  assert.ok(go.includes('\t\tAge: proto.Int32(30),'));
+  assert.ok(go.includes('\t\tCreatedAt: &timestamppb.Timestamp{Seconds: 1753295400, Nanos: 0} /* 2025-07-23T18:30:00Z */,'));
+  assert.ok(go.includes('\t\tNickname: wrapperspb.String("bo"),'));
+  assert.ok(go.includes('\t\tContact: &pb.CreateUserRequest_Email{Email: "a@example.com"},'));
+  assert.ok(go.includes('\theader.Set("Authorization", "Bearer it\'s")'));
+});
+
+test('without the method only JSON snippets are generated', () => {
+  const snippets = generateSnippets(request);
+  assert.match(snippets.curlProtobuf, /^# The method is not in the loaded proto files/);
+  assert.match(snippets.go, /^\/\/ The method is not in the loaded proto files/);
+});
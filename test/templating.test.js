@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { substituteVariables, isPlaceholder, findPlaceholders, recordResponse } = require('../templating');
+
+test('placeholders are substituted in strings, objects and arrays', () => {
+  const variables = { userId: 42, name: 'Ada', tags: ['a', 'b'] };
+  assert.deepStrictEqual(substituteVariables({
+    id: '{{ userId }}',
+    greeting: 'Hello {{name}} #{{userId}}',
+    list: ['{{tags}}', 'tags: {{tags}}'],
+    count: 1
+  }, variables), {
+    id: 42,
+    greeting: 'Hello Ada #42',
+    list: [['a', 'b'], 'tags: ["a","b"]'],
+    count: 1
+  });
+  assert.throws(() => substituteVariables('{{missing}}', variables), /Undefined variable: \{\{missing\}\}/);
+});
+
+test('placeholder names are listed once in order of appearance', () => {
+  assert.deepStrictEqual(findPlaceholders({ a: '{{b}} {{a}}', c: ['{{ b }}', 3] }), ['b', 'a']);
+});
+
+test('dotted placeholders reach into object variables', () => {
+  const variables = { response: { ListUsers: { users: [{ id: '7' }] } }, 'user.id': 'flat' };
+  assert.strictEqual(substituteVariables('{{response.ListUsers.users[0].id}}', variables), '7');
+  assert.strictEqual(substituteVariables('{{user.id}}', variables), 'flat');
+  assert.throws(() => substituteVariables('{{response.ListUsers.users[1].id}}', variables), /Undefined variable/);
+});
+
+test('built-in placeholders generate a fresh value unless a variable has the name', () => {
+  const before = Date.now();
+  const payload = substituteVariables({
+    id: '{{uuid}}',
+    other: '{{uuid}}',
+    expiresAt: '{{ now + 1h }}',
+    createdAt: '{{timestamp-1d}}',
+    count: '{{randomInt(3,3)}}',
+    code: '{{randomString(5)}}',
+    email: '{{email}}',
+    name: '{{name}}'
+  }, { name: 'Ada' });
+  
+  assert.match(payload.id, /^[0-9a-f-]{36}$/);
+  assert.notStrictEqual(payload.id, payload.other);
+  assert.ok(Date.parse(payload.expiresAt) >= before + 3600 * 1000);
+  assert.ok(Math.abs(payload.createdAt - Math.floor((before - 86400 * 1000) / 1000)) <= 5);
+  assert.strictEqual(payload.count, 3);
+  assert.match(payload.code, /^[a-z0-9]{5}$/);
+  assert.match(payload.email, /@example\.com$/);
+  assert.strictEqual(payload.name, 'Ada');
+  assert.throws(() => substituteVariables('{{randomInt(5,1)}}'), /min is greater than max/);
+});
+
+test('only strings made of a single placeholder are placeholders', () => {
+  assert.ok(isPlaceholder('{{ randomInt(1,100) }}'));
+  assert.ok(!isPlaceholder('id-{{uuid}}'));
+  assert.ok(!isPlaceholder(42));
+});
+
+test('responses of same-named methods in different services do not overwrite each other', () => {
+  const responses = {};
+  recordResponse(responses, 'a.v1.AService', 'Get', { id: 'a' });
+  assert.strictEqual(substituteVariables('{{response.Get.id}}', { response: responses }), 'a');
+  
+  recordResponse(responses, '.b.v1.BService', 'Get', { id: 'b', items: [{ id: 'b1' }] });
+  const variables = { response: responses };
+  
+  assert.strictEqual(substituteVariables('{{response.a.v1.AService/Get.id}}', variables), 'a');
+  assert.strictEqual(substituteVariables('{{response.b.v1.BService/Get.items[0].id}}', variables), 'b1');
+  assert.throws(() => substituteVariables('{{response.Get.id}}', variables), /Undefined variable/);
+});
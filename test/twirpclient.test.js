@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { buildTwirpUrl, sendTwirpRequest } = require('../twirpclient');
+
+test('Twirp URLs drop the leading dot and trailing slashes', () => {
+  assert.strictEqual(buildTwirpUrl('http://localhost:8080//', '.example.v1.UserService', 'GetUser'),
+    'http://localhost:8080/twirp/example.v1.UserService/GetUser');
+});
+
+test('JSON requests are sent with the wire content type and their response decoded', async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, contentType: req.headers['content-type'], team: req.headers['x-team'], body });
+      res.writeHead(req.url.endsWith('/Fail') ? 404 : 200, { 'Content-Type': 'application/json' });
+      if (req.url.endsWith('/Fail')) {
+        res.end('{"code":"not_found","msg":"no user"}');
+      } else if (req.url.endsWith('/Count')) {
+        res.end('{"visits":9007199254740993,"ratio":12345678901234567.5,"note":"id 12345678901234567","small":-42}');
+      } else {
+        res.end('{"id":"1"}');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  
+  const result = await sendTwirpRequest({
+    baseUrl,
+    serviceName: 'example.v1.UserService',
+    methodName: 'GetUser',
+    requestData: { id: '1' },
+    headers: { 'content-type': 'text/plain', 'X-Team': 'core' }
+  });
+  assert.deepStrictEqual(received[0], {
+    url: '/twirp/example.v1.UserService/GetUser',
+    contentType: 'application/json',
+    team: 'core',
+    body: '{"id":"1"}'
+  });
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(result.data, { id: '1' });
+  assert.strictEqual(result.requestSize, 10);
+  
+  const failed = await sendTwirpRequest({ baseUrl, serviceName: 'example.v1.UserService', methodName: 'Fail', requestData: {} });
+  assert.strictEqual(failed.status, 404);
+  assert.deepStrictEqual(failed.data, { code: 'not_found', msg: 'no user' });
+  assert.strictEqual(failed.twirpError.code, 'not_found');
+  assert.strictEqual(failed.twirpError.mismatch, null);
+  assert.strictEqual(result.twirpError, null);
+  
+  // int64 values sent as JSON numbers stay exact
+  const counted = await sendTwirpRequest({ baseUrl, serviceName: 'example.v1.UserService', methodName: 'Count', requestData: {} });
+  assert.deepStrictEqual(counted.data, { visits: '9007199254740993', ratio: 12345678901234568, note: 'id 12345678901234567', small: -42 });
+  
+  await assert.rejects(sendTwirpRequest({ baseUrl, serviceName: 's', methodName: 'm', requestData: {}, encoding: 'xml' }), /Unsupported encoding: xml/);
+});
+
+test('calls are aborted on timeout and when their signal fires', async (t) => {
+  // Never answers, so only the timeout or the signal ends a call
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const request = {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    serviceName: 'example.v1.UserService',
+    methodName: 'GetUser',
+    requestData: {}
+  };
+  
+  await assert.rejects(sendTwirpRequest({ ...request, timeoutMs: 50 }), { message: 'Request timed out after 50 ms' });
+  
+  const cancel = new AbortController();
+  const pending = sendTwirpRequest({ ...request, signal: cancel.signal });
+  setTimeout(() => cancel.abort(), 20);
+  await assert.rejects(pending, { message: 'Request cancelled' });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TWIRP_ERROR_STATUS, codeFromIntermediaryStatus, decodeTwirpError } = require('../twirperrors');
+
+test('every Twirp error code has the HTTP status of the spec', () => {
+  assert.deepStrictEqual(TWIRP_ERROR_STATUS, {
+    canceled: 408,
+    invalid_argument: 400,
+    malformed: 400,
+    deadline_exceeded: 408,
+    not_found: 404,
+    bad_route: 404,
+    already_exists: 409,
+    permission_denied: 403,
+    unauthenticated: 401,
+    resource_exhausted: 429,
+    failed_precondition: 412,
+    aborted: 409,
+    out_of_range: 400,
+    unimplemented: 501,
+    internal: 500,
+    unavailable: 503,
+    dataloss: 500,
+    unknown: 500
+  });
+});
+
+test('intermediary statuses map to codes like the official clients', () => {
+  const codes = [302, 400, 401, 403, 404, 429, 502, 503, 504, 500].map(codeFromIntermediaryStatus);
+  assert.deepStrictEqual(codes, [
+    'internal',
+    'internal',
+    'unauthenticated',
+    'permission_denied',
+    'bad_route',
+    'unavailable',
+    'unavailable',
+    'unavailable',
+    'unavailable',
+    'unknown'
+  ]);
+});
+
+test('Twirp error bodies are decoded and checked against their status', () => {
+  assert.strictEqual(decodeTwirpError({ status: 204, data: {} }), null);
+  
+  assert.deepStrictEqual(decodeTwirpError({ status: 404, data: { code: 'not_found', msg: 'no user', meta: { id: '7' } } }), {
+    code: 'not_found',
+    msg: 'no user',
+    meta: { id: '7' },
+    status: 404,
+    expectedStatus: 404,
+    fromIntermediary: false,
+    mismatch: null
+  });
+  assert.strictEqual(decodeTwirpError({ status: 500, data: { code: 'not_found', msg: '' } }).mismatch,
+    'Twirp code not_found should be sent with HTTP 404, got 500');
+  assert.strictEqual(decodeTwirpError({ status: 500, data: { code: 'oops', msg: '' } }).mismatch, '"oops" is not a Twirp error code');
+});
+
+test('responses without a Twirp error body come from an intermediary', () => {
+  const gateway = decodeTwirpError({ status: 502, statusText: 'Bad Gateway', data: { rawResponse: '<html>' }, responseText: '<html>' });
+  assert.strictEqual(gateway.code, 'unavailable');
+  assert.strictEqual(gateway.msg, 'Error from intermediary with HTTP status code 502 "Bad Gateway"');
+  assert.deepStrictEqual(gateway.meta, { http_error_from_intermediary: 'true', status_code: '502', body: '<html>' });
+  assert.ok(gateway.fromIntermediary);
+  
+  const redirect = decodeTwirpError({ status: 302, data: {}, responseText: '', location: 'https://login.example.com' });
+  assert.deepStrictEqual(redirect.meta, { http_error_from_intermediary: 'true', status_code: '302', location: 'https://login.example.com' });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protobuf = require('protobufjs');
+const { addWellKnownTypes } = require('../wellknown');
+const { validateMessage, validateJsonText, parseJsonWithLines } = require('../validator');
+
+function createType() {
+  const root = addWellKnownTypes(new protobuf.Root());
+  protobuf.parse(`syntax = "proto3";
+package example.v1;
+import "google/protobuf/timestamp.proto";
+enum Role { ROLE_UNSPECIFIED = 0; ROLE_ADMIN = 1; }
+message User {
+  int32 age = 1;
+  uint64 id = 2;
+  Role role = 3;
+  repeated string tags = 4;
+  map<int32, string> labels = 5;
+  google.protobuf.Timestamp created_at = 6;
+  oneof contact {
+    string email = 7;
+    string phone = 8;
+  }
+}
+`, root, { keepCase: true });
+  return root.lookupType('example.v1.User');
+}
+
+test('valid payloads accept proto names, JSON names and 64-bit strings', () => {
+  const errors = validateMessage(createType(), {
+    age: 30,
+    id: '18446744073709551615',
+    role: 'ROLE_ADMIN',
+    tags: ['a'],
+    labels: { 1: 'one' },
+    createdAt: '2025-07-23T18:30:00Z',
+    email: 'a@example.com',
+    phone: null
+  });
+  assert.deepStrictEqual(errors, []);
+});
+
+test('invalid values are reported with their field path', () => {
+  const errors = validateMessage(createType(), {
+    age: 2147483648,
+    id: -1,
+    role: 'ROLE_OWNER',
+    tags: [1],
+    labels: { one: 'x' },
+    created_at: 'yesterday',
+    email: 'a@example.com',
+    phone: '555',
+    nickname: 'bob'
+  });
+  assert.deepStrictEqual(errors.map(error => error.path), [
+    'age',
+    'id',
+    'role',
+    'tags[0]',
+    'labels.one',
+    'created_at',
+    'nickname',
+    'phone'
+  ]);
+  assert.match(errors[0].message, /out of range for int32/);
+  assert.match(errors[2].message, /expected one of: ROLE_UNSPECIFIED, ROLE_ADMIN/);
+  assert.match(errors[7].message, /only one member of oneof contact may be set, got: email, phone/);
+  assert.deepStrictEqual(errors[6], { path: 'nickname', message: 'unknown field in example.v1.User' });
+});
+
+test('field paths and syntax errors are reported with their line', () => {
+  const { lines } = parseJsonWithLines('{\n  "user": {\n    "tags": [\n      "a",\n      "b"\n    ]\n  }\n}\n');
+  assert.strictEqual(lines.get('user'), 2);
+  assert.strictEqual(lines.get('user.tags'), 3);
+  assert.strictEqual(lines.get('user.tags[1]'), 5);
+  
+  assert.throws(() => parseJsonWithLines('{\n  "a": 1,\n  "b": }'), error => error.line === 3);
+});
+
+test('editor errors point at the line of the offending field', () => {
+  const errors = validateJsonText(createType(), '{\n  "age": 1,\n  "tags": [\n    "a",\n    2\n  ]\n}');
+  assert.deepStrictEqual(errors.map(({ path, line }) => ({ path, line })), [{ path: 'tags[1]', line: 5 }]);
+  assert.match(validateJsonText(createType(), '{\n  "age": \n')[0].message, /^Invalid JSON: /);
+});
+
+test('placeholders are accepted for any field type', () => {
+  assert.deepStrictEqual(validateMessage(createType(), { age: '{{randomInt(1,100)}}', role: '{{role}}', tags: ['{{uuid}}'], created_at: '{{now}}' }), []);
+  assert.strictEqual(validateMessage(createType(), { age: 'x{{uuid}}' }).length, 1);
+});
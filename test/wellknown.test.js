@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protobuf = require('protobufjs');
+const {
+  addWellKnownTypes,
+  getWellKnownProtoName,
+  hasWellKnownTemplate,
+  getWellKnownTemplate,
+  parseTimestamp,
+  formatTimestamp,
+  parseDuration,
+  formatDuration
+} = require('../wellknown');
+const { encodeRequest, decodeResponse } = require('../wireformat');
+
+test('timestamps keep their fractional digits', () => {
+  assert.deepStrictEqual(parseTimestamp('2025-07-23T18:30:00.123Z'), { seconds: 1753295400, nanos: 123000000 });
+  assert.deepStrictEqual(parseTimestamp('2025-07-23T20:30:00+02:00'), { seconds: 1753295400, nanos: 0 });
+  assert.strictEqual(formatTimestamp(1753295400, 123000000), '2025-07-23T18:30:00.123Z');
+  assert.strictEqual(formatTimestamp(1753295400, 5), '2025-07-23T18:30:00.000000005Z');
+  assert.strictEqual(formatTimestamp(1753295400, 0), '2025-07-23T18:30:00Z');
+  assert.throws(() => parseTimestamp('yesterday'), /Invalid google.protobuf.Timestamp/);
+});
+
+test('durations carry their sign on seconds and nanos', () => {
+  assert.deepStrictEqual(parseDuration('1.5s'), { seconds: 1, nanos: 500000000 });
+  assert.deepStrictEqual(parseDuration('-0.001s'), { seconds: -0, nanos: -1000000 });
+  assert.strictEqual(formatDuration(1, 500000000), '1.500s');
+  assert.strictEqual(formatDuration(0, -1000000), '-0.001s');
+  assert.throws(() => parseDuration('5m'), /Invalid google.protobuf.Duration/);
+});
+
+test('well-known imports are found under any prefix', () => {
+  assert.strictEqual(getWellKnownProtoName('google/protobuf/duration.proto'), 'google/protobuf/duration.proto');
+  assert.strictEqual(getWellKnownProtoName('third_party/google/protobuf/struct.proto'), 'google/protobuf/struct.proto');
+  assert.strictEqual(getWellKnownProtoName('google/protobuf/unknown.proto'), null);
+});
+
+test('templates use the canonical JSON form', () => {
+  assert.ok(hasWellKnownTemplate('google.protobuf.Timestamp'));
+  assert.ok(!hasWellKnownTemplate('example.v1.User'));
+  assert.ok(!isNaN(Date.parse(getWellKnownTemplate('.google.protobuf.Timestamp'))));
+  assert.strictEqual(getWellKnownTemplate('google.protobuf.Duration'), '0s');
+  assert.strictEqual(getWellKnownTemplate('google.protobuf.Int64Value'), '0');
+  assert.deepStrictEqual(getWellKnownTemplate('google.protobuf.Any'), { '@type': '' });
+  assert.strictEqual(getWellKnownTemplate('google.protobuf.NullValue'), null);
+});
+
+test('well-known types are encoded from and decoded to their JSON form', () => {
+  const root = addWellKnownTypes(new protobuf.Root());
+  protobuf.parse(`syntax = "proto3";
+package example.v1;
+import "google/protobuf/duration.proto";
+import "google/protobuf/field_mask.proto";
+import "google/protobuf/struct.proto";
+import "google/protobuf/wrappers.proto";
+message Update {
+  google.protobuf.Duration ttl = 1;
+  google.protobuf.FieldMask update_mask = 2;
+  google.protobuf.Struct metadata = 3;
+  google.protobuf.StringValue nickname = 4;
+  google.protobuf.ListValue tags = 5;
+}
+service UpdateService { rpc Apply(Update) returns (Update); }
+`, root, { keepCase: true });
+
+  const request = {
+    ttl: '90.250s',
+    update_mask: 'user.displayName,email',
+    metadata: { team: 'core', size: 3, active: true, extra: null, nested: { list: [1, 'two'] } },
+    nickname: 'bob',
+    tags: ['a', 2]
+  };
+  const buffer = encodeRequest(root, 'example.v1.UpdateService', 'Apply', request);
+  assert.deepStrictEqual(decodeResponse(root, 'example.v1.UpdateService', 'Apply', buffer), request);
+});
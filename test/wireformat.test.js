@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protobuf = require('protobufjs');
+const {
+  lookupMethod,
+  encodeRequest,
+  decodeResponse,
+  describePayload
+} = require('../wireformat');
+
+function createRoot() {
+  const root = new protobuf.Root();
+  protobuf.parse(`syntax = "proto3";
+package google.protobuf;
+message Timestamp { int64 seconds = 1; int32 nanos = 2; }
+`, root, { keepCase: true });
+  protobuf.parse(`syntax = "proto3";
+package example.v1;
+import "google/protobuf/timestamp.proto";
+enum Kind { KIND_UNSPECIFIED = 0; KIND_ADMIN = 1; }
+message Item { string name = 1; google.protobuf.Timestamp at = 2; }
+message Echo {
+  string user_id = 1;
+  int64 big = 2;
+  Kind kind = 3;
+  repeated Item items = 4;
+  map<string, Item> by_name = 5;
+  google.protobuf.Timestamp created_at = 6;
+}
+service EchoService { rpc Send(Echo) returns (Echo); }
+`, root, { keepCase: true });
+  return root;
+}
+
+test('requests survive a protobuf round trip in proto3 JSON form', () => {
+  const root = createRoot();
+  const request = {
+    user_id: 'u-1',
+    big: '9007199254740993',
+    kind: 'KIND_ADMIN',
+    items: [{ name: 'a', at: '2025-07-23T18:30:00Z' }],
+    by_name: { b: { name: 'b', at: '2025-07-23T18:30:00.5Z' } },
+    created_at: '2025-07-23T18:30:00.123Z'
+  };
+
+  const buffer = encodeRequest(root, 'example.v1.EchoService', 'Send', request);
+  assert.deepStrictEqual(decodeResponse(root, '.example.v1.EchoService', 'Send', buffer), {
+    ...request,
+    by_name: { b: { name: 'b', at: '2025-07-23T18:30:00.500Z' } }
+  });
+});
+
+test('unknown methods are reported with their service', () => {
+  assert.throws(() => lookupMethod(createRoot(), 'example.v1.EchoService', 'Missing'),
+    /Method Missing not found in service \.example\.v1\.EchoService/);
+});
+
+test('binary payloads are described as hex and base64', () => {
+  assert.deepStrictEqual(describePayload(Buffer.from([0x0a, 0x01, 0x61])), { size: 3, hex: '0a0161', base64: 'CgFh' });
+});
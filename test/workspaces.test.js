@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'twirp-tester-workspaces-'));
+const {
+  normalizeRelativePath,
+  listWorkspaces,
+  saveWorkspace,
+  saveCatalog,
+  loadWorkspace,
+  deleteWorkspace
+} = require('../workspaces');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('relative proto paths are normalized and kept inside the workspace', () => {
+  assert.strictEqual(normalizeRelativePath('./api\\user/../user/v1.proto'), 'api/user/v1.proto');
+  assert.throws(() => normalizeRelativePath('../secrets.proto'), /Invalid proto file path/);
+  assert.throws(() => normalizeRelativePath('/etc/passwd'), /Invalid proto file path/);
+});
+
+test('workspaces keep their files and catalog until deleted', async () => {
+  const files = new Map([['api/user.proto', 'syntax = "proto3";\n'], ['main.proto', 'import "api/user.proto";\n']]);
+  const catalog = { services: { UserService: {} } };
+
+  const meta = await saveWorkspace('team-api', 'main.proto', files, catalog);
+  assert.deepStrictEqual(meta.files, ['api/user.proto', 'main.proto']);
+
+  // Saving again replaces the file set as a whole
+  await saveWorkspace('team-api', 'main.proto', new Map([['main.proto', 'syntax = "proto3";\n']]), catalog);
+  await saveCatalog('team-api', { services: { A: {}, B: {} } });
+
+  const workspace = await loadWorkspace('team-api');
+  assert.deepStrictEqual([...workspace.files.keys()], ['main.proto']);
+  assert.deepStrictEqual(workspace.catalog, { services: { A: {}, B: {} } });
+  assert.strictEqual(workspace.createdAt, meta.createdAt);
+
+  const [summary] = await listWorkspaces();
+  assert.strictEqual(summary.name, 'team-api');
+  assert.strictEqual(summary.fileCount, 1);
+  assert.strictEqual(summary.serviceCount, 2);
+
+  await deleteWorkspace('team-api');
+  assert.deepStrictEqual(await listWorkspaces(), []);
+  await assert.rejects(loadWorkspace('team-api'), /Workspace not found: team-api/);
+});
+
+test('workspace names are restricted to safe characters', async () => {
+  await assert.rejects(saveWorkspace('../escape', 'a.proto', new Map(), {}), /Invalid workspace name/);
+});
@@ -0,0 +1,166 @@
+const { encodeRequest, decodeResponse, describePayload } = require('./wireformat');
+const { decodeTwirpError } = require('./twirperrors');
+
+// Time a call may take, response body included, before it is aborted
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 30000;
+
+/**
+ * Build the Twirp URL of a method
+ * @param {string} baseUrl - Server base URL, e.g. "http://localhost:8080"
+ * @param {string} serviceName - Fully qualified service name (a leading dot is ignored)
+ * @param {string} methodName - Method name
+ * @returns {string} URL of the form <baseUrl>/twirp/<package.Service>/<Method>
+ */
+function buildTwirpUrl(baseUrl, serviceName, methodName) {
+  const cleanServiceName = serviceName.startsWith('.') ? serviceName.substring(1) : serviceName;
+  return `${baseUrl.replace(/\/+$/, '')}/twirp/${cleanServiceName}/${methodName}`;
+}
+
+/**
+ * Quote integer literals too large for a JavaScript number, so that JSON.parse keeps int64 values
+ * sent as JSON numbers exact (they are decoded as strings, like protobuf int64s)
+ * @param {string} text - JSON text
+ * @returns {string} JSON text with unsafe integers quoted
+ */
+function quoteUnsafeIntegers(text) {
+  if (!/\d{16}/.test(text)) {
+    return text;
+  }
+  let result = '';
+  let position = 0;
+  while (position < text.length) {
+    const char = text[position];
+    if (char === '"') {
+      // Copy strings verbatim, including escaped quotes
+      let end = position + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      result += text.slice(position, end + 1);
+      position = end + 1;
+    } else if (char === '-' || (char >= '0' && char <= '9')) {
+      const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(position, position + 400));
+      const literal = match ? match[0] : char;
+      const isUnsafeInteger = match && !match[1] && !match[2] && !Number.isSafeInteger(Number(literal));
+      result += isUnsafeInteger ? `"${literal}"` : literal;
+      position += literal.length;
+    } else {
+      result += char;
+      position++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Send a single Twirp request and decode its response
+ * @param {Object} options - Request options
+ * @param {string} options.baseUrl - Server base URL
+ * @param {string} options.serviceName - Fully qualified service name
+ * @param {string} options.methodName - Method name
+ * @param {Object} options.requestData - Request message as proto3 JSON
+ * @param {Object} [options.headers] - Extra request headers (Content-Type is set from the encoding)
+ * @param {string} [options.encoding] - "json" or "protobuf"
+ * @param {protobuf.Root} [options.root] - Parsed root, required for the protobuf encoding
+ * @param {AbortSignal} [options.signal] - Aborts the call, e.g. when a load test is cancelled
+ * @param {number} [options.timeoutMs] - Timeout of the call (REQUEST_TIMEOUT_MS, default 30 s)
+ * @returns {Promise<Object>} `url`, `ok`, `status`, `statusText`, `data`, `payload` (raw protobuf response),
+ *   `requestSize`, `responseText` (for non-protobuf bodies), `twirpError` (decoded error of a failed call) and `latencyMs`
+ */
+async function sendTwirpRequest({ baseUrl, serviceName, methodName, requestData, headers = {}, encoding = 'json', root, signal, timeoutMs = REQUEST_TIMEOUT_MS }) {
+  if (encoding !== 'json' && encoding !== 'protobuf') {
+    throw new Error(`Unsupported encoding: ${encoding} (expected "json" or "protobuf")`);
+  }
+
+  const url = buildTwirpUrl(baseUrl, serviceName, methodName);
+  const cleanServiceName = serviceName.startsWith('.') ? serviceName.substring(1) : serviceName;
+
+  // Encode the request body in the selected wire format
+  let contentType = 'application/json';
+  let requestBody = JSON.stringify(requestData);
+  if (encoding === 'protobuf') {
+    if (!root) {
+      throw new Error('Proto definitions are required for protobuf requests');
+    }
+    contentType = 'application/protobuf';
+    requestBody = encodeRequest(root, cleanServiceName, methodName, requestData);
+  }
+
+  // The wire encoding decides the content type, whatever the custom headers say
+  const forwardedHeaders = Object.fromEntries(Object.entries(headers)
+    .filter(([name]) => name.toLowerCase() !== 'content-type'));
+
+  const startedAt = process.hrtime.bigint();
+  let response;
+  let responseBuffer;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        ...forwardedHeaders,
+        'Content-Type': contentType,
+      },
+      body: requestBody,
+      // Twirp clients don't follow redirects, they report them as errors
+      redirect: 'manual',
+      signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs)
+    });
+    responseBuffer = Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Request timed out after ${timeoutMs} ms`);
+    }
+    if (error.name === 'AbortError') {
+      throw new Error('Request cancelled');
+    }
+    throw error;
+  }
+  const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  const responseContentType = response.headers.get('content-type') || '';
+  let data;
+  let payload;
+  let responseText;
+  if (response.ok && responseContentType.includes('application/protobuf')) {
+    // Twirp errors are always JSON, so a protobuf body is the method's response message
+    payload = describePayload(responseBuffer);
+    try {
+      data = decodeResponse(root, cleanServiceName, methodName, responseBuffer);
+    } catch (decodeError) {
+      data = { decodeError: decodeError.message };
+    }
+  } else {
+    responseText = responseBuffer.toString('utf8');
+    try {
+      data = JSON.parse(quoteUnsafeIntegers(responseText));
+    } catch (parseError) {
+      data = { rawResponse: responseText };
+    }
+  }
+
+  const twirpError = decodeTwirpError({
+    status: response.status,
+    statusText: response.statusText,
+    data,
+    responseText,
+    location: response.headers.get('location')
+  });
+
+  return {
+    url,
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    data,
+    payload,
+    requestSize: Buffer.byteLength(requestBody),
+    responseText,
+    twirpError,
+    latencyMs: Math.round(latencyMs * 10) / 10
+  };
+}
+
+module.exports = {
+  buildTwirpUrl,
+  sendTwirpRequest
+};
@@ -0,0 +1,113 @@
+/**
+ * Twirp error model: error responses carry a JSON body {code, msg, meta} and an HTTP status
+ * that is fixed by the code. See https://twitchtv.github.io/twirp/docs/spec_v7.html#error-codes
+ */
+
+// Canonical HTTP status of every Twirp error code
+const TWIRP_ERROR_STATUS = {
+  canceled: 408,
+  invalid_argument: 400,
+  malformed: 400,
+  deadline_exceeded: 408,
+  not_found: 404,
+  bad_route: 404,
+  already_exists: 409,
+  permission_denied: 403,
+  unauthenticated: 401,
+  resource_exhausted: 429,
+  failed_precondition: 412,
+  aborted: 409,
+  out_of_range: 400,
+  unimplemented: 501,
+  internal: 500,
+  unavailable: 503,
+  dataloss: 500,
+  unknown: 500
+};
+
+/**
+ * Map the HTTP status of a non-Twirp error (e.g. from a proxy or load balancer) to a Twirp code,
+ * the same way the official Twirp clients do
+ * @param {number} status - HTTP status code
+ * @returns {string} Twirp error code
+ */
+function codeFromIntermediaryStatus(status) {
+  if (status >= 300 && status < 400) return 'internal';
+  switch (status) {
+    case 400: return 'internal';
+    case 401: return 'unauthenticated';
+    case 403: return 'permission_denied';
+    case 404: return 'bad_route';
+    case 429:
+    case 502:
+    case 503:
+    case 504:
+      return 'unavailable';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Check whether a decoded body has the shape of a Twirp error
+ * @param {*} data - Decoded response body
+ * @returns {boolean} True for objects with a string `code` and `msg`
+ */
+function isTwirpErrorBody(data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data)
+    && typeof data.code === 'string' && typeof data.msg === 'string';
+}
+
+/**
+ * Decode the error of a failed Twirp call
+ * @param {Object} response - `status`, `statusText`, `data` (decoded body), optional `responseText` and `location`
+ * @returns {Object|null} `code`, `msg`, `meta`, `status`, `expectedStatus`, `fromIntermediary` and `mismatch`
+ *   (a warning when the response does not follow the Twirp error model), or null for 2xx responses
+ */
+function decodeTwirpError(response) {
+  const { status, statusText, data, responseText } = response;
+  if (status >= 200 && status < 300) {
+    return null;
+  }
+
+  if (isTwirpErrorBody(data)) {
+    const meta = data.meta && typeof data.meta === 'object' ? data.meta : {};
+    const expectedStatus = TWIRP_ERROR_STATUS[data.code];
+    let mismatch = null;
+    if (expectedStatus === undefined) {
+      mismatch = `"${data.code}" is not a Twirp error code`;
+    } else if (expectedStatus !== status) {
+      mismatch = `Twirp code ${data.code} should be sent with HTTP ${expectedStatus}, got ${status}`;
+    }
+    return { code: data.code, msg: data.msg, meta, status, expectedStatus: expectedStatus || null, fromIntermediary: false, mismatch };
+  }
+
+  // Anything else was not written by a Twirp server: a proxy, gateway or load balancer answered instead
+  const code = codeFromIntermediaryStatus(status);
+  const meta = {
+    http_error_from_intermediary: 'true',
+    status_code: String(status)
+  };
+  if (status >= 300 && status < 400) {
+    meta.location = response.location || '';
+  } else {
+    meta.body = responseText !== undefined ? responseText : JSON.stringify(data);
+  }
+
+  return {
+    code,
+    msg: `Error from intermediary with HTTP status code ${status}${statusText ? ` "${statusText}"` : ''}`,
+    meta,
+    status,
+    expectedStatus: null,
+    fromIntermediary: true,
+    mismatch: `HTTP ${status} without a Twirp error body: the response probably comes from a proxy or gateway, not the Twirp server`
+  };
+}
+
+module.exports = {
+  TWIRP_ERROR_STATUS,
+  codeFromIntermediaryStatus,
+  isTwirpErrorBody,
+  decodeTwirpError
+};
@@ -0,0 +1,474 @@
+const protobuf = require('protobufjs');
+const { parseTimestamp, parseDuration } = require('./wellknown');
+const { isPlaceholder } = require('./templating');
+
+const INT32_TYPES = new Set(['int32', 'sint32', 'sfixed32']);
+const UINT32_TYPES = new Set(['uint32', 'fixed32']);
+const INT64_TYPES = new Set(['int64', 'sint64', 'sfixed64']);
+const UINT64_TYPES = new Set(['uint64', 'fixed64']);
+const FLOAT_TYPES = new Set(['float', 'double']);
+
+// Wrapper well-known types are validated as the scalar they wrap
+const WRAPPER_TYPES = {
+  '.google.protobuf.DoubleValue': 'double',
+  '.google.protobuf.FloatValue': 'float',
+  '.google.protobuf.Int64Value': 'int64',
+  '.google.protobuf.UInt64Value': 'uint64',
+  '.google.protobuf.Int32Value': 'int32',
+  '.google.protobuf.UInt32Value': 'uint32',
+  '.google.protobuf.BoolValue': 'bool',
+  '.google.protobuf.StringValue': 'string',
+  '.google.protobuf.BytesValue': 'bytes'
+};
+
+/**
+ * Describe a JSON value's type for error messages
+ * @param {*} value - Any JSON value
+ * @returns {string} Type description
+ */
+function describeJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function joinPath(prefix, name) {
+  return prefix ? `${prefix}.${name}` : name;
+}
+
+/**
+ * Validate a scalar JSON value against a protobuf scalar type
+ * @param {string} scalarType - The protobuf scalar type, e.g. "int32"
+ * @param {*} value - JSON value
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function validateScalar(scalarType, value) {
+  if (scalarType === 'string') {
+    return typeof value === 'string' ? null : `expected string, got ${describeJsonType(value)}`;
+  }
+
+  if (scalarType === 'bool') {
+    return typeof value === 'boolean' ? null : `expected boolean, got ${describeJsonType(value)}`;
+  }
+
+  if (scalarType === 'bytes') {
+    if (typeof value !== 'string') {
+      return `expected base64 string, got ${describeJsonType(value)}`;
+    }
+    return /^[A-Za-z0-9+/_-]*={0,2}$/.test(value) ? null : `invalid base64 value "${value}"`;
+  }
+
+  if (FLOAT_TYPES.has(scalarType)) {
+    if (typeof value === 'number') return null;
+    if (typeof value === 'string' && (/^(NaN|-?Infinity)$/.test(value) || (value.trim() !== '' && !isNaN(Number(value))))) {
+      return null;
+    }
+    return `expected number for ${scalarType}, got ${describeJsonType(value)}${typeof value === 'string' ? ` "${value}"` : ''}`;
+  }
+
+  const is64Bit = INT64_TYPES.has(scalarType) || UINT64_TYPES.has(scalarType);
+  const isUnsigned = UINT32_TYPES.has(scalarType) || UINT64_TYPES.has(scalarType);
+  if (is64Bit || INT32_TYPES.has(scalarType) || UINT32_TYPES.has(scalarType)) {
+    // proto3 JSON accepts integers as numbers or as decimal strings (the canonical form for 64-bit types)
+    let numericValue;
+    if (typeof value === 'number') {
+      if (!Number.isInteger(value)) {
+        return `expected integer for ${scalarType}, got ${value}`;
+      }
+      numericValue = BigInt(value);
+    } else if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+      numericValue = BigInt(value);
+    } else {
+      return `expected integer for ${scalarType}, got ${describeJsonType(value)}${typeof value === 'string' ? ` "${value}"` : ''}`;
+    }
+
+    const bits = is64Bit ? 64n : 32n;
+    const min = isUnsigned ? 0n : -(2n ** (bits - 1n));
+    const max = isUnsigned ? 2n ** bits - 1n : 2n ** (bits - 1n) - 1n;
+    if (numericValue < min || numericValue > max) {
+      return `value ${value} is out of range for ${scalarType}`;
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a JSON value against a well-known google.protobuf type
+ * @param {string} fullName - Fully qualified type name
+ * @param {*} value - JSON value
+ * @returns {string|null|undefined} Error message, null if valid, undefined if not a well-known type
+ */
+function validateWellKnown(fullName, value) {
+  if (WRAPPER_TYPES[fullName]) {
+    return validateScalar(WRAPPER_TYPES[fullName], value);
+  }
+
+  switch (fullName) {
+    case '.google.protobuf.Timestamp':
+    case '.google.protobuf.Duration':
+      if (typeof value !== 'string') {
+        return `expected ${fullName === '.google.protobuf.Timestamp' ? 'RFC 3339 timestamp' : 'duration'} string, got ${describeJsonType(value)}`;
+      }
+      try {
+        (fullName === '.google.protobuf.Timestamp' ? parseTimestamp : parseDuration)(value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    case '.google.protobuf.FieldMask':
+      return typeof value === 'string' ? null : `expected comma-separated field paths, got ${describeJsonType(value)}`;
+    case '.google.protobuf.Struct':
+    case '.google.protobuf.Empty':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : `expected object, got ${describeJsonType(value)}`;
+    case '.google.protobuf.ListValue':
+      return Array.isArray(value) ? null : `expected array, got ${describeJsonType(value)}`;
+    case '.google.protobuf.Value':
+      return null;
+    case '.google.protobuf.Any':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return `expected object with "@type", got ${describeJsonType(value)}`;
+      }
+      // An empty Any (as in the generated template) is left unset
+      if (Object.keys(value).every(key => key === '@type' && value[key] === '')) {
+        return null;
+      }
+      return typeof value['@type'] === 'string' && value['@type'] !== '' ? null : 'missing "@type" for google.protobuf.Any';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate a single (non-repeated) field value
+ * @param {protobuf.Field} field - The field definition
+ * @param {*} value - JSON value
+ * @param {string} path - Field path for error reporting
+ * @param {Array<Object>} errors - Collected errors
+ */
+function validateFieldValue(field, value, path, errors) {
+  if (isPlaceholder(value)) {
+    return;
+  }
+
+  const resolvedType = field.resolvedType;
+
+  if (resolvedType instanceof protobuf.Enum) {
+    if (resolvedType.fullName === '.google.protobuf.NullValue' && value === null) {
+      return;
+    }
+
+    const names = Object.keys(resolvedType.values);
+    const valid = typeof value === 'string'
+      ? names.includes(value)
+      : Number.isInteger(value) && Object.values(resolvedType.values).includes(value);
+    if (!valid) {
+      errors.push({ path, message: `invalid enum value ${JSON.stringify(value)} for ${path} (expected one of: ${names.join(', ')})` });
+    }
+    return;
+  }
+
+  if (resolvedType instanceof protobuf.Type) {
+    const wellKnownError = validateWellKnown(resolvedType.fullName, value);
+    if (wellKnownError !== undefined) {
+      if (wellKnownError) {
+        errors.push({ path, message: `${path}: ${wellKnownError}` });
+      }
+      return;
+    }
+    validateMessageValue(resolvedType, value, path, errors);
+    return;
+  }
+
+  const scalarError = validateScalar(field.type, value);
+  if (scalarError) {
+    errors.push({ path, message: `${path}: ${scalarError}` });
+  }
+}
+
+/**
+ * Validate a map key against the map's key type (JSON map keys are always strings)
+ * @param {string} keyType - The protobuf map key type
+ * @param {string} key - JSON object key
+ * @returns {string|null} Error message, or null if the key is valid
+ */
+function validateMapKey(keyType, key) {
+  if (keyType === 'string') return null;
+  if (keyType === 'bool') return key === 'true' || key === 'false' ? null : `expected "true" or "false" map key, got "${key}"`;
+  return validateScalar(keyType, key);
+}
+
+/**
+ * Validate a JSON object against a message type, collecting errors with field paths
+ * @param {protobuf.Type} type - The message type
+ * @param {*} value - JSON value
+ * @param {string} prefix - Path of the value ('' for the top-level message)
+ * @param {Array<Object>} errors - Collected errors
+ */
+function validateMessageValue(type, value, prefix, errors) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push({ path: prefix, message: `${prefix || 'request'}: expected object for ${type.fullName.substring(1)}, got ${describeJsonType(value)}` });
+    return;
+  }
+
+  // Fields can be written with their proto name or their lowerCamelCase JSON name
+  const fieldsByJsonKey = new Map();
+  for (const field of type.fieldsArray) {
+    fieldsByJsonKey.set(field.name, field);
+    fieldsByJsonKey.set(protobuf.util.camelCase(field.name), field);
+  }
+
+  const setOneofMembers = new Map();
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const path = joinPath(prefix, key);
+    const field = fieldsByJsonKey.get(key);
+    if (!field) {
+      errors.push({ path, message: `unknown field in ${type.fullName.substring(1)}` });
+      continue;
+    }
+
+    try {
+      field.resolve();
+    } catch (error) {
+      // Unresolvable types (missing imports) cannot be checked
+      continue;
+    }
+
+    // null means "not set" in proto3 JSON
+    if (fieldValue === null) {
+      continue;
+    }
+
+    // A {{placeholder}} is resolved when the request is sent, e.g. "{{randomInt(1,100)}}" for an int32
+    if (isPlaceholder(fieldValue)) {
+      continue;
+    }
+
+    if (field.partOf && !(field.options && field.options.proto3_optional)) {
+      const members = setOneofMembers.get(field.partOf.name) || [];
+      members.push(field.name);
+      setOneofMembers.set(field.partOf.name, members);
+    }
+
+    if (field.map) {
+      if (typeof fieldValue !== 'object' || Array.isArray(fieldValue)) {
+        errors.push({ path, message: `${path}: expected object for map field, got ${describeJsonType(fieldValue)}` });
+        continue;
+      }
+      for (const [mapKey, mapValue] of Object.entries(fieldValue)) {
+        const keyError = validateMapKey(field.keyType, mapKey);
+        if (keyError) {
+          errors.push({ path: joinPath(path, mapKey), message: `${path}: ${keyError}` });
+        }
+        validateFieldValue(field, mapValue, joinPath(path, mapKey), errors);
+      }
+    } else if (field.repeated) {
+      if (!Array.isArray(fieldValue)) {
+        errors.push({ path, message: `${path}: expected array for repeated field, got ${describeJsonType(fieldValue)}` });
+        continue;
+      }
+      fieldValue.forEach((item, index) => validateFieldValue(field, item, `${path}[${index}]`, errors));
+    } else {
+      validateFieldValue(field, fieldValue, path, errors);
+    }
+  }
+
+  for (const [oneofName, members] of setOneofMembers) {
+    if (members.length > 1) {
+      const path = joinPath(prefix, members[1]);
+      errors.push({ path, message: `only one member of oneof ${joinPath(prefix, oneofName)} may be set, got: ${members.join(', ')}` });
+    }
+  }
+}
+
+/**
+ * Validate a JSON payload against a message type
+ * @param {protobuf.Type} messageType - The request message type
+ * @param {*} payload - Parsed JSON payload
+ * @returns {Array<{path: string, message: string}>} Validation errors, empty if the payload is valid
+ */
+function validateMessage(messageType, payload) {
+  const errors = [];
+  validateMessageValue(messageType, payload, '', errors);
+  return errors;
+}
+
+/**
+ * Parse JSON text while recording the line of every value's key, using the same
+ * path format as the validator (dots for fields, [n] for array elements)
+ * @param {string} text - JSON text
+ * @returns {{value: *, lines: Map<string, number>}} Parsed value and a map of paths to 1-based line numbers
+ * @throws {SyntaxError} With a `line` property when the text is not valid JSON
+ */
+function parseJsonWithLines(text) {
+  const lines = new Map();
+  let index = 0;
+
+  // Offsets where each line starts, so a position's line is found by binary search
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  function lineAt(position) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  }
+
+  function fail(message) {
+    const error = new SyntaxError(`${message} at line ${lineAt(index)}`);
+    error.line = lineAt(index);
+    throw error;
+  }
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) index++;
+  }
+
+  function parseString() {
+    const start = index;
+    index++;
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\\') index++;
+      if (text[index] === '\n') fail('Unterminated string');
+      index++;
+    }
+    if (index >= text.length) fail('Unterminated string');
+    index++;
+    try {
+      return JSON.parse(text.substring(start, index));
+    } catch {
+      return fail('Invalid string');
+    }
+  }
+
+  function parseValue(path) {
+    skipWhitespace();
+    const char = text[index];
+
+    if (char === '{') {
+      index++;
+      const object = {};
+      skipWhitespace();
+      if (text[index] === '}') {
+        index++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[index] !== '"') fail('Expected property name');
+        const keyLine = lineAt(index);
+        const key = parseString();
+        const keyPath = joinPath(path, key);
+        lines.set(keyPath, keyLine);
+        skipWhitespace();
+        if (text[index] !== ':') fail(`Expected ':' after "${key}"`);
+        index++;
+        object[key] = parseValue(keyPath);
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+          continue;
+        }
+        if (text[index] === '}') {
+          index++;
+          return object;
+        }
+        fail("Expected ',' or '}'");
+      }
+    }
+
+    if (char === '[') {
+      index++;
+      const array = [];
+      skipWhitespace();
+      if (text[index] === ']') {
+        index++;
+        return array;
+      }
+      for (;;) {
+        skipWhitespace();
+        const itemPath = `${path}[${array.length}]`;
+        lines.set(itemPath, lineAt(index));
+        array.push(parseValue(itemPath));
+        skipWhitespace();
+        if (text[index] === ',') {
+          index++;
+          continue;
+        }
+        if (text[index] === ']') {
+          index++;
+          return array;
+        }
+        fail("Expected ',' or ']'");
+      }
+    }
+
+    if (char === '"') {
+      return parseString();
+    }
+
+    const literal = /^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)/.exec(text.substring(index));
+    if (!literal) fail(char === undefined ? 'Unexpected end of JSON' : `Unexpected token ${char}`);
+    index += literal[0].length;
+    return JSON.parse(literal[0]);
+  }
+
+  lines.set('', 1);
+  const value = parseValue('');
+  skipWhitespace();
+  if (index < text.length) fail(`Unexpected token ${text[index]}`);
+  return { value, lines };
+}
+
+/**
+ * Find the line for an error path, falling back to the closest parent path
+ * @param {Map<string, number>} lines - Map of paths to line numbers
+ * @param {string} path - Error path
+ * @returns {number|null} 1-based line number
+ */
+function findLineForPath(lines, path) {
+  let current = path;
+  for (;;) {
+    if (lines.has(current)) return lines.get(current);
+    if (!current) return null;
+    const cut = Math.max(current.lastIndexOf('.'), current.lastIndexOf('['));
+    current = cut > 0 ? current.substring(0, cut) : '';
+  }
+}
+
+/**
+ * Validate JSON request text against a message type, attaching editor line numbers to errors
+ * @param {protobuf.Type} messageType - The request message type
+ * @param {string} text - JSON text from the editor
+ * @returns {Array<{path: string, message: string, line: number|null}>} Validation errors
+ */
+function validateJsonText(messageType, text) {
+  let parsed;
+  try {
+    parsed = parseJsonWithLines(text);
+  } catch (error) {
+    return [{ path: '', message: `Invalid JSON: ${error.message}`, line: error.line || null }];
+  }
+
+  return validateMessage(messageType, parsed.value).map(error => ({
+    ...error,
+    line: findLineForPath(parsed.lines, error.path)
+  }));
+}
+
+module.exports = {
+  validateMessage,
+  validateJsonText,
+  parseJsonWithLines
+};
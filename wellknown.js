@@ -0,0 +1,301 @@
+const protobuf = require('protobufjs');
+
+/**
+ * google/protobuf files shipped with protobufjs, keyed by their import path.
+ * They are preloaded into every root, so they resolve without being uploaded or imported.
+ */
+const WELL_KNOWN_PROTO_FILES = {
+  'google/protobuf/any.proto': protobuf.common.get('google/protobuf/any.proto'),
+  'google/protobuf/duration.proto': protobuf.common.get('google/protobuf/duration.proto'),
+  'google/protobuf/timestamp.proto': protobuf.common.get('google/protobuf/timestamp.proto'),
+  'google/protobuf/empty.proto': protobuf.common.get('google/protobuf/empty.proto'),
+  'google/protobuf/struct.proto': protobuf.common.get('google/protobuf/struct.proto'),
+  'google/protobuf/wrappers.proto': protobuf.common.get('google/protobuf/wrappers.proto'),
+  'google/protobuf/field_mask.proto': protobuf.common.get('google/protobuf/field_mask.proto'),
+  'google/protobuf/source_context.proto': require('protobufjs/google/protobuf/source_context.json'),
+  'google/protobuf/type.proto': require('protobufjs/google/protobuf/type.json'),
+  'google/protobuf/api.proto': require('protobufjs/google/protobuf/api.json'),
+  'google/protobuf/descriptor.proto': require('protobufjs/google/protobuf/descriptor.json')
+};
+
+// The bundled JSON files repeat shared definitions (e.g. type.json embeds Any and SourceContext),
+// so merge them into a single google.protobuf namespace once
+const wellKnownNested = {};
+for (const definition of Object.values(WELL_KNOWN_PROTO_FILES)) {
+  for (const [name, nested] of Object.entries(definition.nested.google.nested.protobuf.nested)) {
+    if (!(name in wellKnownNested)) {
+      wellKnownNested[name] = nested;
+    }
+  }
+}
+
+/**
+ * Add all well-known google.protobuf types to a root
+ * @param {protobuf.Root} root - The root to add the types to
+ * @returns {protobuf.Root} The same root
+ */
+function addWellKnownTypes(root) {
+  return root.addJSON({
+    google: { nested: { protobuf: { nested: wellKnownNested } } }
+  });
+}
+
+/**
+ * Get the well-known file name for a google/protobuf import, if it is one of the bundled files
+ * @param {string} importPath - Path as written in the import statement
+ * @returns {string|null} Well-known file name (e.g. "google/protobuf/duration.proto"), or null
+ */
+function getWellKnownProtoName(importPath) {
+  const index = importPath.lastIndexOf('google/protobuf/');
+  if (index === -1) {
+    return null;
+  }
+
+  const name = importPath.substring(index);
+  return name in WELL_KNOWN_PROTO_FILES ? name : null;
+}
+
+/**
+ * Parse an RFC 3339 timestamp string into seconds and nanos
+ * @param {string} value - Timestamp string, e.g. "2025-07-23T18:30:00.123Z"
+ * @returns {{seconds: number, nanos: number}} Timestamp parts
+ */
+function parseTimestamp(value) {
+  const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/i.exec(value);
+  const millis = match ? Date.parse(`${match[1]}${match[3].toUpperCase()}`) : NaN;
+  if (isNaN(millis)) {
+    throw new Error(`Invalid google.protobuf.Timestamp value: ${value}`);
+  }
+
+  return {
+    seconds: Math.floor(millis / 1000),
+    nanos: match[2] ? Number(match[2].padEnd(9, '0')) : 0
+  };
+}
+
+/**
+ * Format seconds and nanos as an RFC 3339 timestamp string (UTC)
+ * @param {number|Long|string} seconds - Seconds since the Unix epoch
+ * @param {number} nanos - Nanoseconds within the second
+ * @returns {string} Timestamp string with 0, 3, 6 or 9 fractional digits
+ */
+function formatTimestamp(seconds, nanos) {
+  const base = new Date(toNumber(seconds) * 1000).toISOString().replace(/\.\d{3}Z$/, '');
+  return `${base}${formatNanos(nanos)}Z`;
+}
+
+/**
+ * Parse a duration string such as "1.5s" or "-0.001s" into seconds and nanos
+ * @param {string} value - Duration string
+ * @returns {{seconds: number, nanos: number}} Duration parts (both carry the sign)
+ */
+function parseDuration(value) {
+  const match = /^(-)?(\d+)(?:\.(\d{1,9}))?s$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid google.protobuf.Duration value: ${value} (expected e.g. "1.5s")`);
+  }
+
+  const sign = match[1] ? -1 : 1;
+  return {
+    seconds: sign * Number(match[2]),
+    nanos: sign * (match[3] ? Number(match[3].padEnd(9, '0')) : 0)
+  };
+}
+
+/**
+ * Format seconds and nanos as a duration string
+ * @param {number|Long|string} seconds - Whole seconds
+ * @param {number} nanos - Nanoseconds, with the same sign as seconds
+ * @returns {string} Duration string, e.g. "1.5s"
+ */
+function formatDuration(seconds, nanos) {
+  const wholeSeconds = toNumber(seconds);
+  const negative = wholeSeconds < 0 || nanos < 0;
+  return `${negative ? '-' : ''}${Math.abs(wholeSeconds)}${formatNanos(Math.abs(nanos || 0))}s`;
+}
+
+/**
+ * Format nanoseconds as a fraction with 0, 3, 6 or 9 digits
+ * @param {number} nanos - Nanoseconds
+ * @returns {string} Fraction including the leading dot, or '' for zero
+ */
+function formatNanos(nanos) {
+  if (!nanos) {
+    return '';
+  }
+
+  let fraction = String(nanos).padStart(9, '0');
+  while (fraction.endsWith('000')) {
+    fraction = fraction.slice(0, -3);
+  }
+  return `.${fraction}`;
+}
+
+/**
+ * Convert a protobuf integer value (number, string or Long) to a JS number
+ * @param {number|string|Long} value - Integer value
+ * @returns {number} Numeric value
+ */
+function toNumber(value) {
+  if (value && typeof value === 'object' && typeof value.toNumber === 'function') {
+    return value.toNumber();
+  }
+  return Number(value || 0);
+}
+
+/**
+ * Convert a google.protobuf.Value JSON value into its message object form
+ * @param {*} value - Any JSON value
+ * @returns {Object} Value message object
+ */
+function valueFromJson(value) {
+  if (value === null) return { nullValue: 'NULL_VALUE' };
+  if (typeof value === 'number') return { numberValue: value };
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Array.isArray(value)) return { listValue: { values: value.map(valueFromJson) } };
+  return { structValue: structFromJson(value) };
+}
+
+/**
+ * Convert a google.protobuf.Value message object into a plain JSON value
+ * @param {Object} object - Value message object
+ * @returns {*} JSON value
+ */
+function valueToJson(object) {
+  if (!object) return null;
+  if (object.numberValue !== undefined && object.numberValue !== null) return object.numberValue;
+  if (object.stringValue !== undefined && object.stringValue !== null) return object.stringValue;
+  if (object.boolValue !== undefined && object.boolValue !== null) return object.boolValue;
+  if (object.structValue) return structToJson(object.structValue);
+  if (object.listValue) return (object.listValue.values || []).map(valueToJson);
+  return null;
+}
+
+function structFromJson(value) {
+  return {
+    fields: Object.fromEntries(Object.entries(value || {}).map(([key, item]) => [key, valueFromJson(item)]))
+  };
+}
+
+function structToJson(object) {
+  return Object.fromEntries(Object.entries(object.fields || {}).map(([key, item]) => [key, valueToJson(item)]));
+}
+
+function snakeToCamel(path) {
+  return path.replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+}
+
+function camelToSnake(path) {
+  return path.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Wrapper types hold a single `value` field that is written as a plain JSON value
+ */
+const wrapperJson = {
+  fromJson: (value) => (value !== null && typeof value === 'object' ? value : { value }),
+  toJson: (object) => object.value
+};
+
+/**
+ * Well-known types whose proto3 JSON form is not a plain object, keyed by full type name.
+ * protobufjs only converts objects, so these are mapped by hand on the way in and out.
+ */
+const WELL_KNOWN_JSON = {
+  '.google.protobuf.Timestamp': {
+    fromJson: (value) => (typeof value === 'string' ? parseTimestamp(value) : value),
+    toJson: (object) => formatTimestamp(object.seconds, object.nanos)
+  },
+  '.google.protobuf.Duration': {
+    fromJson: (value) => (typeof value === 'string' ? parseDuration(value) : value),
+    toJson: (object) => formatDuration(object.seconds, object.nanos)
+  },
+  '.google.protobuf.FieldMask': {
+    fromJson: (value) => (typeof value === 'string'
+      ? { paths: value.split(',').filter(Boolean).map(camelToSnake) }
+      : value),
+    toJson: (object) => (object.paths || []).map(snakeToCamel).join(',')
+  },
+  '.google.protobuf.Struct': {
+    fromJson: structFromJson,
+    toJson: structToJson
+  },
+  '.google.protobuf.Value': {
+    fromJson: valueFromJson,
+    toJson: valueToJson
+  },
+  '.google.protobuf.ListValue': {
+    fromJson: (value) => (Array.isArray(value) ? { values: value.map(valueFromJson) } : value),
+    toJson: (object) => (object.values || []).map(valueToJson)
+  },
+  '.google.protobuf.DoubleValue': wrapperJson,
+  '.google.protobuf.FloatValue': wrapperJson,
+  '.google.protobuf.Int64Value': wrapperJson,
+  '.google.protobuf.UInt64Value': wrapperJson,
+  '.google.protobuf.Int32Value': wrapperJson,
+  '.google.protobuf.UInt32Value': wrapperJson,
+  '.google.protobuf.BoolValue': wrapperJson,
+  '.google.protobuf.StringValue': wrapperJson,
+  '.google.protobuf.BytesValue': wrapperJson
+};
+
+/**
+ * Template values for well-known types in their canonical proto3 JSON form
+ */
+const WELL_KNOWN_TEMPLATES = {
+  '.google.protobuf.Timestamp': () => new Date().toISOString(),
+  '.google.protobuf.Duration': () => '0s',
+  '.google.protobuf.FieldMask': () => '',
+  '.google.protobuf.Struct': () => ({}),
+  '.google.protobuf.Value': () => null,
+  '.google.protobuf.ListValue': () => [],
+  '.google.protobuf.Any': () => ({ '@type': '' }),
+  '.google.protobuf.Empty': () => ({}),
+  '.google.protobuf.DoubleValue': () => 0.0,
+  '.google.protobuf.FloatValue': () => 0.0,
+  '.google.protobuf.Int64Value': () => '0',
+  '.google.protobuf.UInt64Value': () => '0',
+  '.google.protobuf.Int32Value': () => 0,
+  '.google.protobuf.UInt32Value': () => 0,
+  '.google.protobuf.BoolValue': () => false,
+  '.google.protobuf.StringValue': () => '',
+  '.google.protobuf.BytesValue': () => '',
+  '.google.protobuf.NullValue': () => null
+};
+
+/**
+ * Check whether a type name refers to a well-known type with a special JSON template
+ * @param {string} fullName - Fully qualified type name (with or without leading dot)
+ * @returns {boolean} True if a canonical JSON template exists
+ */
+function hasWellKnownTemplate(fullName) {
+  return normalizeTypeName(fullName) in WELL_KNOWN_TEMPLATES;
+}
+
+/**
+ * Get the canonical JSON template value for a well-known type
+ * @param {string} fullName - Fully qualified type name (with or without leading dot)
+ * @returns {*} Template value, or undefined if the type is not a well-known type
+ */
+function getWellKnownTemplate(fullName) {
+  const template = WELL_KNOWN_TEMPLATES[normalizeTypeName(fullName)];
+  return template ? template() : undefined;
+}
+
+function normalizeTypeName(typeName) {
+  return typeName.startsWith('.') ? typeName : `.${typeName}`;
+}
+
+module.exports = {
+  WELL_KNOWN_PROTO_FILES,
+  WELL_KNOWN_JSON,
+  addWellKnownTypes,
+  getWellKnownProtoName,
+  hasWellKnownTemplate,
+  getWellKnownTemplate,
+  parseTimestamp,
+  formatTimestamp,
+  parseDuration,
+  formatDuration
+};
@@ -0,0 +1,157 @@
+const protobuf = require('protobufjs');
+const { WELL_KNOWN_JSON } = require('./wellknown');
+
+/**
+ * Options used when turning decoded protobuf messages back into JSON-friendly objects
+ */
+const JSON_CONVERSION_OPTIONS = {
+  json: true,
+  longs: String,
+  enums: String,
+  bytes: String,
+  defaults: true
+};
+
+/**
+ * Convert a proto3 JSON value into the plain object form protobufjs' fromObject expects
+ * @param {protobuf.Type} type - The message type of the value
+ * @param {*} value - Value in proto3 JSON form
+ * @returns {*} Value with well-known types expanded into message objects
+ */
+function jsonToProtoObject(type, value) {
+  const wellKnown = WELL_KNOWN_JSON[type.fullName];
+  if (wellKnown) {
+    return wellKnown.fromJson(value);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+
+  const object = { ...value };
+  for (const field of type.fieldsArray) {
+    const key = field.name;
+    const fieldValue = object[key];
+    const fieldType = field.resolve().resolvedType;
+    if (fieldValue === undefined || fieldValue === null || !(fieldType instanceof protobuf.Type)) {
+      continue;
+    }
+
+    if (field.map) {
+      object[key] = Object.fromEntries(
+        Object.entries(fieldValue).map(([mapKey, mapValue]) => [mapKey, jsonToProtoObject(fieldType, mapValue)])
+      );
+    } else if (field.repeated && Array.isArray(fieldValue)) {
+      object[key] = fieldValue.map(item => jsonToProtoObject(fieldType, item));
+    } else {
+      object[key] = jsonToProtoObject(fieldType, fieldValue);
+    }
+  }
+  return object;
+}
+
+/**
+ * Convert an object produced by protobufjs' toObject into proto3 JSON form
+ * @param {protobuf.Type} type - The message type of the object
+ * @param {*} object - Object produced by toObject
+ * @returns {*} Value with well-known types collapsed into their JSON form
+ */
+function protoObjectToJson(type, object) {
+  const wellKnown = WELL_KNOWN_JSON[type.fullName];
+  if (wellKnown) {
+    return wellKnown.toJson(object);
+  }
+  if (!object || typeof object !== 'object') {
+    return object;
+  }
+
+  const json = { ...object };
+  for (const field of type.fieldsArray) {
+    const fieldValue = json[field.name];
+    const fieldType = field.resolve().resolvedType;
+    if (fieldType && fieldType.fullName === '.google.protobuf.NullValue') {
+      json[field.name] = null;
+      continue;
+    }
+    if (fieldValue === undefined || fieldValue === null || !(fieldType instanceof protobuf.Type)) {
+      continue;
+    }
+
+    if (field.map) {
+      json[field.name] = Object.fromEntries(
+        Object.entries(fieldValue).map(([mapKey, mapValue]) => [mapKey, protoObjectToJson(fieldType, mapValue)])
+      );
+    } else if (field.repeated) {
+      json[field.name] = fieldValue.map(item => protoObjectToJson(fieldType, item));
+    } else {
+      json[field.name] = protoObjectToJson(fieldType, fieldValue);
+    }
+  }
+  return json;
+}
+
+/**
+ * Find a Twirp method on a parsed root and resolve its request/response types
+ * @param {protobuf.Root} root - The parsed protobuf root
+ * @param {string} serviceName - Fully qualified service name (with or without leading dot)
+ * @param {string} methodName - Method name within the service
+ * @returns {protobuf.Method} The resolved method
+ */
+function lookupMethod(root, serviceName, methodName) {
+  const service = root.lookupService(serviceName);
+  const method = service.methods[methodName];
+  if (!method) {
+    throw new Error(`Method ${methodName} not found in service ${service.fullName}`);
+  }
+  return method.resolve();
+}
+
+/**
+ * Encode a JSON request payload as the binary protobuf request message of a method
+ * @param {protobuf.Root} root - The parsed protobuf root
+ * @param {string} serviceName - Fully qualified service name
+ * @param {string} methodName - Method name within the service
+ * @param {Object} requestData - Request payload in proto3 JSON form
+ * @returns {Buffer} Encoded request message
+ */
+function encodeRequest(root, serviceName, methodName, requestData) {
+  const requestType = lookupMethod(root, serviceName, methodName).resolvedRequestType;
+  const message = requestType.fromObject(jsonToProtoObject(requestType, requestData));
+  return Buffer.from(requestType.encode(message).finish());
+}
+
+/**
+ * Decode a binary protobuf response of a method into a JSON-friendly object
+ * @param {protobuf.Root} root - The parsed protobuf root
+ * @param {string} serviceName - Fully qualified service name
+ * @param {string} methodName - Method name within the service
+ * @param {Buffer} buffer - Encoded response message
+ * @returns {Object} Decoded response in proto3 JSON form
+ */
+function decodeResponse(root, serviceName, methodName, buffer) {
+  const responseType = lookupMethod(root, serviceName, methodName).resolvedResponseType;
+  const message = responseType.decode(buffer);
+  return protoObjectToJson(responseType, responseType.toObject(message, JSON_CONVERSION_OPTIONS));
+}
+
+/**
+ * Describe a binary payload in printable forms for display
+ * @param {Buffer} buffer - Binary payload
+ * @returns {{size: number, hex: string, base64: string}} Payload description
+ */
+function describePayload(buffer) {
+  return {
+    size: buffer.length,
+    hex: buffer.toString('hex'),
+    base64: buffer.toString('base64')
+  };
+}
+
+module.exports = {
+  JSON_CONVERSION_OPTIONS,
+  jsonToProtoObject,
+  protoObjectToJson,
+  lookupMethod,
+  encodeRequest,
+  decodeResponse,
+  describePayload
+};
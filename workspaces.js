@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { isDescriptorSet } = require('./protoparser');
+
+// Workspaces live under DATA_DIR/workspaces/<name>/ with a metadata file,
+// the parsed service catalog and the proto files at their relative paths
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const WORKSPACES_DIR = path.join(DATA_DIR, 'workspaces');
+const WORKSPACE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Validate a workspace name and return the directory that holds it
+ * @param {string} name - Workspace name
+ * @returns {string} Absolute path of the workspace directory
+ */
+function getWorkspaceDir(name) {
+  if (typeof name !== 'string' || !WORKSPACE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid workspace name: "${name}" (use letters, digits, ".", "_" or "-")`);
+  }
+  return path.join(WORKSPACES_DIR, name);
+}
+
+/**
+ * Normalize a relative proto file path and make sure it stays inside the workspace
+ * @param {string} relativePath - Relative path as uploaded, e.g. "api/user/v1/user.proto"
+ * @returns {string} Normalized forward-slash path
+ */
+function normalizeRelativePath(relativePath) {
+  const normalized = path.posix.normalize(String(relativePath).replace(/\\/g, '/')).replace(/^(\.\/)+/, '');
+  if (!normalized || normalized === '.' || normalized.startsWith('../') || normalized === '..' || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Invalid proto file path: ${relativePath}`);
+  }
+  return normalized;
+}
+
+/**
+ * Read a JSON file, returning null if it does not exist
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Promise<Object|null>} Parsed content
+ */
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List all saved workspaces
+ * @returns {Promise<Array<Object>>} Workspace summaries sorted by name
+ */
+async function listWorkspaces() {
+  let entries;
+  try {
+    entries = await fs.readdir(WORKSPACES_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const workspaces = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !WORKSPACE_NAME_PATTERN.test(entry.name)) continue;
+
+    const meta = await readJsonFile(path.join(WORKSPACES_DIR, entry.name, 'workspace.json'));
+    if (!meta) continue;
+
+    workspaces.push({
+      name: meta.name,
+      mainFile: meta.mainFile,
+      fileCount: meta.files.length,
+      serviceCount: meta.serviceCount || 0,
+      createdAt: meta.createdAt,
+      updatedAt: meta.updatedAt
+    });
+  }
+
+  return workspaces.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create or replace a workspace with a new set of proto files and their parsed catalog
+ * @param {string} name - Workspace name
+ * @param {string} mainFile - Relative path of the main proto file
+ * @param {Map<string, string|Buffer>} files - Map of relative paths to proto file content
+ * @param {Object} catalog - Parsed service catalog (the /api/parse-proto response body)
+ * @returns {Promise<Object>} Workspace metadata
+ */
+async function saveWorkspace(name, mainFile, files, catalog) {
+  const workspaceDir = getWorkspaceDir(name);
+  const existing = await readJsonFile(path.join(workspaceDir, 'workspace.json'));
+  const now = new Date().toISOString();
+
+  // Replace the file set as a whole so removed files do not linger
+  const filesDir = path.join(workspaceDir, 'files');
+  await fs.rm(filesDir, { recursive: true, force: true });
+
+  const relativePaths = [];
+  for (const [relativePath, content] of files) {
+    const normalized = normalizeRelativePath(relativePath);
+    const target = path.join(filesDir, normalized);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+    relativePaths.push(normalized);
+  }
+
+  const meta = {
+    name,
+    mainFile: normalizeRelativePath(mainFile),
+    files: relativePaths,
+    serviceCount: Object.keys(catalog.services || {}).length,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await fs.writeFile(path.join(workspaceDir, 'catalog.json'), JSON.stringify(catalog, null, 2));
+  await fs.writeFile(path.join(workspaceDir, 'workspace.json'), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+/**
+ * Store a freshly parsed catalog for an existing workspace
+ * @param {string} name - Workspace name
+ * @param {Object} catalog - Parsed service catalog
+ * @returns {Promise<Object>} Updated workspace metadata
+ */
+async function saveCatalog(name, catalog) {
+  const workspaceDir = getWorkspaceDir(name);
+  const meta = await readJsonFile(path.join(workspaceDir, 'workspace.json'));
+  if (!meta) {
+    throw new Error(`Workspace not found: ${name}`);
+  }
+
+  meta.serviceCount = Object.keys(catalog.services || {}).length;
+  meta.updatedAt = new Date().toISOString();
+
+  await fs.writeFile(path.join(workspaceDir, 'catalog.json'), JSON.stringify(catalog, null, 2));
+  await fs.writeFile(path.join(workspaceDir, 'workspace.json'), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+/**
+ * Load a workspace with its proto files and stored catalog
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} Workspace metadata plus `files` (Map of relative path to content) and `catalog`
+ */
+async function loadWorkspace(name) {
+  const workspaceDir = getWorkspaceDir(name);
+  const meta = await readJsonFile(path.join(workspaceDir, 'workspace.json'));
+  if (!meta) {
+    throw new Error(`Workspace not found: ${name}`);
+  }
+
+  const files = new Map();
+  for (const relativePath of meta.files) {
+    // Descriptor sets are binary and stay Buffers
+    const encoding = isDescriptorSet(relativePath) ? null : 'utf8';
+    files.set(relativePath, await fs.readFile(path.join(workspaceDir, 'files', relativePath), encoding));
+  }
+
+  const catalog = await readJsonFile(path.join(workspaceDir, 'catalog.json'));
+  return { ...meta, files, catalog };
+}
+
+/**
+ * Delete a workspace and all of its files
+ * @param {string} name - Workspace name
+ * @returns {Promise<void>}
+ */
+async function deleteWorkspace(name) {
+  const workspaceDir = getWorkspaceDir(name);
+  const meta = await readJsonFile(path.join(workspaceDir, 'workspace.json'));
+  if (!meta) {
+    throw new Error(`Workspace not found: ${name}`);
+  }
+  await fs.rm(workspaceDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  DATA_DIR,
+  WORKSPACES_DIR,
+  normalizeRelativePath,
+  listWorkspaces,
+  saveWorkspace,
+  saveCatalog,
+  loadWorkspace,
+  deleteWorkspace
+};